@@ -0,0 +1,68 @@
+// Static analysis of parsed Cedar policies
+//
+// Answers "what may this principal do?" from the policy AST instead of probing
+// with individual requests. Catalog resources are MCP::Resource paths, possibly
+// patterns such as "trading/*"; a rule can cover a catalog resource entirely or
+// only part of it (resource == MCP::Resource::"trading/AAPL").
+
+import { ACTION_TYPE, RESOURCE_TYPE, matchScope, isResourcePathWithin } from './cedar-evaluator.js';
+
+// How much of a catalog resource a resource scope constraint covers: 'all', 'some' or 'none'
+function resourceCoverage(constraint, resourceUid, entities) {
+    if (matchScope(constraint, resourceUid, entities)) return 'all';
+
+    const target = constraint.op === 'is' ? constraint.in?.entity : constraint.entity;
+    if (constraint.op === 'is' && constraint.entity_type !== RESOURCE_TYPE) return 'none';
+    if (target && target.type === RESOURCE_TYPE && isResourcePathWithin(target.id, resourceUid.id)) {
+        return 'some';
+    }
+    return 'none';
+}
+
+// Enumerate the catalog (action, resource) pairs a principal may be permitted.
+// `access` is 'allowed' when an unconditional permit covers the whole resource and
+// no forbid can apply, and 'conditional' when the outcome depends on conditions,
+// on the concrete resource path or on a forbid that might apply. Pairs that no
+// permit reaches, or that an unconditional forbid blocks entirely, are left out.
+export function effectivePermissions(policies, principal, { actions, resources }, entities) {
+    const permissions = [];
+
+    for (const action of actions) {
+        const actionUid = { type: ACTION_TYPE, id: action };
+        const applicable = policies.filter(policy =>
+            matchScope(policy.principal, principal, entities) && matchScope(policy.action, actionUid, entities));
+
+        for (const resource of resources) {
+            const resourceUid = { type: RESOURCE_TYPE, id: resource };
+            const permits = [];
+            const forbids = [];
+            let allowedOutright = false;
+            let blockedOutright = false;
+
+            for (const policy of applicable) {
+                const coverage = resourceCoverage(policy.resource, resourceUid, entities);
+                if (coverage === 'none') continue;
+
+                const unconditional = coverage === 'all' && policy.conditions.length === 0;
+                if (policy.effect === 'forbid') {
+                    forbids.push(policy.id);
+                    blockedOutright ||= unconditional;
+                } else {
+                    permits.push(policy.id);
+                    allowedOutright ||= unconditional;
+                }
+            }
+
+            if (permits.length === 0 || blockedOutright) continue;
+
+            permissions.push({
+                action,
+                resource,
+                access: allowedOutright && forbids.length === 0 ? 'allowed' : 'conditional',
+                permits,
+                forbids
+            });
+        }
+    }
+    return permissions;
+}
@@ -0,0 +1,127 @@
+// Cedar entity store
+//
+// Holds entities (uid, attributes, parents) loaded from Cedar entities JSON so that
+// `in` means transitive group membership and conditions can read principal and
+// resource attributes. MCP::Resource path ids ("portfolio/acme") are additionally
+// children of their parent path, so `resource in MCP::Resource::"portfolio"` works
+// without listing every resource.
+
+import { readFileSync, existsSync } from 'fs';
+import { RESOURCE_TYPE, isResourceDescendant, toCedarValue } from './cedar-evaluator.js';
+
+function entityKey(uid) {
+    return `${uid.type}::${JSON.stringify(uid.id)}`;
+}
+
+// Accepts { type, id }, Cedar's { __entity: { type, id } } escape, Cedar-style
+// strings (MCP::Client::"authenticated") and the shorthand Tool::weather used by
+// the ToolHive authz config examples.
+export function parseEntityUid(value) {
+    if (value && typeof value === 'object') {
+        const uid = value.__entity || value;
+        if (typeof uid.type === 'string' && typeof uid.id === 'string') {
+            return { type: uid.type, id: uid.id };
+        }
+    }
+
+    if (typeof value === 'string') {
+        const quoted = /^(.+)::"((?:[^"\\]|\\.)*)"$/.exec(value);
+        if (quoted) return { type: quoted[1], id: JSON.parse(`"${quoted[2]}"`) };
+
+        const separator = value.lastIndexOf('::');
+        if (separator > 0) return { type: value.slice(0, separator), id: value.slice(separator + 2) };
+    }
+
+    throw new Error(`Invalid entity uid: ${JSON.stringify(value)}`);
+}
+
+export class EntityStore {
+    constructor() {
+        this.entities = new Map(); // entityKey -> { uid, attrs, parents }
+    }
+
+    // Build a store from Cedar entities JSON (array or JSON string)
+    static fromJSON(json) {
+        const store = new EntityStore();
+        const list = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!Array.isArray(list)) {
+            throw new Error('Cedar entities JSON must be an array');
+        }
+
+        for (const entry of list) {
+            store.add(parseEntityUid(entry.uid), entry.attrs || {}, (entry.parents || []).map(parseEntityUid));
+        }
+        return store;
+    }
+
+    // Load an entities file. Accepts a plain entities array or a ToolHive authz
+    // config ({ cedar: { entities_json } }). A missing optional file gives an empty store.
+    static fromFile(filePath, { optional = false } = {}) {
+        if (optional && !existsSync(filePath)) {
+            return new EntityStore();
+        }
+
+        const content = JSON.parse(readFileSync(filePath, 'utf8'));
+        if (content && !Array.isArray(content) && content.cedar) {
+            return EntityStore.fromJSON(content.cedar.entities_json || '[]');
+        }
+        return EntityStore.fromJSON(content);
+    }
+
+    // Add or replace an entity
+    add(uid, attrs = {}, parents = []) {
+        this.entities.set(entityKey(uid), {
+            uid: { type: uid.type, id: uid.id },
+            attrs: toCedarValue(attrs),
+            parents: parents.map(parent => ({ type: parent.type, id: parent.id }))
+        });
+    }
+
+    remove(uid) {
+        return this.entities.delete(entityKey(uid));
+    }
+
+    get(uid) {
+        return this.entities.get(entityKey(uid)) || null;
+    }
+
+    get size() {
+        return this.entities.size;
+    }
+
+    // Attributes of an entity, or null if the entity is unknown
+    getAttributes(uid) {
+        return this.get(uid)?.attrs || null;
+    }
+
+    // Direct parents, including the implicit parent path of MCP::Resource ids
+    parentsOf(uid) {
+        const parents = [...(this.get(uid)?.parents || [])];
+        if (uid.type === RESOURCE_TYPE && uid.id.includes('/')) {
+            parents.push({ type: RESOURCE_TYPE, id: uid.id.slice(0, uid.id.lastIndexOf('/')) });
+        }
+        return parents;
+    }
+
+    // Cedar `in`: uid equals ancestor or reaches it through the parent graph
+    isDescendant(uid, ancestor) {
+        const seen = new Set();
+        const queue = [uid];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            const key = entityKey(current);
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            if (isResourceDescendant(current, ancestor)) return true;
+            queue.push(...this.parentsOf(current));
+        }
+        return false;
+    }
+
+    toJSON() {
+        return Array.from(this.entities.values());
+    }
+}
@@ -0,0 +1,382 @@
+// Cedar request evaluation shared by server.js and the dynamic policy server
+//
+// Works on the AST produced by cedar-parser.js. Resources are MCP::Resource
+// entities whose ids are slash-separated paths ("portfolio/acme", "data/public").
+
+export const PRINCIPAL_TYPE = 'MCP::Client';
+export const ACTION_TYPE = 'MCP::Action';
+export const RESOURCE_TYPE = 'MCP::Resource';
+
+// Normalize a request value into an entity uid. Accepts { type, id } objects,
+// Cedar-style strings (MCP::Resource::"data/public") and bare ids, which get defaultType.
+export function toEntityUid(value, defaultType) {
+    if (value && typeof value === 'object' && typeof value.type === 'string' && typeof value.id === 'string') {
+        return { type: value.type, id: value.id };
+    }
+
+    const text = String(value ?? '');
+    const match = /^((?:[A-Za-z_][A-Za-z0-9_]*::)*[A-Za-z_][A-Za-z0-9_]*)::"((?:[^"\\]|\\.)*)"$/.exec(text);
+    if (match) {
+        return { type: match[1], id: JSON.parse(`"${match[2]}"`) };
+    }
+    return { type: defaultType, id: text };
+}
+
+export function sameEntity(a, b) {
+    return a.type === b.type && a.id === b.id;
+}
+
+// Resource paths are compared as strings, so only canonical ones are meaningful:
+// no empty, "." or ".." segments that would let "trading/../settings/system" pass
+// for a path below "trading/"
+export function isCanonicalResourcePath(path) {
+    return path.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..');
+}
+
+// Check whether a resource path lies at or below an ancestor path. A trailing
+// "/*" on the ancestor means "anything below" and "*" on its own matches every path.
+// A non-canonical path is never within anything.
+export function isResourcePathWithin(path, ancestorPath) {
+    if (!isCanonicalResourcePath(path)) return false;
+    if (ancestorPath === '*') return true;
+
+    if (ancestorPath.endsWith('/*')) {
+        const prefix = ancestorPath.slice(0, -1);
+        return path.startsWith(prefix) && path.length > prefix.length;
+    }
+
+    return path === ancestorPath || path.startsWith(`${ancestorPath}/`);
+}
+
+// `uid in ancestor` for resources: equality, or hierarchical containment for MCP::Resource paths
+export function isResourceDescendant(uid, ancestor) {
+    if (sameEntity(uid, ancestor)) return true;
+    return uid.type === RESOURCE_TYPE && ancestor.type === RESOURCE_TYPE &&
+        isResourcePathWithin(uid.id, ancestor.id);
+}
+
+// Raised when a condition cannot be evaluated (type errors, missing attributes).
+// Cedar skips the policy in that case and reports the error alongside the decision.
+export class CedarEvaluationError extends Error {
+    constructor(message, loc = null) {
+        super(loc ? `${message} (line ${loc.line}, column ${loc.column})` : message);
+        this.name = 'CedarEvaluationError';
+        this.loc = loc;
+    }
+}
+
+// Entity values use Cedar's JSON escape, { __entity: { type, id } }; sets are
+// arrays and records are plain objects.
+export function entityValue(uid) {
+    return { __entity: { type: uid.type, id: uid.id } };
+}
+
+function isEntityValue(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        value.__entity !== undefined;
+}
+
+function isRecordValue(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !isEntityValue(value);
+}
+
+function typeName(value) {
+    if (Array.isArray(value)) return 'set';
+    if (isEntityValue(value)) return 'entity';
+    if (isRecordValue(value)) return 'record';
+    return typeof value === 'number' ? 'long' : typeof value;
+}
+
+// Convert request JSON (e.g. a context record) into Cedar values
+export function toCedarValue(json) {
+    if (Array.isArray(json)) return json.map(toCedarValue);
+    if (json !== null && typeof json === 'object') {
+        if (json.__entity) return entityValue(json.__entity);
+        return Object.fromEntries(Object.entries(json).map(([key, value]) => [key, toCedarValue(value)]));
+    }
+    if (typeof json === 'number' && !Number.isInteger(json)) {
+        throw new CedarEvaluationError(`unsupported non-integer number ${json} in request`);
+    }
+    if (json === null || json === undefined) {
+        throw new CedarEvaluationError('null values are not supported in Cedar requests');
+    }
+    return json;
+}
+
+export function valuesEqual(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.every(x => b.some(y => valuesEqual(x, y))) && b.every(y => a.some(x => valuesEqual(x, y)));
+    }
+    if (isEntityValue(a) && isEntityValue(b)) {
+        return sameEntity(a.__entity, b.__entity);
+    }
+    if (isRecordValue(a) && isRecordValue(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+            keys.every(key => key in b && valuesEqual(a[key], b[key]));
+    }
+    return a === b;
+}
+
+function matchesPattern(text, pattern) {
+    // Classic glob matching with backtracking over WILDCARD entries
+    const segments = pattern.map(part => typeof part === 'string' ? part : null);
+
+    const matchFrom = (textPos, index) => {
+        if (index === segments.length) return textPos === text.length;
+        const part = segments[index];
+        if (part === null) {
+            for (let pos = textPos; pos <= text.length; pos++) {
+                if (matchFrom(pos, index + 1)) return true;
+            }
+            return false;
+        }
+        return text.startsWith(part, textPos) && matchFrom(textPos + part.length, index + 1);
+    };
+
+    return matchFrom(0, 0);
+}
+
+// Evaluates condition expressions against a request environment:
+// { principal, action, resource (uids), context (record), entities }
+class ExpressionEvaluator {
+    constructor(env) {
+        this.env = env;
+    }
+
+    expect(value, type, node, what) {
+        if (typeName(value) !== type) {
+            throw new CedarEvaluationError(`${what} expects a ${type}, got ${typeName(value)}`, node.loc);
+        }
+        return value;
+    }
+
+    evaluate(node) {
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
+            case 'Var':
+                return node.name === 'context' ? this.env.context : entityValue(this.env[node.name]);
+            case 'Entity':
+                return entityValue(node.uid);
+            case 'Set':
+                return node.elements.map(element => this.evaluate(element));
+            case 'Record':
+                return Object.fromEntries(node.fields.map(field => [field.key, this.evaluate(field.value)]));
+            case 'GetAttr':
+                return this.getAttribute(this.evaluate(node.object), node.attr, node);
+            case 'Has':
+                return this.hasAttribute(this.evaluate(node.object), node.attr, node);
+            case 'Like':
+                return matchesPattern(this.expect(this.evaluate(node.object), 'string', node, "'like'"), node.pattern);
+            case 'Is': {
+                const value = this.expect(this.evaluate(node.object), 'entity', node, "'is'");
+                if (value.__entity.type !== node.entityType) return false;
+                return node.in ? this.evaluateIn(value, this.evaluate(node.in), node) : true;
+            }
+            case 'Unary': {
+                const operand = this.evaluate(node.operand);
+                if (node.op === '!') return !this.expect(operand, 'boolean', node, "'!'");
+                return -this.expect(operand, 'long', node, "unary '-'");
+            }
+            case 'If':
+                return this.expect(this.evaluate(node.test), 'boolean', node, "'if'") ?
+                    this.evaluate(node.consequent) : this.evaluate(node.alternate);
+            case 'Binary':
+                return this.evaluateBinary(node);
+            case 'MethodCall':
+                return this.evaluateMethodCall(node);
+            case 'Call':
+                throw new CedarEvaluationError(`unsupported extension function '${node.fn}'`, node.loc);
+            default:
+                throw new CedarEvaluationError(`unsupported expression '${node.type}'`, node.loc);
+        }
+    }
+
+    attributesOf(value, node, what) {
+        if (isRecordValue(value)) return value;
+        if (isEntityValue(value)) return this.env.entities.getAttributes(value.__entity);
+        throw new CedarEvaluationError(`${what} expects an entity or record, got ${typeName(value)}`, node.loc);
+    }
+
+    getAttribute(value, attr, node) {
+        const attrs = this.attributesOf(value, node, 'attribute access');
+        if (!attrs || !Object.prototype.hasOwnProperty.call(attrs, attr)) {
+            const owner = isEntityValue(value) ? `entity ${value.__entity.type}::"${value.__entity.id}"` : 'record';
+            throw new CedarEvaluationError(`${owner} does not have attribute '${attr}'`, node.loc);
+        }
+        return attrs[attr];
+    }
+
+    hasAttribute(value, attr, node) {
+        const attrs = this.attributesOf(value, node, "'has'");
+        return Boolean(attrs) && Object.prototype.hasOwnProperty.call(attrs, attr);
+    }
+
+    evaluateIn(left, right, node) {
+        const uid = this.expect(left, 'entity', node, "'in'").__entity;
+        const ancestors = Array.isArray(right) ? right : [right];
+        return ancestors.some(ancestor =>
+            this.env.entities.isDescendant(uid, this.expect(ancestor, 'entity', node, "'in'").__entity));
+    }
+
+    evaluateBinary(node) {
+        const { op } = node;
+
+        if (op === '&&' || op === '||') {
+            const left = this.expect(this.evaluate(node.left), 'boolean', node, `'${op}'`);
+            if (op === '&&' && !left) return false;
+            if (op === '||' && left) return true;
+            return this.expect(this.evaluate(node.right), 'boolean', node, `'${op}'`);
+        }
+
+        const left = this.evaluate(node.left);
+        const right = this.evaluate(node.right);
+
+        switch (op) {
+            case '==': return valuesEqual(left, right);
+            case '!=': return !valuesEqual(left, right);
+            case 'in': return this.evaluateIn(left, right, node);
+        }
+
+        this.expect(left, 'long', node, `'${op}'`);
+        this.expect(right, 'long', node, `'${op}'`);
+
+        switch (op) {
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+        }
+
+        const result = op === '+' ? left + right : op === '-' ? left - right : left * right;
+        if (!Number.isSafeInteger(result)) {
+            throw new CedarEvaluationError(`integer overflow in '${op}'`, node.loc);
+        }
+        return result;
+    }
+
+    evaluateMethodCall(node) {
+        const target = this.evaluate(node.object);
+        const args = node.args.map(arg => this.evaluate(arg));
+        const arity = { contains: 1, containsAll: 1, containsAny: 1, isEmpty: 0 }[node.method];
+
+        if (arity === undefined) {
+            throw new CedarEvaluationError(`unsupported method '${node.method}'`, node.loc);
+        }
+        if (args.length !== arity) {
+            throw new CedarEvaluationError(`'${node.method}' expects ${arity} argument(s), got ${args.length}`, node.loc);
+        }
+
+        const set = this.expect(target, 'set', node, `'${node.method}'`);
+        switch (node.method) {
+            case 'contains':
+                return set.some(element => valuesEqual(element, args[0]));
+            case 'containsAll':
+                return this.expect(args[0], 'set', node, "'containsAll'").every(x => set.some(y => valuesEqual(x, y)));
+            case 'containsAny':
+                return this.expect(args[0], 'set', node, "'containsAny'").some(x => set.some(y => valuesEqual(x, y)));
+            default:
+                return set.length === 0;
+        }
+    }
+}
+
+// Check one scope constraint (principal, action or resource) against a uid
+export function matchScope(constraint, uid, entities) {
+    switch (constraint.op) {
+        case 'All':
+            return true;
+        case '==':
+            return sameEntity(uid, constraint.entity);
+        case 'in':
+            return (constraint.entities || [constraint.entity]).some(ancestor => entities.isDescendant(uid, ancestor));
+        case 'is':
+            return uid.type === constraint.entity_type &&
+                (!constraint.in || entities.isDescendant(uid, constraint.in.entity));
+        default:
+            return false;
+    }
+}
+
+// Check principal/action/resource scope of a policy against the request
+export function policyScopeMatches(policy, request, entities) {
+    return matchScope(policy.principal, request.principal, entities) &&
+        matchScope(policy.action, request.action, entities) &&
+        matchScope(policy.resource, request.resource, entities);
+}
+
+// Evaluate a policy's when/unless blocks. Throws CedarEvaluationError.
+export function policyConditionsHold(policy, request, entities) {
+    const evaluator = new ExpressionEvaluator({ ...request, entities });
+    return policy.conditions.every(condition => {
+        const value = evaluator.evaluate(condition.body);
+        if (typeof value !== 'boolean') {
+            throw new CedarEvaluationError(`${condition.kind} block must evaluate to a boolean, got ${typeName(value)}`, condition.body.loc);
+        }
+        return condition.kind === 'when' ? value : !value;
+    });
+}
+
+// Build a request from loose API input: principal/action/resource become uids
+// (MCP::Client, MCP::Action and MCP::Resource by default) and context becomes a record.
+export function buildRequest({ principal, action, resource, context = {} }) {
+    const record = toCedarValue(context ?? {});
+    if (!isRecordValue(record)) {
+        throw new CedarEvaluationError('context must be a JSON object');
+    }
+    const resourceUid = toEntityUid(resource, RESOURCE_TYPE);
+    if (resourceUid.type === RESOURCE_TYPE && !isCanonicalResourcePath(resourceUid.id)) {
+        throw new CedarEvaluationError(`resource path "${resourceUid.id}" has empty, "." or ".." segments`);
+    }
+    return {
+        principal: toEntityUid(principal, PRINCIPAL_TYPE),
+        action: toEntityUid(action, ACTION_TYPE),
+        resource: resourceUid,
+        context: record
+    };
+}
+
+// Cedar authorization: deny by default, any satisfied forbid wins, otherwise any
+// satisfied permit allows. Policies whose conditions error are skipped and reported.
+// `entities` provides getAttributes(uid) and isDescendant(uid, ancestor).
+export function isAuthorized(policies, request, entities) {
+    const permits = [];
+    const forbids = [];
+    const errors = [];
+
+    for (const policy of policies) {
+        if (!policyScopeMatches(policy, request, entities)) continue;
+
+        let satisfied;
+        try {
+            satisfied = policyConditionsHold(policy, request, entities);
+        } catch (error) {
+            if (!(error instanceof CedarEvaluationError)) throw error;
+            errors.push({ policyId: policy.id, message: error.message });
+            continue;
+        }
+
+        if (satisfied) {
+            (policy.effect === 'forbid' ? forbids : permits).push(policy.id);
+        }
+    }
+
+    if (forbids.length > 0) {
+        return { decision: 'Deny', reasons: forbids, errors };
+    }
+    if (permits.length > 0) {
+        return { decision: 'Permit', reasons: permits, errors };
+    }
+    return { decision: 'Deny', reasons: [], errors };
+}
+
+// Cedar-style diagnostics for API responses: the policies that determined the
+// decision, whether it fell through to the default deny, and evaluation errors
+export function toDiagnostics(result) {
+    return {
+        reasons: result.reasons,
+        errors: result.errors,
+        defaultDeny: result.decision === 'Deny' && result.reasons.length === 0
+    };
+}
@@ -0,0 +1,173 @@
+// Canonical Cedar formatter
+//
+// Renders parsed policies (cedar-parser.js AST) back to Cedar text in one canonical
+// form: policies ordered by id, annotations first with an explicit @id leading, four-space
+// scope indentation, sorted action lists and only the parentheses precedence
+// requires. Comments and the original layout are not preserved, so two policies
+// with the same meaning and ids format to the same text.
+
+import { WILDCARD } from './cedar-parser.js';
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Binding strength of each expression form, loosest first
+const PRECEDENCE = { if: 0, or: 1, and: 2, relation: 3, add: 4, mult: 5, unary: 6, member: 7, primary: 8 };
+
+const BINARY_PRECEDENCE = {
+    '||': PRECEDENCE.or,
+    '&&': PRECEDENCE.and,
+    '==': PRECEDENCE.relation,
+    '!=': PRECEDENCE.relation,
+    '<': PRECEDENCE.relation,
+    '<=': PRECEDENCE.relation,
+    '>': PRECEDENCE.relation,
+    '>=': PRECEDENCE.relation,
+    'in': PRECEDENCE.relation,
+    '+': PRECEDENCE.add,
+    '-': PRECEDENCE.add,
+    '*': PRECEDENCE.mult
+};
+
+// Cedar string literal; control characters use Cedar's \u{...} escape
+export function quoteString(value, pattern = false) {
+    let out = '';
+    for (const ch of value) {
+        switch (ch) {
+            case '\\': out += '\\\\'; break;
+            case '"': out += '\\"'; break;
+            case '\n': out += '\\n'; break;
+            case '\r': out += '\\r'; break;
+            case '\t': out += '\\t'; break;
+            case '\0': out += '\\0'; break;
+            case '*': out += pattern ? '\\*' : '*'; break;
+            default: {
+                const code = ch.codePointAt(0);
+                out += code < 0x20 || code === 0x7f ? `\\u{${code.toString(16)}}` : ch;
+            }
+        }
+    }
+    return `"${out}"`;
+}
+
+function formatUid(uid) {
+    return `${uid.type}::${quoteString(uid.id)}`;
+}
+
+function formatName(name) {
+    return IDENTIFIER.test(name) ? name : quoteString(name);
+}
+
+// Expression text, parenthesized when its precedence is below `minimum`
+export function formatExpression(node, minimum = PRECEDENCE.if) {
+    const [text, precedence] = renderExpression(node);
+    return precedence < minimum ? `(${text})` : text;
+}
+
+function renderExpression(node) {
+    switch (node.type) {
+        case 'Literal':
+            if (typeof node.value === 'string') return [quoteString(node.value), PRECEDENCE.primary];
+            if (typeof node.value === 'number' && node.value < 0) return [String(node.value), PRECEDENCE.unary];
+            return [String(node.value), PRECEDENCE.primary];
+
+        case 'Var':
+            return [node.name, PRECEDENCE.primary];
+
+        case 'Entity':
+            return [formatUid(node.uid), PRECEDENCE.primary];
+
+        case 'Set':
+            return [`[${node.elements.map(element => formatExpression(element)).join(', ')}]`, PRECEDENCE.primary];
+
+        case 'Record':
+            return [`{${node.fields.map(field => `${formatName(field.key)}: ${formatExpression(field.value)}`).join(', ')}}`, PRECEDENCE.primary];
+
+        case 'Call':
+            return [`${node.fn}(${node.args.map(arg => formatExpression(arg)).join(', ')})`, PRECEDENCE.primary];
+
+        case 'GetAttr': {
+            const object = formatExpression(node.object, PRECEDENCE.member);
+            const access = IDENTIFIER.test(node.attr) ? `.${node.attr}` : `[${quoteString(node.attr)}]`;
+            return [object + access, PRECEDENCE.member];
+        }
+
+        case 'MethodCall': {
+            const args = node.args.map(arg => formatExpression(arg)).join(', ');
+            return [`${formatExpression(node.object, PRECEDENCE.member)}.${node.method}(${args})`, PRECEDENCE.member];
+        }
+
+        case 'Unary':
+            return [`${node.op}${formatExpression(node.operand, PRECEDENCE.unary)}`, PRECEDENCE.unary];
+
+        case 'Has':
+            return [`${formatExpression(node.object, PRECEDENCE.add)} has ${formatName(node.attr)}`, PRECEDENCE.relation];
+
+        case 'Like': {
+            const pattern = node.pattern.map(part => (part === WILDCARD ? '*' : quoteString(part, true).slice(1, -1))).join('');
+            return [`${formatExpression(node.object, PRECEDENCE.add)} like "${pattern}"`, PRECEDENCE.relation];
+        }
+
+        case 'Is': {
+            const suffix = node.in ? ` in ${formatExpression(node.in, PRECEDENCE.add)}` : '';
+            return [`${formatExpression(node.object, PRECEDENCE.add)} is ${node.entityType}${suffix}`, PRECEDENCE.relation];
+        }
+
+        case 'If':
+            return [`if ${formatExpression(node.test)} then ${formatExpression(node.consequent)} else ${formatExpression(node.alternate)}`, PRECEDENCE.if];
+
+        case 'Binary': {
+            const precedence = BINARY_PRECEDENCE[node.op];
+            // || && + - * are left-associative; relations take additive operands on both sides
+            const leftMinimum = precedence === PRECEDENCE.relation ? PRECEDENCE.add : precedence;
+            const rightMinimum = precedence === PRECEDENCE.relation ? PRECEDENCE.add : precedence + 1;
+            return [`${formatExpression(node.left, leftMinimum)} ${node.op} ${formatExpression(node.right, rightMinimum)}`, precedence];
+        }
+
+        default:
+            throw new Error(`Cannot format expression node '${node.type}'`);
+    }
+}
+
+function formatScope(variable, constraint) {
+    switch (constraint.op) {
+        case '==':
+            return `${variable} == ${formatUid(constraint.entity)}`;
+        case 'in':
+            if (constraint.entities) {
+                const entities = [...constraint.entities].sort((a, b) => formatUid(a).localeCompare(formatUid(b)));
+                return `${variable} in [${entities.map(formatUid).join(', ')}]`;
+            }
+            return `${variable} in ${formatUid(constraint.entity)}`;
+        case 'is':
+            return `${variable} is ${constraint.entity_type}` + (constraint.in ? ` in ${formatUid(constraint.in.entity)}` : '');
+        default:
+            return variable;
+    }
+}
+
+// One policy in canonical form. The id is always written as @id so that
+// reordering never renumbers Cedar's positional default ids.
+export function formatPolicy(policy) {
+    const annotations = Object.entries({ ...policy.annotations, id: policy.id })
+        .sort(([a], [b]) => (a === 'id' ? -1 : b === 'id' ? 1 : a.localeCompare(b)))
+        .map(([key, value]) => `@${key}(${quoteString(value)})\n`)
+        .join('');
+
+    const conditions = policy.conditions
+        .map(condition => ` ${condition.kind} {\n    ${formatExpression(condition.body)}\n}`)
+        .join('');
+
+    return `${annotations}${policy.effect}(\n` +
+        `    ${formatScope('principal', policy.principal)},\n` +
+        `    ${formatScope('action', policy.action)},\n` +
+        `    ${formatScope('resource', policy.resource)}\n` +
+        `)${conditions};\n`;
+}
+
+// A policy set in canonical form: policies ordered by id, separated by blank lines
+export function formatPolicySet(policies) {
+    return [...policies]
+        .sort((a, b) => a.id.localeCompare(b.id, 'en', { numeric: true }))
+        .map(formatPolicy)
+        .join('\n');
+}
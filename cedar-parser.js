@@ -0,0 +1,598 @@
+// Cedar policy language tokenizer and parser
+//
+// Turns Cedar policy text into an AST shared by server.js and the dynamic policy
+// server. Scope constraints follow the shape of Cedar's JSON policy format
+// ({ op: 'All' | '==' | 'in' | 'is', entity, entities, entity_type }); condition
+// bodies are expression nodes with a `type` field and a `loc` for error reporting.
+
+export class CedarSyntaxError extends Error {
+    constructor(reason, line, column) {
+        super(`${reason} at line ${line}, column ${column}`);
+        this.name = 'CedarSyntaxError';
+        this.reason = reason;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+// Wildcard marker inside `like` patterns
+export const WILDCARD = Symbol('wildcard');
+
+const KEYWORDS = new Set(['permit', 'forbid', 'when', 'unless', 'true', 'false', 'if', 'then', 'else', 'in', 'like', 'has', 'is']);
+const VARIABLES = new Set(['principal', 'action', 'resource', 'context']);
+const PUNCTUATION = ['::', ':', '==', '!=', '<=', '>=', '&&', '||', '(', ')', '[', ']', '{', '}', ',', ';', '.', '<', '>', '!', '+', '-', '*', '@', '?'];
+const RELATIONAL_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=']);
+
+// Split policy text into tokens, tracking line and column of each one
+export function tokenize(text) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+    let column = 1;
+
+    const advance = (count) => {
+        for (let i = 0; i < count; i++) {
+            if (text[pos] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            pos++;
+        }
+    };
+
+    while (pos < text.length) {
+        const ch = text[pos];
+
+        if (/\s/.test(ch)) {
+            advance(1);
+            continue;
+        }
+
+        if (text.startsWith('//', pos)) {
+            while (pos < text.length && text[pos] !== '\n') advance(1);
+            continue;
+        }
+
+        const start = { line, column };
+
+        if (/[A-Za-z_]/.test(ch)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(pos));
+            const value = match[0];
+            tokens.push({ kind: KEYWORDS.has(value) ? 'keyword' : 'ident', value, ...start });
+            advance(value.length);
+            continue;
+        }
+
+        if (/[0-9]/.test(ch)) {
+            const match = /^[0-9]+/.exec(text.slice(pos));
+            tokens.push({ kind: 'number', value: Number(match[0]), ...start });
+            advance(match[0].length);
+            continue;
+        }
+
+        if (ch === '"') {
+            let end = pos + 1;
+            while (end < text.length && text[end] !== '"') {
+                if (text[end] === '\n') break;
+                end += text[end] === '\\' ? 2 : 1;
+            }
+            if (text[end] !== '"') {
+                throw new CedarSyntaxError('unterminated string literal', start.line, start.column);
+            }
+            const raw = text.slice(pos + 1, end);
+            tokens.push({ kind: 'string', value: unescapeString(raw, start), raw, ...start });
+            advance(end - pos + 1);
+            continue;
+        }
+
+        const punct = PUNCTUATION.find(p => text.startsWith(p, pos));
+        if (punct) {
+            tokens.push({ kind: 'punct', value: punct, ...start });
+            advance(punct.length);
+            continue;
+        }
+
+        throw new CedarSyntaxError(`unexpected character '${ch}'`, line, column);
+    }
+
+    tokens.push({ kind: 'eof', value: '', line, column });
+    return tokens;
+}
+
+// Decode escape sequences in a string literal. In patterns, `\*` stays a
+// literal star and a bare `*` becomes WILDCARD.
+function unescapeString(raw, loc, pattern = false) {
+    const parts = [];
+    let current = '';
+
+    for (let i = 0; i < raw.length; i++) {
+        const ch = raw[i];
+
+        if (pattern && ch === '*') {
+            if (current) parts.push(current);
+            parts.push(WILDCARD);
+            current = '';
+            continue;
+        }
+
+        if (ch !== '\\') {
+            current += ch;
+            continue;
+        }
+
+        const next = raw[++i];
+        switch (next) {
+            case 'n': current += '\n'; break;
+            case 'r': current += '\r'; break;
+            case 't': current += '\t'; break;
+            case '0': current += '\0'; break;
+            case '\\': current += '\\'; break;
+            case '"': current += '"'; break;
+            case "'": current += "'"; break;
+            case '*':
+                // Only meaningful inside `like` patterns; elsewhere it is just a star
+                current += '*';
+                break;
+            case 'u': {
+                const match = /^\{([0-9a-fA-F]{1,6})\}/.exec(raw.slice(i + 1));
+                if (!match) {
+                    throw new CedarSyntaxError('invalid unicode escape in string literal', loc.line, loc.column);
+                }
+                current += String.fromCodePoint(parseInt(match[1], 16));
+                i += match[0].length;
+                break;
+            }
+            default:
+                throw new CedarSyntaxError(`invalid escape sequence '\\${next ?? ''}' in string literal`, loc.line, loc.column);
+        }
+    }
+
+    if (!pattern) return current;
+    if (current) parts.push(current);
+    return parts;
+}
+
+// Recursive-descent parser over the token stream
+class Parser {
+    constructor(text) {
+        this.tokens = tokenize(text);
+        this.pos = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.kind !== 'eof') this.pos++;
+        return token;
+    }
+
+    check(value, kind = null) {
+        const token = this.peek();
+        return token.value === value && (kind ? token.kind === kind : token.kind !== 'string');
+    }
+
+    accept(value) {
+        if (this.check(value)) {
+            return this.next();
+        }
+        return null;
+    }
+
+    expect(value, what = `'${value}'`) {
+        const token = this.accept(value);
+        if (!token) this.fail(`expected ${what}`);
+        return token;
+    }
+
+    fail(reason, token = this.peek()) {
+        const found = token.kind === 'eof' ? 'end of input' :
+            token.kind === 'string' ? `string "${token.raw}"` : `'${token.value}'`;
+        throw new CedarSyntaxError(`${reason}, found ${found}`, token.line, token.column);
+    }
+
+    // PolicySet ::= {Policy}
+    parsePolicySet() {
+        const policies = [];
+        const ids = new Set();
+        while (this.peek().kind !== 'eof') {
+            const policy = this.parsePolicy(`policy${policies.length}`);
+            if (ids.has(policy.id)) {
+                throw new CedarSyntaxError(`duplicate policy id '${policy.id}'`, policy.loc.line, policy.loc.column);
+            }
+            ids.add(policy.id);
+            policies.push(policy);
+        }
+        return policies;
+    }
+
+    // Policy ::= {Annotation} Effect '(' Scope ')' {Condition} ';'
+    // An @id annotation replaces the default id.
+    parsePolicy(defaultId) {
+        const annotations = this.parseAnnotations();
+
+        const effectToken = this.peek();
+        if (effectToken.kind !== 'keyword' || (effectToken.value !== 'permit' && effectToken.value !== 'forbid')) {
+            this.fail("expected 'permit' or 'forbid'");
+        }
+        this.next();
+
+        this.expect('(');
+        const principal = this.parseScopeConstraint('principal');
+        this.expect(',');
+        const action = this.parseActionConstraint();
+        this.expect(',');
+        const resource = this.parseScopeConstraint('resource');
+        this.expect(')');
+
+        const conditions = [];
+        while (this.check('when', 'keyword') || this.check('unless', 'keyword')) {
+            const kind = this.next().value;
+            this.expect('{');
+            const body = this.parseExpression();
+            this.expect('}');
+            conditions.push({ kind, body });
+        }
+
+        this.expect(';', "';' after policy");
+
+        return {
+            id: annotations.id ?? defaultId,
+            annotations,
+            effect: effectToken.value,
+            principal,
+            action,
+            resource,
+            conditions,
+            loc: { line: effectToken.line, column: effectToken.column }
+        };
+    }
+
+    // Annotation ::= '@' IDENT ['(' STR ')']
+    parseAnnotations() {
+        const annotations = {};
+        while (this.check('@')) {
+            this.next();
+            const key = this.next();
+            if (key.kind !== 'ident' && key.kind !== 'keyword') this.fail('expected annotation name', key);
+            if (Object.hasOwn(annotations, key.value)) {
+                throw new CedarSyntaxError(`duplicate annotation '@${key.value}'`, key.line, key.column);
+            }
+
+            let value = '';
+            if (this.accept('(')) {
+                const str = this.next();
+                if (str.kind !== 'string') this.fail('expected annotation value string', str);
+                value = str.value;
+                this.expect(')');
+            }
+            annotations[key.value] = value;
+        }
+        return annotations;
+    }
+
+    // principal / resource [ '==' Entity | 'in' Entity | 'is' Path ['in' Entity] ]
+    parseScopeConstraint(variable) {
+        const token = this.peek();
+        if (token.kind !== 'ident' || token.value !== variable) {
+            this.fail(`expected '${variable}'`);
+        }
+        this.next();
+
+        if (this.accept('==')) {
+            return { op: '==', entity: this.parseEntityReference() };
+        }
+        if (this.check('in', 'keyword')) {
+            this.next();
+            return { op: 'in', entity: this.parseEntityReference() };
+        }
+        if (this.check('is', 'keyword')) {
+            this.next();
+            const constraint = { op: 'is', entity_type: this.parsePath() };
+            if (this.check('in', 'keyword')) {
+                this.next();
+                constraint.in = { entity: this.parseEntityReference() };
+            }
+            return constraint;
+        }
+        return { op: 'All' };
+    }
+
+    // action [ '==' Entity | 'in' Entity | 'in' '[' Entity {',' Entity} ']' ]
+    parseActionConstraint() {
+        const token = this.peek();
+        if (token.kind !== 'ident' || token.value !== 'action') {
+            this.fail("expected 'action'");
+        }
+        this.next();
+
+        if (this.accept('==')) {
+            return { op: '==', entity: this.parseEntityReference() };
+        }
+        if (this.check('in', 'keyword')) {
+            this.next();
+            if (this.accept('[')) {
+                const entities = [];
+                if (!this.check(']')) {
+                    do {
+                        entities.push(this.parseEntityReference());
+                    } while (this.accept(','));
+                }
+                this.expect(']');
+                return { op: 'in', entities };
+            }
+            return { op: 'in', entity: this.parseEntityReference() };
+        }
+        return { op: 'All' };
+    }
+
+    // Path ::= IDENT {'::' IDENT}
+    parsePath() {
+        const first = this.next();
+        if (first.kind !== 'ident') this.fail('expected entity type name', first);
+        const segments = [first.value];
+        while (this.check('::') && this.peek(1).kind === 'ident') {
+            this.next();
+            segments.push(this.next().value);
+        }
+        return segments.join('::');
+    }
+
+    // Entity ::= Path '::' STR
+    parseEntityReference() {
+        const start = this.peek();
+        if (start.kind !== 'ident') this.fail('expected entity reference');
+        const type = this.parsePath();
+        this.expect('::', "'::' in entity reference");
+        const idToken = this.next();
+        if (idToken.kind !== 'string') this.fail('expected quoted entity id', idToken);
+        return { type, id: idToken.value };
+    }
+
+    // Expr ::= 'if' Expr 'then' Expr 'else' Expr | Or
+    parseExpression() {
+        const token = this.peek();
+        if (this.check('if', 'keyword')) {
+            this.next();
+            const test = this.parseExpression();
+            this.expect('then');
+            const consequent = this.parseExpression();
+            this.expect('else');
+            const alternate = this.parseExpression();
+            return { type: 'If', test, consequent, alternate, loc: locOf(token) };
+        }
+        return this.parseOr();
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.check('||')) {
+            const op = this.next();
+            left = { type: 'Binary', op: '||', left, right: this.parseAnd(), loc: locOf(op) };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseRelation();
+        while (this.check('&&')) {
+            const op = this.next();
+            left = { type: 'Binary', op: '&&', left, right: this.parseRelation(), loc: locOf(op) };
+        }
+        return left;
+    }
+
+    // Relation ::= Add [RELOP Add | 'has' (IDENT | STR) | 'like' PAT | 'is' Path ['in' Add]]
+    parseRelation() {
+        const left = this.parseAdd();
+        const token = this.peek();
+
+        if (token.kind === 'punct' && RELATIONAL_OPERATORS.has(token.value)) {
+            this.next();
+            return { type: 'Binary', op: token.value, left, right: this.parseAdd(), loc: locOf(token) };
+        }
+        if (this.check('in', 'keyword')) {
+            this.next();
+            return { type: 'Binary', op: 'in', left, right: this.parseAdd(), loc: locOf(token) };
+        }
+        if (this.check('has', 'keyword')) {
+            this.next();
+            const attr = this.next();
+            if (attr.kind !== 'ident' && attr.kind !== 'keyword' && attr.kind !== 'string') {
+                this.fail("expected attribute name after 'has'", attr);
+            }
+            return { type: 'Has', object: left, attr: attr.value, loc: locOf(token) };
+        }
+        if (this.check('like', 'keyword')) {
+            this.next();
+            const patternToken = this.next();
+            if (patternToken.kind !== 'string') this.fail("expected pattern string after 'like'", patternToken);
+            const pattern = unescapeString(patternToken.raw, patternToken, true);
+            return { type: 'Like', object: left, pattern, loc: locOf(token) };
+        }
+        if (this.check('is', 'keyword')) {
+            this.next();
+            const node = { type: 'Is', object: left, entityType: this.parsePath(), loc: locOf(token) };
+            if (this.check('in', 'keyword')) {
+                this.next();
+                node.in = this.parseAdd();
+            }
+            return node;
+        }
+        return left;
+    }
+
+    parseAdd() {
+        let left = this.parseMult();
+        while (this.check('+') || this.check('-')) {
+            const op = this.next();
+            left = { type: 'Binary', op: op.value, left, right: this.parseMult(), loc: locOf(op) };
+        }
+        return left;
+    }
+
+    parseMult() {
+        let left = this.parseUnary();
+        while (this.check('*')) {
+            const op = this.next();
+            left = { type: 'Binary', op: '*', left, right: this.parseUnary(), loc: locOf(op) };
+        }
+        return left;
+    }
+
+    // Unary ::= ['!' | '-'] Unary | Member
+    parseUnary() {
+        const token = this.peek();
+        if (this.check('!') || this.check('-')) {
+            this.next();
+            const operand = this.parseUnary();
+            if (token.value === '-' && operand.type === 'Literal' && typeof operand.value === 'number') {
+                return { type: 'Literal', value: -operand.value, loc: locOf(token) };
+            }
+            return { type: 'Unary', op: token.value, operand, loc: locOf(token) };
+        }
+        return this.parseMember();
+    }
+
+    // Member ::= Primary {'.' IDENT ['(' ExprList ')'] | '[' STR ']'}
+    parseMember() {
+        let object = this.parsePrimary();
+
+        for (;;) {
+            const token = this.peek();
+            if (this.accept('.')) {
+                const name = this.next();
+                if (name.kind !== 'ident' && name.kind !== 'keyword') {
+                    this.fail("expected attribute or method name after '.'", name);
+                }
+                if (this.accept('(')) {
+                    const args = this.parseExpressionList(')');
+                    object = { type: 'MethodCall', object, method: name.value, args, loc: locOf(name) };
+                } else {
+                    object = { type: 'GetAttr', object, attr: name.value, loc: locOf(name) };
+                }
+            } else if (this.accept('[')) {
+                const key = this.next();
+                if (key.kind !== 'string') this.fail('expected string attribute name in index', key);
+                this.expect(']');
+                object = { type: 'GetAttr', object, attr: key.value, loc: locOf(token) };
+            } else {
+                return object;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.kind === 'number' || token.kind === 'string') {
+            this.next();
+            return { type: 'Literal', value: token.value, loc: locOf(token) };
+        }
+        if (token.kind === 'keyword' && (token.value === 'true' || token.value === 'false')) {
+            this.next();
+            return { type: 'Literal', value: token.value === 'true', loc: locOf(token) };
+        }
+        if (this.accept('(')) {
+            const expr = this.parseExpression();
+            this.expect(')');
+            return expr;
+        }
+        if (this.accept('[')) {
+            return { type: 'Set', elements: this.parseExpressionList(']'), loc: locOf(token) };
+        }
+        if (this.accept('{')) {
+            return { type: 'Record', fields: this.parseRecordInits(), loc: locOf(token) };
+        }
+        if (token.kind === 'ident') {
+            return this.parseNameOrReference();
+        }
+        this.fail('expected expression');
+    }
+
+    // Variable, entity reference (Path::"id") or extension function call (Path(...))
+    parseNameOrReference() {
+        const start = this.peek();
+        const segments = [this.next().value];
+
+        while (this.check('::')) {
+            const after = this.peek(1);
+            if (after.kind === 'string') {
+                this.next();
+                this.next();
+                return { type: 'Entity', uid: { type: segments.join('::'), id: after.value }, loc: locOf(start) };
+            }
+            if (after.kind !== 'ident') {
+                this.next();
+                this.fail("expected identifier or quoted entity id after '::'");
+            }
+            this.next();
+            segments.push(this.next().value);
+        }
+
+        const name = segments.join('::');
+        if (this.accept('(')) {
+            return { type: 'Call', fn: name, args: this.parseExpressionList(')'), loc: locOf(start) };
+        }
+        if (segments.length === 1 && VARIABLES.has(name)) {
+            return { type: 'Var', name, loc: locOf(start) };
+        }
+        throw new CedarSyntaxError(`unknown identifier '${name}'`, start.line, start.column);
+    }
+
+    parseExpressionList(closing) {
+        const items = [];
+        if (!this.check(closing)) {
+            do {
+                items.push(this.parseExpression());
+            } while (this.accept(','));
+        }
+        this.expect(closing);
+        return items;
+    }
+
+    // RecInits ::= (IDENT | STR) ':' Expr {',' ...}
+    parseRecordInits() {
+        const fields = [];
+        if (!this.check('}')) {
+            do {
+                const key = this.next();
+                if (key.kind !== 'ident' && key.kind !== 'keyword' && key.kind !== 'string') {
+                    this.fail('expected record key', key);
+                }
+                this.expect(':', "':' in record literal");
+                fields.push({ key: key.value, value: this.parseExpression() });
+            } while (this.accept(','));
+        }
+        this.expect('}');
+        return fields;
+    }
+
+}
+
+function locOf(token) {
+    return { line: token.line, column: token.column };
+}
+
+// Parse a complete policy set. Policies get their @id annotation as id, otherwise
+// Cedar's default ids (policy0, policy1, ...).
+export function parsePolicies(text) {
+    return new Parser(text).parsePolicySet();
+}
+
+// Parse a standalone expression, e.g. for tests or ad hoc conditions
+export function parseExpression(text) {
+    const parser = new Parser(text);
+    const expr = parser.parseExpression();
+    if (parser.peek().kind !== 'eof') parser.fail('unexpected trailing input');
+    return expr;
+}
+
+// Render an entity uid as Cedar source, e.g. MCP::Client::"authenticated"
+export function formatEntityUid(uid) {
+    return `${uid.type}::${JSON.stringify(uid.id)}`;
+}
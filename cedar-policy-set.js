@@ -0,0 +1,96 @@
+// Compiled Cedar policy sets
+//
+// Policy text is parsed once, when a policy is generated or loaded, and indexed by
+// the action and principal entities named in each policy's scope. Evaluation only
+// looks at policies whose scope can match the request; isAuthorized still checks
+// the full scope, so the index narrows the candidates but never decides.
+
+import { parsePolicies, formatEntityUid } from './cedar-parser.js';
+import { isAuthorized } from './cedar-evaluator.js';
+
+// Entities a scope constraint names; null when any entity can match (no constraint, `is` without `in`)
+function scopeEntities(constraint) {
+    switch (constraint.op) {
+        case '==':
+            return [constraint.entity];
+        case 'in':
+            return constraint.entities || [constraint.entity];
+        case 'is':
+            return constraint.in ? [constraint.in.entity] : null;
+        default:
+            return null;
+    }
+}
+
+function addToIndex(index, wildcard, constraint, position) {
+    const named = scopeEntities(constraint);
+    if (!named) {
+        wildcard.push(position);
+        return;
+    }
+    for (const uid of named) {
+        const key = formatEntityUid(uid);
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(position);
+    }
+}
+
+export class PolicySet {
+    constructor(policies) {
+        this.policies = policies;
+        this.byAction = new Map(); // formatted action uid -> policy positions
+        this.anyAction = [];
+        this.byPrincipal = new Map(); // formatted principal uid -> policy positions
+        this.anyPrincipal = [];
+
+        policies.forEach((policy, position) => {
+            addToIndex(this.byAction, this.anyAction, policy.action, position);
+            addToIndex(this.byPrincipal, this.anyPrincipal, policy.principal, position);
+        });
+    }
+
+    // Parse and index policy text. Throws CedarSyntaxError.
+    static fromText(text) {
+        return new PolicySet(parsePolicies(text));
+    }
+
+    get size() {
+        return this.policies.length;
+    }
+
+    // The uid and every ancestor reachable through the entity graph
+    lineage(uid, entities) {
+        const keys = new Set();
+        const queue = [uid];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            const key = formatEntityUid(current);
+            if (keys.has(key)) continue;
+            keys.add(key);
+            queue.push(...entities.parentsOf(current));
+        }
+        return keys;
+    }
+
+    positionsFor(index, wildcard, uid, entities) {
+        const positions = new Set(wildcard);
+        for (const key of this.lineage(uid, entities)) {
+            for (const position of index.get(key) || []) positions.add(position);
+        }
+        return positions;
+    }
+
+    // Policies whose action and principal scope may match the request, in policy order
+    candidatesFor(request, entities) {
+        const byPrincipal = this.positionsFor(this.byPrincipal, this.anyPrincipal, request.principal, entities);
+        return Array.from(this.positionsFor(this.byAction, this.anyAction, request.action, entities))
+            .filter(position => byPrincipal.has(position))
+            .sort((a, b) => a - b)
+            .map(position => this.policies[position]);
+    }
+
+    // Cedar authorization over the candidate policies. `entities` must also provide parentsOf(uid).
+    authorize(request, entities) {
+        return isAuthorized(this.candidatesFor(request, entities), request, entities);
+    }
+}
@@ -0,0 +1,441 @@
+// Cedar schema validation
+//
+// Type-checks parsed policies (cedar-parser.js AST) against a Cedar JSON schema
+// before they are activated. Each policy is checked once per request environment
+// (principal type, action, resource type) its scope allows, the way Cedar's
+// strict validator does, and problems come back as a list of structured errors
+// ({ policyId, code, message, line, column }) using Cedar's error code names.
+
+import { readFileSync } from 'fs';
+import { formatEntityUid } from './cedar-parser.js';
+
+const BOOL = { kind: 'Bool' };
+const LONG = { kind: 'Long' };
+const STRING = { kind: 'String' };
+const UNKNOWN = { kind: 'Unknown' };
+
+// Raised when generated policies fail schema validation; `errors` holds the details
+export class CedarValidationError extends Error {
+    constructor(errors) {
+        const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+        super(`Policy failed schema validation: ${errors[0]?.message}${more}`);
+        this.name = 'CedarValidationError';
+        this.errors = errors;
+    }
+}
+
+function qualify(namespace, name) {
+    return !namespace || name.includes('::') ? name : `${namespace}::${name}`;
+}
+
+function describeType(type) {
+    switch (type.kind) {
+        case 'Set': return `Set<${describeType(type.element)}>`;
+        case 'Entity': return type.types.join(' | ');
+        case 'Record': return `{ ${Object.keys(type.attrs).join(', ')} }`;
+        default: return type.kind;
+    }
+}
+
+export class CedarSchema {
+    constructor() {
+        this.entityTypes = new Map(); // qualified name -> { memberOfTypes, shape }
+        this.actions = new Map(); // MCP::Action::"id" -> { uid, principalTypes, resourceTypes, context }
+        this.actionTypes = new Set(); // MCP::Action per namespace
+    }
+
+    // Build a schema from Cedar's JSON schema format (object or JSON string)
+    static fromJSON(json) {
+        const schema = new CedarSchema();
+        const namespaces = typeof json === 'string' ? JSON.parse(json) : json;
+
+        for (const [namespace, definition] of Object.entries(namespaces)) {
+            const commonTypes = definition.commonTypes || {};
+            const resolve = type => schema.resolveType(type, namespace, commonTypes);
+
+            for (const [name, entityType] of Object.entries(definition.entityTypes || {})) {
+                schema.entityTypes.set(qualify(namespace, name), {
+                    memberOfTypes: (entityType.memberOfTypes || []).map(parent => qualify(namespace, parent)),
+                    shape: entityType.shape ? resolve(entityType.shape) : { kind: 'Record', attrs: {} }
+                });
+            }
+
+            const actionType = qualify(namespace, 'Action');
+            schema.actionTypes.add(actionType);
+            for (const [id, action] of Object.entries(definition.actions || {})) {
+                const appliesTo = action.appliesTo || {};
+                const uid = { type: actionType, id };
+                schema.actions.set(formatEntityUid(uid), {
+                    uid,
+                    principalTypes: (appliesTo.principalTypes || []).map(type => qualify(namespace, type)),
+                    resourceTypes: (appliesTo.resourceTypes || []).map(type => qualify(namespace, type)),
+                    context: appliesTo.context ? resolve(appliesTo.context) : { kind: 'Record', attrs: {} }
+                });
+            }
+        }
+        return schema;
+    }
+
+    static fromFile(filePath) {
+        return CedarSchema.fromJSON(readFileSync(filePath, 'utf8'));
+    }
+
+    // Translate a JSON schema type into the validator's type representation
+    resolveType(type, namespace, commonTypes) {
+        switch (type.type) {
+            case 'Boolean': return BOOL;
+            case 'Long': return LONG;
+            case 'String': return STRING;
+            case 'Set': return { kind: 'Set', element: this.resolveType(type.element, namespace, commonTypes) };
+            case 'Entity': return { kind: 'Entity', types: [qualify(namespace, type.name)] };
+            case 'Extension': return UNKNOWN;
+            case 'Record': {
+                const attrs = {};
+                for (const [name, attr] of Object.entries(type.attributes || {})) {
+                    attrs[name] = {
+                        type: this.resolveType(attr, namespace, commonTypes),
+                        required: attr.required !== false
+                    };
+                }
+                return { kind: 'Record', attrs };
+            }
+        }
+
+        const commonName = type.type.includes('::') ? type.type.split('::').pop() : type.type;
+        if (commonTypes[commonName]) {
+            return this.resolveType(commonTypes[commonName], namespace, commonTypes);
+        }
+        throw new Error(`Unknown type '${type.type}' in Cedar schema`);
+    }
+
+    isActionType(type) {
+        return this.actionTypes.has(type);
+    }
+
+    // Whether entities of `type` may be `in` entities of `ancestorType`
+    canBeMemberOf(type, ancestorType) {
+        const seen = new Set();
+        const queue = [type];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === ancestorType) return true;
+            if (seen.has(current)) continue;
+            seen.add(current);
+            queue.push(...(this.entityTypes.get(current)?.memberOfTypes || []));
+        }
+        return false;
+    }
+}
+
+// Checks condition expressions for one request environment
+class ExpressionTypeChecker {
+    constructor(schema, environment, report) {
+        this.schema = schema;
+        this.environment = environment;
+        this.report = report;
+    }
+
+    expect(node, type, kind) {
+        if (type.kind !== 'Unknown' && type.kind !== kind) {
+            this.report('UnexpectedType', `expected ${kind} but found ${describeType(type)}`, node.loc);
+        }
+    }
+
+    // `guards` holds attribute paths proven present by `has` checks earlier in a && chain
+    typeOf(node, guards) {
+        switch (node.type) {
+            case 'Literal':
+                if (typeof node.value === 'boolean') return BOOL;
+                return typeof node.value === 'number' ? LONG : STRING;
+
+            case 'Var':
+                if (node.name === 'principal') return { kind: 'Entity', types: [this.environment.principalType] };
+                if (node.name === 'resource') return { kind: 'Entity', types: [this.environment.resourceType] };
+                if (node.name === 'action') return { kind: 'Entity', types: [this.environment.action.uid.type] };
+                return this.environment.action.context;
+
+            case 'Entity':
+                return this.entityLiteralType(node);
+
+            case 'Set': {
+                const elements = node.elements.map(element => this.typeOf(element, guards));
+                return { kind: 'Set', element: elements[0] || UNKNOWN };
+            }
+
+            case 'Record': {
+                const attrs = {};
+                for (const field of node.fields) {
+                    attrs[field.key] = { type: this.typeOf(field.value, guards), required: true };
+                }
+                return { kind: 'Record', attrs };
+            }
+
+            case 'GetAttr':
+                return this.attributeType(node, guards);
+
+            case 'Has': {
+                const objectType = this.typeOf(node.object, guards);
+                if (!['Entity', 'Record', 'Unknown'].includes(objectType.kind)) {
+                    this.report('UnexpectedType', `'has' needs an entity or record but found ${describeType(objectType)}`, node.loc);
+                }
+                return BOOL;
+            }
+
+            case 'Like':
+                this.expect(node, this.typeOf(node.object, guards), 'String');
+                return BOOL;
+
+            case 'Is':
+                this.expect(node, this.typeOf(node.object, guards), 'Entity');
+                this.checkEntityType(node.entityType, node.loc);
+                return BOOL;
+
+            case 'Unary': {
+                const operandType = this.typeOf(node.operand, guards);
+                this.expect(node, operandType, node.op === '!' ? 'Bool' : 'Long');
+                return node.op === '!' ? BOOL : LONG;
+            }
+
+            case 'If': {
+                this.expect(node.test, this.typeOf(node.test, guards), 'Bool');
+                const consequent = this.typeOf(node.consequent, new Set([...guards, ...guardsOf(node.test)]));
+                this.typeOf(node.alternate, guards);
+                return consequent;
+            }
+
+            case 'Binary':
+                return this.binaryType(node, guards);
+
+            case 'MethodCall':
+                return this.methodType(node, guards);
+
+            case 'Call':
+                node.args.forEach(arg => this.typeOf(arg, guards));
+                this.report('UndefinedFunction', `extension function '${node.fn}' is not supported`, node.loc);
+                return UNKNOWN;
+
+            default:
+                return UNKNOWN;
+        }
+    }
+
+    entityLiteralType(node) {
+        const uid = node.uid;
+        if (this.schema.isActionType(uid.type)) {
+            if (!this.schema.actions.has(formatEntityUid(uid))) {
+                this.report('UnrecognizedActionId', `unrecognized action ${formatEntityUid(uid)}`, node.loc);
+            }
+            return { kind: 'Entity', types: [uid.type] };
+        }
+        return this.checkEntityType(uid.type, node.loc) ? { kind: 'Entity', types: [uid.type] } : UNKNOWN;
+    }
+
+    checkEntityType(type, loc) {
+        if (this.schema.entityTypes.has(type) || this.schema.isActionType(type)) return true;
+        this.report('UnrecognizedEntityType', `unrecognized entity type ${type}`, loc);
+        return false;
+    }
+
+    attributeType(node, guards) {
+        const objectType = this.typeOf(node.object, guards);
+        const path = attributePath(node);
+        let attrs;
+
+        if (objectType.kind === 'Entity') {
+            const [entityType] = objectType.types;
+            attrs = this.schema.entityTypes.get(entityType)?.shape.attrs || {};
+            if (!attrs[node.attr]) {
+                this.report('UnsafeAttributeAccess', `attribute '${node.attr}' is not declared for ${entityType}`, node.loc);
+                return UNKNOWN;
+            }
+        } else if (objectType.kind === 'Record') {
+            attrs = objectType.attrs;
+            if (!attrs[node.attr]) {
+                this.report('UnsafeAttributeAccess', `record has no attribute '${node.attr}'`, node.loc);
+                return UNKNOWN;
+            }
+        } else {
+            if (objectType.kind !== 'Unknown') {
+                this.report('UnexpectedType', `cannot read attribute '${node.attr}' of ${describeType(objectType)}`, node.loc);
+            }
+            return UNKNOWN;
+        }
+
+        if (!attrs[node.attr].required && !(path && guards.has(path))) {
+            const target = path ? path.slice(0, path.lastIndexOf('.')) : 'value';
+            this.report('UnsafeOptionalAttributeAccess',
+                `attribute '${node.attr}' is optional; guard it with '${target} has ${node.attr}'`, node.loc);
+        }
+        return attrs[node.attr].type;
+    }
+
+    binaryType(node, guards) {
+        const { op } = node;
+        const left = this.typeOf(node.left, guards);
+
+        if (op === '&&') {
+            this.expect(node.left, left, 'Bool');
+            this.expect(node.right, this.typeOf(node.right, new Set([...guards, ...guardsOf(node.left)])), 'Bool');
+            return BOOL;
+        }
+
+        const right = this.typeOf(node.right, guards);
+        switch (op) {
+            case '||':
+                this.expect(node.left, left, 'Bool');
+                this.expect(node.right, right, 'Bool');
+                return BOOL;
+            case '==':
+            case '!=':
+                return BOOL;
+            case '<':
+            case '<=':
+            case '>':
+            case '>=':
+                this.expect(node.left, left, 'Long');
+                this.expect(node.right, right, 'Long');
+                return BOOL;
+            case '+':
+            case '-':
+            case '*':
+                this.expect(node.left, left, 'Long');
+                this.expect(node.right, right, 'Long');
+                return LONG;
+            case 'in':
+                this.expect(node.left, left, 'Entity');
+                if (right.kind === 'Set') {
+                    this.expect(node.right, right.element, 'Entity');
+                } else {
+                    this.expect(node.right, right, 'Entity');
+                }
+                return BOOL;
+            default:
+                return UNKNOWN;
+        }
+    }
+
+    methodType(node, guards) {
+        const objectType = this.typeOf(node.object, guards);
+        const argTypes = node.args.map(arg => this.typeOf(arg, guards));
+
+        switch (node.method) {
+            case 'contains':
+                this.expect(node.object, objectType, 'Set');
+                return BOOL;
+            case 'containsAll':
+            case 'containsAny':
+                this.expect(node.object, objectType, 'Set');
+                if (argTypes[0]) this.expect(node.args[0], argTypes[0], 'Set');
+                return BOOL;
+            case 'isEmpty':
+                this.expect(node.object, objectType, 'Set');
+                return BOOL;
+            default:
+                this.report('UndefinedFunction', `method '${node.method}' is not supported`, node.loc);
+                return UNKNOWN;
+        }
+    }
+}
+
+// Dotted path of an attribute access on a variable ("context.amount"), or null
+function attributePath(node) {
+    if (node.type === 'Var') return node.name;
+    if (node.type === 'GetAttr') {
+        const base = attributePath(node.object);
+        return base ? `${base}.${node.attr}` : null;
+    }
+    return null;
+}
+
+// Attribute paths known to exist whenever `node` evaluates to true
+function guardsOf(node) {
+    if (node.type === 'Has') {
+        const base = attributePath(node.object);
+        return base ? [`${base}.${node.attr}`] : [];
+    }
+    if (node.type === 'Binary' && node.op === '&&') {
+        return [...guardsOf(node.left), ...guardsOf(node.right)];
+    }
+    return [];
+}
+
+// Entity types from `types` that satisfy a principal/resource scope constraint
+function typesMatchingScope(schema, constraint, types, report) {
+    const checkDeclared = type => {
+        if (!schema.entityTypes.has(type)) report('UnrecognizedEntityType', `unrecognized entity type ${type}`);
+    };
+
+    switch (constraint.op) {
+        case '==':
+            checkDeclared(constraint.entity.type);
+            return types.filter(type => type === constraint.entity.type);
+        case 'in':
+            checkDeclared(constraint.entity.type);
+            return types.filter(type => schema.canBeMemberOf(type, constraint.entity.type));
+        case 'is':
+            checkDeclared(constraint.entity_type);
+            if (constraint.in) checkDeclared(constraint.in.entity.type);
+            return types.filter(type => type === constraint.entity_type &&
+                (!constraint.in || schema.canBeMemberOf(type, constraint.in.entity.type)));
+        default:
+            return types;
+    }
+}
+
+// Validate one parsed policy, appending structured errors to `errors`
+function validatePolicy(policy, schema, errors) {
+    const seen = new Set();
+    const report = (code, message, loc = policy.loc) => {
+        const key = `${code}:${message}:${loc?.line}:${loc?.column}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        errors.push({ policyId: policy.id, code, message, line: loc?.line ?? null, column: loc?.column ?? null });
+    };
+
+    let actions;
+    if (policy.action.op === 'All') {
+        actions = Array.from(schema.actions.values());
+    } else {
+        actions = [];
+        for (const uid of policy.action.entities || [policy.action.entity]) {
+            const action = schema.actions.get(formatEntityUid(uid));
+            if (action) {
+                actions.push(action);
+            } else {
+                report('UnrecognizedActionId', `unrecognized action ${formatEntityUid(uid)}`);
+            }
+        }
+    }
+
+    const environments = [];
+    for (const action of actions) {
+        const principalTypes = typesMatchingScope(schema, policy.principal, action.principalTypes, report);
+        const resourceTypes = typesMatchingScope(schema, policy.resource, action.resourceTypes, report);
+        for (const principalType of principalTypes) {
+            for (const resourceType of resourceTypes) {
+                environments.push({ principalType, action, resourceType });
+            }
+        }
+    }
+
+    if (actions.length > 0 && environments.length === 0) {
+        report('ImpossiblePolicy', 'policy scope does not match any principal and resource types its actions apply to');
+    }
+
+    for (const environment of environments) {
+        const checker = new ExpressionTypeChecker(schema, environment, report);
+        for (const condition of policy.conditions) {
+            const type = checker.typeOf(condition.body, new Set());
+            checker.expect(condition.body, type, 'Bool');
+        }
+    }
+}
+
+// Validate parsed policies against a schema. Returns [] when every policy type-checks.
+export function validatePolicies(policies, schema) {
+    const errors = [];
+    for (const policy of policies) {
+        validatePolicy(policy, schema, errors);
+    }
+    return errors;
+}
@@ -31,7 +31,6 @@ class DynamicPolicyMCPClient {
                 cwd: process.cwd(),
                 env: {
                     ...process.env,
-                    LLM_SERVICE_URL: 'http://localhost:4000',
                     PORT: '4000'
                 }
             });
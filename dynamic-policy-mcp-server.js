@@ -3,6 +3,31 @@
 import express from 'express';
 import { spawn } from 'child_process';
 import dotenv from 'dotenv';
+import { parsePolicies, CedarSyntaxError } from './cedar-parser.js';
+import { buildRequest, toDiagnostics, toEntityUid, PRINCIPAL_TYPE, CedarEvaluationError } from './cedar-evaluator.js';
+import { effectivePermissions } from './cedar-analysis.js';
+import { PolicySet } from './cedar-policy-set.js';
+import { EntityStore } from './cedar-entities.js';
+import { CedarSchema, validatePolicies, CedarValidationError } from './cedar-validator.js';
+import { AVAILABLE_ACTIONS, AVAILABLE_RESOURCES } from './mcp-catalog.js';
+import { formatPolicy, formatPolicySet } from './cedar-formatter.js';
+import { extractJSON, normalizePolicyResponse, LLMRequestError } from './llm-providers.js';
+import { createFallbackChain, LLMUnavailableError, CircuitOpenError } from './llm-resilience.js';
+import { POLICY_RESPONSE_SCHEMA, validateJSONSchema, PolicyGenerationError } from './llm-response-validation.js';
+import { PermissionCeilings, CeilingViolationError } from './permission-ceilings.js';
+import { permissionSet, selectConsensus, CONSENSUS_STRATEGIES } from './policy-consensus.js';
+import { PolicyCache, policyCacheKey } from './policy-cache.js';
+import { ApprovalQueue, ApprovalError, approvalReasons, RISK_LEVELS } from './policy-approvals.js';
+import { createPolicyStore } from './policy-store.js';
+import { PolicyVersionHistory } from './policy-versions.js';
+import { policyTtl, isExpired, PolicyLifetimeError, RETIREMENT_STATUSES } from './policy-lifecycle.js';
+import { diffPolicies, PolicyDiffError } from './policy-diff.js';
+import { parseEscalationRequirements, escalationCheck, RescopeError } from './policy-rescope.js';
+import { generateRuleBasedPolicy, generateRestrictedPolicy } from './rule-based-policy-generator.js';
+import { sanitizeAgentInput, detectInjection, PromptInjectionError, INJECTION_MODES } from './prompt-injection.js';
+import { PromptTemplate, DEFAULT_TEMPLATE_NAME, PROMPT_VARIABLES, REPAIR_VARIABLES, promptVariables } from './prompt-templates.js';
+import path from 'path';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
 
 // Load environment variables
 dotenv.config();
@@ -10,18 +35,262 @@ dotenv.config();
 const app = express();
 app.use(express.json());
 
+// Upper bound on tuples per POST /api/authz/batch call
+const MAX_BATCH_SIZE = 100;
+
+// Authentication levels that make an agent a member of MCP::Client::"authenticated"
+const AUTHENTICATED_LEVELS = ['basic', 'oauth', 'mfa'];
+
+// Ways a policy can be generated (POLICY_GENERATOR)
+const GENERATION_MODES = ['llm', 'rule-based'];
+
 // Dynamic Policy MCP Server with LLM-Generated Cedar Policies
 class DynamicPolicyMCPServer {
     constructor() {
-        this.activePolicies = new Map(); // agentId -> generatedPolicy
+        this.activePolicies = new Map(); // agentId -> { text, policySet, metadata, prompts }
         this.agentContexts = new Map(); // agentId -> {task, authentication, roles}
-        this.llmServiceUrl = process.env.LLM_SERVICE_URL || 'http://localhost:4000';
+        this.retiredAgents = new Map(); // agentId -> { status: expired | revoked | completed, retiredAt, actor, reason }
+        this.agentTokens = new Map(); // agentId -> SHA-256 of the token issued with its generated policy
+
+        // Policy lifetime: derived from the request or the task, never longer than the maximum
+        this.defaultTtlSeconds = parseInt(process.env.POLICY_DEFAULT_TTL_SECONDS || '3600', 10);
+        this.maxTtlSeconds = parseInt(process.env.POLICY_MAX_TTL_SECONDS || '86400', 10);
+
+        // Every change to the maps above and to approval requests is written through to the store
+        this.policyStore = createPolicyStore();
+
+        // Every policy an agent has been given, as immutable numbered versions
+        this.policyVersions = new PolicyVersionHistory({ onAppend: version => this.policyStore.appendVersion(version) });
+
+        // 'llm' (default) or 'rule-based' for offline, deterministic generation
+        this.generationMode = (process.env.POLICY_GENERATOR || 'llm').toLowerCase();
+        if (!GENERATION_MODES.includes(this.generationMode)) {
+            throw new Error(`Unknown POLICY_GENERATOR '${this.generationMode}' (expected one of: ${GENERATION_MODES.join(', ')})`);
+        }
+        console.log(`🏭 Policy generator: ${this.generationMode}`);
+
+        // LLMs that generate policies, tried in order: LLM_FALLBACK_CHAIN, or just LLM_PROVIDER.
+        // None in rule-based mode, where no LLM is called.
+        this.llmChain = this.generationMode === 'llm' ? createFallbackChain() : [];
+        this.llmChain.forEach(({ label, client }, index) => {
+            const llmConfig = client ? client.describe() : null;
+            console.log(`🧠 LLM chain link ${index + 1}: ${label}${llmConfig ? ` at ${llmConfig.apiUrl || '(no API URL configured)'} (timeout ${llmConfig.timeoutMs}ms, ${llmConfig.maxRetries} retries)` : ' (deterministic)'}`);
+        });
+
+        // Model replies rejected by validation are re-prompted with the errors up to this many times in total
+        this.maxGenerationAttempts = Math.max(1, parseInt(process.env.POLICY_GENERATION_MAX_ATTEMPTS || '3', 10) || 1);
+
+        // Administrator-defined maximum permissions per authentication level and role
+        const ceilingsFile = process.env.PERMISSION_CEILINGS_FILE || path.join(process.cwd(), 'permission-ceilings.json');
+        this.ceilings = PermissionCeilings.fromFile(ceilingsFile, { mode: process.env.PERMISSION_CEILING_MODE });
+        console.log(`🧱 Loaded permission ceilings (${this.ceilings.mode} mode) from ${ceilingsFile}`);
+
+        // Optional multi-candidate generation: POLICY_CANDIDATES samples, one kept by POLICY_CONSENSUS_STRATEGY
+        this.candidateCount = Math.max(1, parseInt(process.env.POLICY_CANDIDATES || '1', 10) || 1);
+        this.consensusStrategy = process.env.POLICY_CONSENSUS_STRATEGY || 'most-restrictive';
+        if (!CONSENSUS_STRATEGIES.includes(this.consensusStrategy)) {
+            throw new Error(`Unknown POLICY_CONSENSUS_STRATEGY '${this.consensusStrategy}' (expected one of: ${CONSENSUS_STRATEGIES.join(', ')})`);
+        }
+        if (this.candidateCount > 1) {
+            console.log(`🗳️ Consensus generation: ${this.candidateCount} candidates, ${this.consensusStrategy}`);
+        }
+
+        // Generated policies shared by agents with the same normalized context
+        this.policyCache = new PolicyCache({
+            ttlMs: parseInt(process.env.POLICY_CACHE_TTL_SECONDS || '3600', 10) * 1000,
+            maxEntries: parseInt(process.env.POLICY_CACHE_MAX_ENTRIES || '500', 10)
+        });
+        console.log(`🗃️ Policy cache: ${this.policyCache.enabled ? `${this.policyCache.maxEntries} entries, ${this.policyCache.stats().ttlSeconds}s TTL` : 'disabled'}`);
+
+        // Requests whose task or roles look like instructions to the model are generated
+        // restrictively ('restrict', default) or refused ('refuse')
+        this.injectionMode = (process.env.PROMPT_INJECTION_MODE || 'restrict').toLowerCase();
+        if (!INJECTION_MODES.includes(this.injectionMode)) {
+            throw new Error(`Unknown PROMPT_INJECTION_MODE '${this.injectionMode}' (expected one of: ${INJECTION_MODES.join(', ')})`);
+        }
+        console.log(`🛡️ Prompt-injection handling: ${this.injectionMode}`);
+
+        // Generated policies at or above this risk level, or granting these actions, wait for a reviewer
+        this.approvalRiskThreshold = (process.env.POLICY_APPROVAL_RISK_THRESHOLD || 'HIGH').toUpperCase();
+        if (![...RISK_LEVELS, 'NONE'].includes(this.approvalRiskThreshold)) {
+            throw new Error(`Unknown POLICY_APPROVAL_RISK_THRESHOLD '${this.approvalRiskThreshold}' (expected one of: ${[...RISK_LEVELS, 'NONE'].join(', ')})`);
+        }
+        this.approvalSensitiveActions = (process.env.POLICY_APPROVAL_SENSITIVE_ACTIONS ?? 'access_sensitive_data,execute_admin_actions,modify_settings')
+            .split(',').map(action => action.trim()).filter(Boolean);
+        this.approvals = new ApprovalQueue({ onChange: request => this.policyStore.saveApproval(request) });
+        console.log(`👮 Approval required for risk >= ${this.approvalRiskThreshold}${this.approvalSensitiveActions.length ? ` or grants of ${this.approvalSensitiveActions.join(', ')}` : ''}`);
+
+        // What a re-scope that widens an agent's permissions must satisfy: 'mfa', 'approval', or 'none'
+        this.rescopeEscalation = parseEscalationRequirements(process.env.POLICY_RESCOPE_ESCALATION ?? 'mfa,approval');
+        console.log(`🔭 Re-scope escalations require: ${this.rescopeEscalation.join(', ') || 'nothing'}`);
+
+        // Versioned prompt template, reviewed and changed outside the server code
+        this.promptDirectory = process.env.PROMPT_TEMPLATE_DIR || path.join(process.cwd(), 'prompts');
+        this.promptTemplate = PromptTemplate.load(this.promptDirectory, process.env.PROMPT_TEMPLATE || DEFAULT_TEMPLATE_NAME, process.env.PROMPT_TEMPLATE_VERSION);
+        console.log(`📝 Loaded prompt template ${this.promptTemplate.name} v${this.promptTemplate.version} (${this.promptTemplate.digest.slice(0, 12)}) from ${this.promptTemplate.directory}`);
+
+        // Entities (groups, resource attributes) plus one MCP::Client entity per agent
+        const entitiesFile = process.env.CEDAR_ENTITIES_FILE || path.join(process.cwd(), 'cedar-entities.json');
+        this.entities = EntityStore.fromFile(entitiesFile, { optional: !process.env.CEDAR_ENTITIES_FILE });
+        console.log(`📦 Loaded ${this.entities.size} Cedar entities from ${entitiesFile}`);
+
+        // Schema that generated policies are type-checked against before activation
+        const schemaFile = process.env.CEDAR_SCHEMA_FILE || path.join(process.cwd(), 'mcp.cedarschema.json');
+        this.schema = CedarSchema.fromFile(schemaFile);
+        console.log(`📐 Loaded Cedar schema with ${this.schema.actions.size} actions from ${schemaFile}`);
+
+        this.restoreFromStore();
     }
 
-    // Generate Cedar policy dynamically using LLM
-    async generatePolicyForAgent(agentRequest) {
+    // Reload the policies, agent contexts and approval requests saved by earlier runs.
+    // A policy that no longer compiles is skipped, leaving that agent without one.
+    restoreFromStore() {
+        const approvals = this.policyStore.loadApprovals();
+        this.approvals.restore(approvals);
+        const versions = this.policyStore.loadVersions();
+        this.policyVersions.restore(versions);
+
+        let restored = 0;
+        for (const { agentId, policy, metadata, prompts, context, tokenHash, retirement } of this.policyStore.loadAgents()) {
+            if (tokenHash) {
+                this.agentTokens.set(agentId, tokenHash);
+            }
+            if (retirement) {
+                this.retiredAgents.set(agentId, retirement);
+                continue;
+            }
+            try {
+                const policySet = PolicySet.fromText(policy);
+                this.activePolicies.set(agentId, { text: policy, policySet, metadata, prompts });
+                if (context) {
+                    this.agentContexts.set(agentId, { ...context, createdAt: new Date(context.createdAt) });
+                    this.registerAgentEntity(agentId, context);
+                }
+                restored++;
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] 💾 Could not restore policy for ${agentId}: ${error.message}`);
+            }
+        }
+
+        const store = this.policyStore.describe();
+        console.log(`💾 Policy store (${store.kind}${store.directory ? ` at ${store.directory}` : ''}): restored ${restored} agent policies, ${versions.length} policy versions and ${approvals.length} approval requests`);
+    }
+
+    // Generate Cedar policy dynamically using LLM. Replacing an agent's live policy is
+    // only open to the agent itself or an admin (`actor`), and is held to the re-scope
+    // escalation rules against the context the agent registered with.
+    async generatePolicyForAgent(rawRequest, { actor } = {}) {
+        const live = this.liveRecord(rawRequest.agentId);
+        if (live && !actor) {
+            throw new RescopeError(`Agent ${rawRequest.agentId} already has an active policy; replacing it needs the agent's token or the admin token`, 409);
+        }
+
+        const { agentRequest, inputSafety, lifetime, generation, cached, metadata } = await this.preparePolicy(rawRequest);
         const { agentId, task, authentication, roles } = agentRequest;
 
+        let escalation = { reasons: [] };
+        if (live) {
+            const registered = this.agentContexts.get(agentId);
+            const delta = this.diffPolicyTexts(live.text, generation.policy, registered, agentRequest);
+            escalation = escalationCheck(delta, registered, this.rescopeEscalation);
+            if (escalation.refusal) {
+                console.log(`[${new Date().toISOString()}] 🔭 Regeneration of ${agentId} refused: ${escalation.refusal}`);
+                throw new RescopeError(`Regeneration refused: ${escalation.refusal}`, 403, { delta });
+            }
+        }
+
+        // High-risk policies wait for a reviewer while the agent runs under the minimal policy
+        const reasons = generation.generation_method === 'restricted' ? [] : [
+            ...escalation.reasons,
+            ...approvalReasons({
+                riskLevel: generation.risk_level,
+                permissions: this.candidatePermissions(generation.policy, agentRequest)
+            }, { riskThreshold: this.approvalRiskThreshold, sensitiveActions: this.approvalSensitiveActions })
+        ];
+        this.approvals.supersede(agentId);
+        let active = generation;
+        let approval = null;
+        if (reasons.length > 0) {
+            const request = this.approvals.submit({ agentId, policy: generation.policy, riskLevel: generation.risk_level, reasons, metadata, prompts: generation.prompts });
+            approval = { id: request.id, status: request.status, riskLevel: request.riskLevel, reasons };
+            console.log(`[${new Date().toISOString()}] 👮 Policy for ${agentId} held for approval (${request.id}): ${reasons.join('; ')}`);
+            active = await this.produceCandidate(agentRequest, { restricted: true });
+        }
+
+        // Store the policy for this agent, compiled once for evaluation
+        this.agentContexts.set(agentId, { task, authentication, roles, createdAt: new Date() });
+        this.registerAgentEntity(agentId, { task, authentication, roles });
+        const agentToken = this.issueAgentToken(agentId);
+        if (approval) {
+            this.activatePolicy(agentId, active.policy, {
+                source: active.source,
+                generation_method: active.generation_method,
+                approval: { id: approval.id, status: approval.status },
+                ttlSeconds: lifetime.ttlSeconds,
+                ttlSource: lifetime.source,
+                generatedAt: active.generatedAt
+            }, {
+                kind: 'held-for-approval',
+                reason: `Minimal policy while approval ${approval.id} is pending: ${reasons.join('; ')}`
+            });
+        } else {
+            this.activatePolicy(agentId, active.policy, metadata, {
+                kind: 'generated',
+                actor: `generator:${generation.llmChain ? generation.llmChain.label : generation.source}`,
+                reason: `Requested for task "${task}" (${authentication}; roles: ${roles.join(', ') || 'none'})${cached ? ', reused from cache' : ''}` +
+                    (generation.rationale ? `. Rationale: ${generation.rationale}` : '')
+            }, generation.prompts);
+        }
+
+        console.log(`✅ ${cached ? 'Reused cached' : 'Generated and stored'} dynamic policy for ${agentId}${approval ? ' (minimal policy active until approved)' : ''}`);
+
+        // Return detailed response including prompts for transparency. `policy` is
+        // the one in force, which is the minimal policy while approval is pending.
+        const { expiresAt } = this.activePolicies.get(agentId).metadata;
+        return {
+            policy: active.policy,
+            approval,
+            agentToken,
+            ttlSeconds: lifetime.ttlSeconds,
+            expiresAt,
+            source: generation.source,
+            generation_method: generation.generation_method,
+            generationAt: generation.generatedAt,
+            cached,
+            prompts: generation.prompts,
+            promptTemplate: generation.promptTemplate,
+            attempts: generation.attempts,
+            ceiling: generation.ceiling,
+            consensus: generation.consensus,
+            llmChain: generation.llmChain,
+            inputSafety
+        };
+    }
+
+    // Screen the agent's input, work out the policy lifetime and take a policy from the
+    // cache or the generator. Nothing is activated; the caller decides what goes live.
+    async preparePolicy(rawRequest) {
+        // Task and roles are agent-written: scan the originals, then only use sanitized copies
+        const findings = detectInjection(rawRequest);
+        const sanitized = sanitizeAgentInput(rawRequest);
+        const inputSafety = {
+            flagged: findings.length > 0,
+            findings,
+            action: findings.length === 0 ? 'none' : this.injectionMode === 'refuse' ? 'refused' : 'restricted',
+            sanitized: sanitized.changes
+        };
+        if (inputSafety.flagged) {
+            console.log(`[${new Date().toISOString()}] 🛡️ Possible prompt injection from ${rawRequest.agentId} (${inputSafety.action}): ${findings.map(f => `${f.rule} in ${f.field}`).join(', ')}`);
+        }
+        if (inputSafety.action === 'refused') {
+            throw new PromptInjectionError(findings);
+        }
+
+        const { agentId, authentication } = rawRequest;
+        const { task, roles } = sanitized;
+        const agentRequest = { ...rawRequest, task, roles };
+        const lifetime = policyTtl(agentRequest, { defaultTtlSeconds: this.defaultTtlSeconds, maxTtlSeconds: this.maxTtlSeconds });
+
         console.log(`[${new Date().toISOString()}] 🤖 === STARTING LLM POLICY GENERATION ===`);
         console.log(`[${new Date().toISOString()}] 🤖 STEP 1: Agent Configuration Received`);
         console.log(`[${new Date().toISOString()}] 🤖 Agent ID: ${agentId}`);
@@ -30,30 +299,552 @@ class DynamicPolicyMCPServer {
         console.log(`[${new Date().toISOString()}] 🤖 Roles: ${roles.join(', ')}`);
         console.log(`[${new Date().toISOString()}] 🤖 STEP 2: Building LLM prompt...`);
 
+        // Agents with the same normalized context share one generated policy
+        // Flagged requests bypass the cache and the configured generator
+        const cacheKey = policyCacheKey(agentRequest, this.generatorFingerprint());
+        let generation = inputSafety.flagged ? undefined : this.policyCache.get(cacheKey);
+        const cached = generation !== undefined;
+        if (cached) {
+            console.log(`[${new Date().toISOString()}] 🗃️ Policy cache hit, reusing policy generated at ${generation.generatedAt}`);
+            // The ceiling is enforced again so a cached policy can never skip it
+            const { policy, report } = await this.applyPermissionCeiling(generation.policy, { authentication, roles });
+            // Prompts name the agent, so the entry keeps none and they are rendered for this agent
+            generation = {
+                ...generation,
+                policy,
+                ceiling: report,
+                prompts: generation.generation_method === 'llm'
+                    ? this.renderPrompts({ ...agentRequest, agentId: sanitized.agentId })
+                    : { systemPrompt: '', userPrompt: '' }
+            };
+        } else if (inputSafety.flagged) {
+            generation = await this.produceCandidate(agentRequest, { restricted: true });
+        } else {
+            generation = await this.producePolicy({ ...agentRequest, agentId: sanitized.agentId });
+            // A fallback link's policy is only cached once the primary is back
+            if (!generation.llmChain || generation.llmChain.link === 0) {
+                this.policyCache.set(cacheKey, { ...generation, prompts: null });
+            }
+        }
+
+        const metadata = {
+            source: generation.source,
+            model: generation.model,
+            promptTemplate: generation.promptTemplate,
+            generation_method: generation.generation_method,
+            generationAttempts: generation.attempts.length || 1,
+            ceiling: { mode: generation.ceiling.mode, outcome: generation.ceiling.outcome },
+            consensus: generation.consensus && {
+                strategy: generation.consensus.strategy,
+                candidates: generation.consensus.requested,
+                selected: generation.consensus.selected,
+                disagreements: generation.consensus.disagreements.length
+            },
+            generatedBy: generation.llmChain && { link: generation.llmChain.link, label: generation.llmChain.label },
+            cached,
+            inputSafety: { flagged: inputSafety.flagged, action: inputSafety.action, rules: [...new Set(findings.map(f => f.rule))] },
+            riskLevel: generation.risk_level,
+            ttlSeconds: lifetime.ttlSeconds,
+            ttlSource: lifetime.source,
+            generatedAt: generation.generatedAt
+        };
+
+        return { agentRequest, inputSafety, lifetime, generation, cached, metadata };
+    }
+
+    // Run the configured generator, validation and ceiling for an agent context. The
+    // result does not depend on the agent id, so it can be cached and shared.
+    async producePolicy(agentRequest) {
+        if (this.generationMode === 'llm' && this.candidateCount > 1) {
+            return this.produceConsensusPolicy(agentRequest);
+        }
+        return this.produceCandidate(agentRequest);
+    }
+
+    // Generate candidateCount policies and keep one according to the consensus strategy.
+    // Candidates that fail validation or the ceiling are left out; provider errors abort.
+    async produceConsensusPolicy(agentRequest) {
+        const catalog = { actions: AVAILABLE_ACTIONS, resources: AVAILABLE_RESOURCES };
+        const candidates = [];
+        const failures = [];
+        let lastError = null;
+
+        for (let index = 0; index < this.candidateCount; index++) {
+            console.log(`[${new Date().toISOString()}] 🗳️ Generating candidate ${index + 1}/${this.candidateCount}`);
+            try {
+                const generation = await this.produceCandidate(agentRequest);
+                const permissions = permissionSet(this.candidatePermissions(generation.policy, agentRequest), catalog);
+                candidates.push({ index, generation, permissions });
+            } catch (error) {
+                if (!(error instanceof PolicyGenerationError || error instanceof CeilingViolationError)) throw error;
+                console.log(`[${new Date().toISOString()}] 🗳️ Candidate ${index + 1} discarded: ${error.message}`);
+                failures.push({ index, valid: false, error: error.message });
+                lastError = error;
+            }
+        }
+        if (candidates.length === 0) throw lastError;
+
+        const { selected, disagreements } = selectConsensus(candidates, this.consensusStrategy);
+        const chosen = candidates.find(candidate => candidate.index === selected);
+        disagreements.forEach(({ action, resource, majority, votes }) => {
+            const tally = Object.entries(votes).map(([access, indexes]) => `${access}: ${indexes.map(i => i + 1).join(',')}`).join('; ');
+            console.log(`[${new Date().toISOString()}] 🗳️ Candidates disagree on ${action} ${resource} (majority ${majority}; ${tally})`);
+        });
+        console.log(`[${new Date().toISOString()}] 🗳️ Selected candidate ${selected + 1} of ${candidates.length} valid (${this.consensusStrategy}), ${disagreements.length} disagreements`);
+
+        const summaries = candidates.map(({ index, generation, permissions }) => ({
+            index,
+            valid: true,
+            ruleIds: PolicySet.fromText(generation.policy).policies.map(policy => policy.id),
+            allowed: [...permissions.values()].filter(access => access === 'allowed').length,
+            conditional: [...permissions.values()].filter(access => access === 'conditional').length
+        }));
+
+        return {
+            ...chosen.generation,
+            attempts: candidates.flatMap(({ index, generation }) => generation.attempts.map(attempt => ({ candidate: index, ...attempt }))),
+            consensus: {
+                strategy: this.consensusStrategy,
+                requested: this.candidateCount,
+                selected,
+                candidates: [...summaries, ...failures].sort((a, b) => a.index - b.index),
+                disagreements
+            }
+        };
+    }
+
+    // Catalog permissions a policy would give an agent with this context, evaluated
+    // against a scratch copy of the entity store so the real one is untouched
+    candidatePermissions(policyText, { authentication, roles }) {
+        const entities = EntityStore.fromJSON(this.entities.toJSON());
+        const probe = { type: PRINCIPAL_TYPE, id: '__candidate__' };
+        entities.add(probe, { authentication, roles }, this.agentEntityParents({ authentication, roles }));
+        return effectivePermissions(parsePolicies(policyText), probe, { actions: AVAILABLE_ACTIONS, resources: AVAILABLE_RESOURCES }, entities);
+    }
+
+    // One generation pass: generator, validation and ceiling. `restricted` replaces the
+    // generator with the least-privilege rules used for flagged input.
+    async produceCandidate(agentRequest, { restricted = false } = {}) {
+        const { authentication, roles } = agentRequest;
+
         // Create LLM prompt for policy generation
         const llmPrompt = this.buildPolicyGenerationPrompt(agentRequest);
 
-        // Call LLM service to generate policy with prompts included
-        const llmResponse = await this.callLLMForPolicyAndReturnWithPrompts(llmPrompt);
-
-        // Parse and validate the generated policy
-        const validatedPolicy = await this.validateAndFormatPolicy(llmResponse.policy);
+        // Call LLM service to generate policy with prompts included, or apply the offline rules
+        const llmResponse = restricted
+            ? this.generateRestrictedPolicyForAgent(agentRequest)
+            : this.generationMode === 'rule-based'
+                ? this.generateRuleBasedPolicyForAgent(agentRequest)
+                : await this.generateWithFallback(agentRequest, llmPrompt);
 
-        // Store the policy for this agent
-        this.activePolicies.set(agentId, validatedPolicy);
-        this.agentContexts.set(agentId, { task, authentication, roles, createdAt: new Date() });
+        // Parse and validate the generated policy (LLM replies are already checked while generating)
+        const generatedPolicy = llmResponse.validatedPolicy || await this.validateAndFormatPolicy(llmResponse.policy);
 
-        console.log(`✅ Generated and stored dynamic policy for ${agentId}`);
+        // Bound it by the administrator-defined ceiling for this authentication level and these roles
+        const { policy, report } = await this.applyPermissionCeiling(generatedPolicy, { authentication, roles });
 
-        // Return detailed response including prompts for transparency
         return {
-            policy: validatedPolicy,
+            policy,
             source: llmResponse.source || 'mock',
-            generationAt: llmResponse.generationAt || new Date().toISOString(),
-            prompts: llmResponse.prompts || { systemPrompt: '', userPrompt: '' }
+            model: llmResponse.model || null,
+            generation_method: llmResponse.generation_method || 'llm',
+            risk_level: llmResponse.risk_level,
+            rationale: llmResponse.rationale,
+            prompts: llmResponse.prompts || { systemPrompt: '', userPrompt: '' },
+            promptTemplate: llmResponse.promptTemplate,
+            attempts: llmResponse.attempts || [],
+            llmChain: llmResponse.llmChain,
+            ceiling: report,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    // Walk the LLM fallback chain until a link produces a policy. A link is skipped when
+    // its circuit is open or its provider still fails after retries; any other error,
+    // such as a model that never produces a valid policy (PolicyGenerationError), ends the walk.
+    async generateWithFallback(agentRequest, llmPrompt) {
+        const fallbacks = [];
+        for (const [link, { label, client }] of this.llmChain.entries()) {
+            if (link > 0) {
+                console.log(`[${new Date().toISOString()}] ↪️ Falling back to chain link ${link + 1}: ${label}`);
+            }
+            try {
+                const result = client
+                    ? await this.callLLMForPolicyAndReturnWithPrompts(llmPrompt, client)
+                    : this.generateRuleBasedPolicyForAgent(agentRequest);
+                return { ...result, llmChain: { link, label, fallbacks } };
+            } catch (error) {
+                if (!(error instanceof LLMRequestError || error instanceof CircuitOpenError)) throw error;
+                fallbacks.push({ link, label, error: error.message });
+            }
+        }
+        throw new LLMUnavailableError(fallbacks);
+    }
+
+    // Approval request with the rules and catalog permissions the held policy would give the agent
+    inspectApproval(id) {
+        const request = this.approvals.get(id);
+        const context = this.agentContexts.get(request.agentId) || { authentication: null, roles: [] };
+        return {
+            ...request,
+            rules: PolicySet.fromText(request.policy).policies.map(({ id: ruleId, effect, annotations }) => ({ id: ruleId, effect, annotations })),
+            permissions: this.candidatePermissions(request.policy, context)
+        };
+    }
+
+    // Make a held policy the agent's active policy
+    approvePolicy(id, { reviewer, comment } = {}) {
+        const request = this.approvals.decide(id, 'approved', { reviewer, comment });
+        // An approved re-scope also moves the agent on to its new task
+        const context = this.agentContexts.get(request.agentId);
+        if (request.metadata.rescope && context) {
+            this.agentContexts.set(request.agentId, { ...context, task: request.metadata.rescope.toTask });
+            this.registerAgentEntity(request.agentId, { ...context, task: request.metadata.rescope.toTask });
+        }
+        this.activatePolicy(request.agentId, request.policy, {
+            ...request.metadata,
+            approval: { id, status: 'approved', reviewer: request.reviewer, decidedAt: request.decidedAt }
+        }, {
+            kind: 'approved',
+            actor: request.reviewer ? `reviewer:${request.reviewer}` : 'reviewer',
+            reason: request.comment || `Approval ${id} granted: ${request.reasons.join('; ')}`
+        }, request.prompts);
+        console.log(`[${new Date().toISOString()}] 👮 Approved policy ${id} for ${request.agentId}${request.reviewer ? ` (${request.reviewer})` : ''}`);
+        return request;
+    }
+
+    // Discard a held policy; the agent keeps the minimal policy, or its current one for a
+    // re-scope. The active policy is not re-activated, so its lifetime and version stay
+    // as they are; only the approval status on a minimal policy held for this request changes.
+    rejectPolicy(id, { reviewer, comment } = {}) {
+        const request = this.approvals.decide(id, 'rejected', { reviewer, comment });
+        const record = this.activePolicies.get(request.agentId);
+        if (record && record.metadata.approval?.id === id) {
+            const updated = {
+                ...record,
+                metadata: { ...record.metadata, approval: { id, status: 'rejected', reviewer: request.reviewer, decidedAt: request.decidedAt } }
+            };
+            this.activePolicies.set(request.agentId, updated);
+            this.policyStore.saveAgent(request.agentId, {
+                policy: updated.text,
+                metadata: updated.metadata,
+                prompts: updated.prompts,
+                context: this.agentContexts.get(request.agentId) || null,
+                tokenHash: this.agentTokens.get(request.agentId) ?? null
+            });
+        }
+        console.log(`[${new Date().toISOString()}] 👮 Rejected policy ${id} for ${request.agentId}${request.reviewer ? ` (${request.reviewer})` : ''}; ` +
+            `${request.metadata.rescope ? 'current' : 'minimal'} policy kept`);
+        return request;
+    }
+
+    // Make an earlier version the agent's active policy again, recorded as a new version.
+    // The text is re-validated against the current schema and held to the agent's current
+    // permission ceiling like a generated policy: narrowed in intersect mode, refused with
+    // CeilingViolationError otherwise. Pending approvals are superseded.
+    async rollbackPolicy(agentId, versionNumber, { actor, reason } = {}) {
+        const target = this.policyVersions.get(agentId, versionNumber);
+        if (!target) return null;
+
+        const current = this.policyVersions.latest(agentId);
+        const { authentication, roles } = this.agentContexts.get(agentId) || target.context || { authentication: null, roles: [] };
+        const { policy, report: ceiling } = await this.applyPermissionCeiling(await this.validateAndFormatPolicy(target.policy), { authentication, roles });
+        const narrowed = ceiling.outcome === 'intersected';
+        this.approvals.supersede(agentId);
+        // A retired agent gets the context it had when the version was created
+        if (!this.agentContexts.has(agentId) && target.context) {
+            this.agentContexts.set(agentId, { ...target.context, createdAt: new Date() });
+            this.registerAgentEntity(agentId, target.context);
+        }
+        this.activatePolicy(agentId, policy, {
+            ...target.metadata,
+            rollback: { fromVersion: current.version, toVersion: target.version, narrowed },
+            ...(narrowed && { ceiling: { mode: ceiling.mode, outcome: ceiling.outcome } })
+        }, {
+            kind: 'rollback',
+            actor: actor || 'admin',
+            reason: `Rolled back from version ${current.version} to version ${target.version}${narrowed ? ', narrowed to the permission ceiling' : ''}${reason ? `: ${reason}` : ''}`
+        }, target.prompts);
+        console.log(`[${new Date().toISOString()}] ⏪ Rolled back ${agentId} from version ${current.version} to version ${target.version}${narrowed ? ' (narrowed to the ceiling)' : ''}`);
+        return this.policyVersions.latest(agentId);
+    }
+
+    // Semantic diff of an agent's policies. `from` and `to` are version numbers: `to`
+    // defaults to the active (or else latest) version and `from` to the version before
+    // it, or to an empty policy when `to` is the first version. With a `candidate` policy
+    // text the candidate is compared against the active policy instead. Both sides are
+    // evaluated for the agent's current context.
+    async diffAgentPolicies(agentId, { from, to, candidate } = {}) {
+        const context = this.agentContexts.get(agentId) || this.policyVersions.latest(agentId)?.context;
+        if (!context) {
+            throw new PolicyDiffError(`No policy versions for agent ${agentId}`, 404);
+        }
+
+        const versionText = number => {
+            const version = this.policyVersions.get(agentId, number);
+            if (!version) {
+                throw new PolicyDiffError(`Policy version ${number} not found for agent ${agentId}`, 404);
+            }
+            return version.policy;
+        };
+
+        let before, after;
+        if (candidate !== undefined) {
+            const record = this.liveRecord(agentId);
+            if (!record) {
+                throw new PolicyDiffError(`No active policy for agent ${agentId}`, 404);
+            }
+            before = { label: { version: record.metadata.version ?? null }, text: record.text };
+            after = { label: { candidate: true }, text: await this.validateCandidatePolicy(candidate) };
+        } else {
+            const toVersion = to ?? this.activePolicies.get(agentId)?.metadata.version ?? this.policyVersions.latest(agentId)?.version;
+            after = { label: { version: toVersion }, text: versionText(toVersion) };
+            // The first version is compared with an empty policy, which grants nothing
+            before = from === undefined && !this.policyVersions.get(agentId, toVersion - 1)
+                ? { label: { version: null, empty: true }, text: '' }
+                : { label: { version: from ?? toVersion - 1 }, text: versionText(from ?? toVersion - 1) };
+        }
+
+        return {
+            agentId,
+            from: before.label,
+            to: after.label,
+            context: { authentication: context.authentication, roles: context.roles },
+            ...this.diffPolicyTexts(before.text, after.text, context)
         };
     }
 
+    // Semantic diff of two policy texts, evaluated for the same agent context unless
+    // the after side is given its own
+    diffPolicyTexts(beforeText, afterText, beforeContext, afterContext = beforeContext) {
+        const side = (text, { authentication, roles }) => ({ policies: parsePolicies(text), permissions: this.candidatePermissions(text, { authentication, roles }) });
+        return diffPolicies(side(beforeText, beforeContext), side(afterText, afterContext));
+    }
+
+    // Regenerate an agent's policy for a new task, keeping its authentication and roles.
+    // The permission delta against the current policy decides what happens: a change
+    // that does not widen the agent's permissions goes live now; an escalation is
+    // refused or held for a reviewer by the re-scope rules, and is also held when the
+    // approval rules would hold the new policy. A held re-scope leaves the current policy in force.
+    async rescopePolicy(agentId, { task, ttlSeconds, expiresAt, actor } = {}) {
+        const record = this.liveRecord(agentId);
+        const context = this.agentContexts.get(agentId);
+        if (!record || !context) {
+            const retirement = this.retiredAgents.get(agentId);
+            throw retirement
+                ? new RescopeError(`Policy for agent ${agentId} is ${retirement.status}; generate a new one`, 410, { retirement })
+                : new RescopeError(`No active policy for agent ${agentId}`, 404);
+        }
+
+        const { authentication, roles } = context;
+        const { agentRequest, inputSafety, lifetime, generation, cached, metadata } =
+            await this.preparePolicy({ agentId, task, authentication, roles, ttlSeconds, expiresAt });
+
+        const delta = this.diffPolicyTexts(record.text, generation.policy, context);
+        const check = escalationCheck(delta, context, this.rescopeEscalation);
+        const rescope = { fromTask: context.task, toTask: agentRequest.task, fromVersion: record.metadata.version, escalation: check.escalation };
+        if (check.refusal) {
+            console.log(`[${new Date().toISOString()}] 🔭 Re-scope of ${agentId} to "${rescope.toTask}" refused: ${check.refusal}`);
+            throw new RescopeError(`Re-scope refused: ${check.refusal}`, 403, { rescope, delta });
+        }
+
+        const reasons = !check.escalation ? [] : [
+            ...check.reasons,
+            ...approvalReasons({
+                riskLevel: generation.risk_level,
+                permissions: this.candidatePermissions(generation.policy, context)
+            }, { riskThreshold: this.approvalRiskThreshold, sensitiveActions: this.approvalSensitiveActions })
+        ];
+
+        this.approvals.supersede(agentId);
+        let approval = null;
+        if (reasons.length > 0) {
+            const request = this.approvals.submit({ agentId, policy: generation.policy, riskLevel: generation.risk_level, reasons, metadata: { ...metadata, rescope }, prompts: generation.prompts });
+            approval = { id: request.id, status: request.status, riskLevel: request.riskLevel, reasons };
+            console.log(`[${new Date().toISOString()}] 🔭 Re-scope of ${agentId} to "${rescope.toTask}" held for approval (${request.id}): ${reasons.join('; ')}`);
+        } else {
+            this.agentContexts.set(agentId, { ...context, task: agentRequest.task });
+            this.registerAgentEntity(agentId, { task: agentRequest.task, authentication, roles });
+            this.activatePolicy(agentId, generation.policy, { ...metadata, rescope }, {
+                kind: 'rescoped',
+                actor: actor || `agent:${agentId}`,
+                reason: `Re-scoped from task "${rescope.fromTask}" to "${rescope.toTask}"${check.escalation ? ', escalating permissions' : ''}` +
+                    (generation.rationale ? `. Rationale: ${generation.rationale}` : '')
+            }, generation.prompts);
+            console.log(`[${new Date().toISOString()}] 🔭 Re-scoped ${agentId} from "${rescope.fromTask}" to "${rescope.toTask}"${check.escalation ? ' (escalation)' : ''}`);
+        }
+
+        // `policy` is the one in force: the new policy, or the current one while approval is pending
+        const active = this.activePolicies.get(agentId);
+        return {
+            applied: approval === null,
+            ...rescope,
+            approval,
+            delta,
+            policy: active.text,
+            version: active.metadata.version,
+            ttlSeconds: active.metadata.ttlSeconds ?? lifetime.ttlSeconds,
+            expiresAt: active.metadata.expiresAt,
+            generation_method: generation.generation_method,
+            cached,
+            inputSafety
+        };
+    }
+
+    // A policy text supplied by a caller, parsed, given stable rule ids, validated
+    // and formatted like a generated one
+    async validateCandidatePolicy(text) {
+        let policies;
+        try {
+            policies = parsePolicies(String(text));
+        } catch (error) {
+            if (error instanceof CedarSyntaxError) {
+                throw new PolicyDiffError(`Candidate policy is not valid Cedar syntax: ${error.message}`, 422);
+            }
+            throw error;
+        }
+        if (policies.length === 0) {
+            throw new PolicyDiffError('Candidate policy contains no permit or forbid statements', 422);
+        }
+        return this.validateAndFormatPolicy(String(text));
+    }
+
+    // What, besides the agent context, determines a generated policy
+    generatorFingerprint() {
+        const { name, version, digest } = this.promptTemplate;
+        return [
+            this.generationMode,
+            this.llmChain[0]?.label ?? 'no-llm',
+            `${name}@v${version}:${digest.slice(0, 12)}`,
+            `${this.candidateCount}x${this.consensusStrategy}`
+        ].join('|');
+    }
+
+    // Compile policy text and make it the agent's active policy. The record is
+    // replaced as a whole, so evaluation never sees text and policy set out of step,
+    // and then saved with the agent's context. `change` ({ kind, actor, reason }) says
+    // what produced the policy and why; it becomes a new version in the history.
+    activatePolicy(agentId, text, metadata = {}, change, prompts = null) {
+        const policySet = PolicySet.fromText(text);
+        const context = this.agentContexts.get(agentId);
+        // The lifetime starts when the policy goes live, e.g. on approval rather than generation
+        if (metadata.ttlSeconds) {
+            const activatedAt = new Date();
+            metadata = {
+                ...metadata,
+                activatedAt: activatedAt.toISOString(),
+                expiresAt: new Date(activatedAt.getTime() + metadata.ttlSeconds * 1000).toISOString()
+            };
+        }
+        const version = this.policyVersions.append(agentId, {
+            policy: text,
+            metadata,
+            prompts,
+            context: context ? { task: context.task, authentication: context.authentication, roles: context.roles } : null,
+            change
+        });
+        const record = { text, policySet, metadata: { ...metadata, version: version.version, ruleCount: policySet.size }, prompts };
+        this.activePolicies.set(agentId, record);
+        this.retiredAgents.delete(agentId);
+        this.policyStore.saveAgent(agentId, {
+            policy: text,
+            metadata: record.metadata,
+            prompts,
+            context: this.agentContexts.get(agentId) || null,
+            tokenHash: this.agentTokens.get(agentId) ?? null
+        });
+        return policySet;
+    }
+
+    // A new bearer token for the agent's own calls (re-scope, task completion), replacing
+    // any earlier one. Only its hash is kept and persisted. A retired agent keeps its
+    // token, so it can still be told why its policy is gone.
+    issueAgentToken(agentId) {
+        const token = randomBytes(24).toString('base64url');
+        this.agentTokens.set(agentId, createHash('sha256').update(token).digest('hex'));
+        return token;
+    }
+
+    // Whether `token` is the one issued to the agent with its current policy
+    isAgentToken(agentId, token) {
+        const expected = this.agentTokens.get(agentId);
+        if (!expected || typeof token !== 'string') return false;
+        return timingSafeEqual(Buffer.from(createHash('sha256').update(token).digest('hex')), Buffer.from(expected));
+    }
+
+    // The agent's active policy record, or undefined. An expired policy is retired on first access.
+    liveRecord(agentId) {
+        const record = this.activePolicies.get(agentId);
+        if (record && isExpired(record.metadata)) {
+            this.retirePolicy(agentId, 'expired', { reason: `Expired at ${record.metadata.expiresAt}` });
+            return undefined;
+        }
+        return record;
+    }
+
+    // Take an agent's policy out of service and keep a record of why, so requests can
+    // be told the policy expired, was revoked or ended with the task. Returns null
+    // when the agent has no active policy.
+    retirePolicy(agentId, status, { actor, reason } = {}) {
+        const record = this.activePolicies.get(agentId);
+        if (!record) return null;
+
+        const context = this.agentContexts.get(agentId);
+        const retirement = {
+            status,
+            retiredAt: new Date().toISOString(),
+            actor: actor || 'system',
+            reason: reason || '',
+            version: record.metadata.version ?? null,
+            expiresAt: record.metadata.expiresAt ?? null
+        };
+        this.activePolicies.delete(agentId);
+        this.agentContexts.delete(agentId);
+        this.entities.remove({ type: PRINCIPAL_TYPE, id: agentId });
+        this.approvals.supersede(agentId);
+        this.retiredAgents.set(agentId, retirement);
+        this.policyStore.saveAgent(agentId, {
+            policy: null,
+            metadata: record.metadata,
+            prompts: null,
+            context: context ? { task: context.task, authentication: context.authentication, roles: context.roles } : null,
+            tokenHash: this.agentTokens.get(agentId) ?? null,
+            retirement
+        });
+
+        console.log(`[${new Date().toISOString()}] 🗑️ Policy for ${agentId} ${status} (${retirement.actor})${retirement.reason ? `: ${retirement.reason}` : ''}`);
+        return retirement;
+    }
+
+    // Revoke every active policy whose agent has the role and/or authentication level.
+    // Expired policies are retired as expired on the way, not revoked again.
+    revokePolicies({ role, authentication }, { actor, reason } = {}) {
+        const matching = [...this.agentContexts.entries()]
+            .filter(([agentId, context]) => this.liveRecord(agentId) &&
+                (!role || context.roles.includes(role)) &&
+                (!authentication || context.authentication === authentication))
+            .map(([agentId]) => agentId);
+        return matching.map(agentId => ({ agentId, ...this.retirePolicy(agentId, 'revoked', { actor, reason }) }));
+    }
+
+    // Register the agent as MCP::Client::"<agentId>" so `principal in MCP::Client::"authenticated"`
+    // and `principal in MCP::Role::"<role>"` follow its verified context, not its name
+    registerAgentEntity(agentId, { task, authentication, roles }) {
+        const parents = this.agentEntityParents({ authentication, roles });
+        this.entities.add({ type: 'MCP::Client', id: agentId }, { task, authentication, roles }, parents);
+        console.log(`[${new Date().toISOString()}] 📦 Registered entity MCP::Client::"${agentId}" in ${parents[0].id}, roles: ${roles.join(', ')}`);
+    }
+
+    // Authentication group first, then one MCP::Role per role. Anything but a known
+    // authentication level, including a missing one, counts as unauthenticated.
+    agentEntityParents({ authentication, roles }) {
+        const authGroup = AUTHENTICATED_LEVELS.includes(authentication) ? 'authenticated' : 'unauthenticated';
+        return [
+            { type: 'MCP::Client', id: authGroup },
+            ...roles.map(role => ({ type: 'MCP::Role', id: role }))
+        ];
+    }
+
     // Build LLM prompt for Cedar policy generation
     buildPolicyGenerationPrompt(request) {
         const { agentId, task, authentication, roles } = request;
@@ -65,28 +856,8 @@ class DynamicPolicyMCPServer {
                 task_description: task,
                 authentication_level: authentication, // "anonymous", "basic", "oauth", "mfa"
                 roles: roles,
-                available_actions: [
-                    "portfolio_access",
-                    "quote_tool",
-                    "trade_using_market_order",
-                    "call_tool",
-                    "read_capabilities",
-                    "manage_workflows",
-                    "access_sensitive_data",
-                    "execute_admin_actions",
-                    "modify_settings"
-                ],
-                available_resources: [
-                    "trading/*",
-                    "portfolio/*",
-                    "market-data/*",
-                    "tools/*",
-                    "workflows/dev",
-                    "workflows/prod",
-                    "data/sensitive",
-                    "data/public",
-                    "settings/system"
-                ]
+                available_actions: AVAILABLE_ACTIONS,
+                available_resources: AVAILABLE_RESOURCES
             },
             requirements: [
                 "Generate permit/deny rules based on authentication level",
@@ -103,729 +874,301 @@ class DynamicPolicyMCPServer {
         };
     }
 
-    // Call Gemini API for policy generation
-    async callLLMForPolicy(promptData) {
-        const geminiApiUrl = process.env.GEMINI_API_URL;
-        const apiKey = process.env.GEMINI_API_KEY;
+    // System and user prompts of the active template, rendered for one agent request
+    renderPrompts(agentRequest) {
+        return this.promptTemplate.render(promptVariables(this.buildPolicyGenerationPrompt(agentRequest)));
+    }
 
-        if (!apiKey) {
-            throw new Error('GEMINI_API_KEY not configured in environment');
-        }
+    // Generate a policy through one LLM client of the fallback chain, returning the prompts used.
+    // A reply that is not a valid response object or whose Cedar fails to parse or
+    // validate is sent back to the model with the errors, up to maxGenerationAttempts.
+    async callLLMForPolicyAndReturnWithPrompts(promptData, provider) {
+        console.log(`🔗 Calling ${provider.name} for policy generation (prompt ${this.promptTemplate.name} v${this.promptTemplate.version})...`);
 
-        console.log('🔗 Calling Gemini API for policy generation...');
-
-        // Format prompt for Gemini
-        const systemPrompt = `# Cedar Policy Generator
-
-You are an expert at generating Cedar authorization policies for security systems. Your task is to generate precise, secure Cedar policies based on agent context and requirements.
-
-## Important Cedar Syntax Rules:
-- Use: permit(principal, action, resource) or forbid(principal, action, resource)
-- Principal types: MCP::Client::"authenticated", MCP::Client::"unauthenticated"
-- Action types: MCP::Action::"call_tool", MCP::Action::"read_capabilities", etc.
-- Use proper MCP:: namespaces
-
-## Security Guidelines:
-- Default deny (fail-safe approach)
-- Least privilege principle
-- Authentication-based scaling
-- Role-appropriate restrictions
-`;
-
-        const userPrompt = `
-Generate a Cedar authorization policy for this agent scenario:
-
-AGENT CONTEXT:
-- Agent ID: ${promptData.context.agent_id}
-- Task: ${promptData.context.task_description}
-- Authentication Level: ${promptData.context.authentication_level}
-- Roles: ${promptData.context.roles.join(', ')}
-- Available Actions: ${promptData.context.available_actions.join(', ')}
-- Available Resources: ${promptData.context.available_resources.join(', ')}
-
-REQUIREMENTS:
-${promptData.requirements.map(req => `- ${req}`).join('\n')}
-
-OUTPUT FORMAT:
-Return JSON with:
-{
-  "policy": "complete cedar policy text here",
-  "rationale": "explain security decisions made",
-  "risk_level": "LOW|MEDIUM|HIGH|CRITICAL",
-  "allowed_actions": ["action1", "action2"]
-}`;
+        // Render the prompts for this request; concurrent generations each keep their own
+        const prompts = this.promptTemplate.render(promptVariables(promptData));
+        const { systemPrompt, userPrompt } = prompts;
 
         // Log the full prompt being sent to LLM
         console.log("\n" + "=".repeat(80));
-        console.log("🔍 PROMPT SENT TO GOOGLE GEMINI API:");
+        console.log(`🔍 PROMPT SENT TO LLM PROVIDER (${provider.name}):`);
         console.log("=".repeat(80));
         console.log("SYSTEM PROMPT:");
-        console.log(systemPrompt.trim());
+        console.log(systemPrompt);
         console.log("\nUSER PROMPT:");
-        console.log(userPrompt.trim());
+        console.log(userPrompt);
         console.log("=".repeat(80) + "\n");
 
-        const requestBody = {
-            contents: [{
-                parts: [{
-                    text: systemPrompt + "\n\n" + userPrompt
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.1,
-                maxOutputTokens: 2000,
-                topK: 1,
-                topP: 0.1
-            },
-            safetySettings: [{
-                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                threshold: "BLOCK_MEDIUM_AND_ABOVE"
-            }]
-        };
-
-        try {
-            const response = await fetch(`${geminiApiUrl}?key=${apiKey}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Gemini API failed: ${response.status} - ${errorText}`);
-            }
-
-            const geminiResult = await response.json();
-
-            console.log('✅ Gemini API response received');
-
-            // Parse Gemini response into expected format
-            const generatedText = geminiResult.candidates?.[0]?.content?.parts?.[0]?.text;
-
-            if (!generatedText) {
-                throw new Error('No content received from Gemini API');
-            }
+        // Without a repair prompt there is nothing to re-prompt with
+        const maxAttempts = this.promptTemplate.repair === null ? 1 : this.maxGenerationAttempts;
+        const messages = [{ role: 'user', content: userPrompt }];
+        const attempts = [];
 
-            // Extract JSON from response (Gemini might return JSON in text)
-            let parsedResponse;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            let text;
             try {
-                // Try to parse as JSON directly
-                parsedResponse = JSON.parse(generatedText);
-            } catch (parseError) {
-                // Try to extract JSON from markdown/code blocks
-                const jsonMatch = generatedText.match(/```json\s*(\{[\s\S]*\})\s*```/) ||
-                                generatedText.match(/```([\s\S]*?\})[\s\S]*```/) ||
-                                generatedText.match(/\{[\s\S]*\}/);
-
-                if (jsonMatch) {
-                    parsedResponse = JSON.parse(jsonMatch[1] || jsonMatch[0]);
-                } else {
-                    throw new Error('Could not parse Gemini response as JSON');
-                }
+                text = await provider.chat(systemPrompt, messages);
+            } catch (error) {
+                if (!(error instanceof LLMRequestError || error instanceof CircuitOpenError)) throw error;
+                const config = provider.describe();
+                console.log("🚨 LLM API CALL FAILED - DETAILS BELOW:");
+                console.log("=".repeat(50));
+                console.log("❌ ERROR MESSAGE:", error.message);
+                console.log("🧠 PROVIDER:", config.provider, config.model ? `(${config.model})` : '');
+                console.log("🔗 API URL:", config.apiUrl);
+                console.log("🔑 API KEY:", config.apiKey);
+                console.log("⚡ CIRCUIT:", config.circuit.state);
+
+                throw new LLMRequestError(`LLM provider ${provider.label} unavailable: ${error.message}`, { status: error.status ?? null });
             }
 
-            // Log the full response from LLM
+            // Log response
             console.log("\n" + "=".repeat(80));
-            console.log("🤖 RESPONSE RECEIVED FROM GOOGLE GEMINI API:");
+            console.log(`🤖 RESPONSE RECEIVED FROM LLM PROVIDER (${provider.name}), ATTEMPT ${attempt}/${maxAttempts}:`);
             console.log("=".repeat(80));
-            console.log("RAW RESPONSE TEXT:");
-            console.log(generatedText);
-            console.log("\nPARSED JSON RESPONSE:");
-            console.log(JSON.stringify(parsedResponse, null, 2));
+            console.log(text);
             console.log("=".repeat(80) + "\n");
 
-            console.log('🍃 Gemini response parsed successfully');
-            console.log(`📜 Generated policy length: ${parsedResponse.policy?.length || 0} chars`);
-
-            return parsedResponse;
+            const { response, validatedPolicy, errors } = await this.checkPolicyResponse(text);
+            attempts.push({ attempt, valid: errors.length === 0, errors, response: text, respondedAt: new Date().toISOString() });
+
+            if (errors.length === 0) {
+                console.log(`[${new Date().toISOString()}] ✅ Attempt ${attempt}/${maxAttempts} produced a valid policy`);
+                return {
+                    ...response,
+                    validatedPolicy,
+                    source: provider.name,
+                    model: provider.model || null,
+                    prompts,
+                    promptTemplate: this.promptTemplate.reference,
+                    attempts
+                };
+            }
 
-        } catch (error) {
-            console.log("🚨 GEMINI API CALL FAILED - DETAILS BELOW:");
-            console.log("=".repeat(50));
-            console.log("❌ ERROR MESSAGE:", error.message);
-            console.log("🔗 API URL:", geminiApiUrl);
-            console.log("🔑 API KEY:", apiKey ? '***CONFIGURED***' : 'MISSING');
-            console.log("🎯 REQUEST STATUS:", error.constructor.name);
-            console.log("💡 TROUBLESHOOTING:");
-            console.log("   • Check if gemini-1.5-flash is the correct model name");
-            console.log("   • Verify GEMINI_API_KEY is valid");
-            console.log("   • Test API connectivity to Google APIs");
-            console.log("   • Check Gemini API quota/limits");
-            console.log("   • Try updating to a different Gemini model");
-            console.log("=".repeat(50));
-
-            // Log the complete request that was sent
-            console.log("\n📨 COMPLETE REQUEST SENT:");
-            console.log(JSON.stringify(requestBody, null, 2));
-
-            throw new Error(`Gemini API unavailable: ${error.message}. System requires working LLM for policy generation.`);
+            errors.forEach(error => console.log(`[${new Date().toISOString()}] 🔁 Attempt ${attempt}/${maxAttempts} rejected: ${error}`));
+            if (attempt < maxAttempts) {
+                messages.push(
+                    { role: 'assistant', content: text },
+                    { role: 'user', content: this.promptTemplate.renderRepair({ attempt, max_attempts: maxAttempts, errors: errors.map(error => `- ${error}`).join('\n') }) }
+                );
+            }
         }
-    }
 
-    // Store prompts for tracking
-    lastPrompts = { systemPrompt: '', userPrompt: '' };
-
-    // Enhanced version that includes prompts in response
-    async callLLMForPolicyAndReturnWithPrompts(promptData) {
-        const geminiApiUrl = process.env.GEMINI_API_URL;
-        const apiKey = process.env.GEMINI_API_KEY;
+        throw new PolicyGenerationError(attempts);
+    }
 
-        if (!apiKey) {
-            throw new Error('GEMINI_API_KEY not configured in environment');
+    // Check one model reply: JSON shape against POLICY_RESPONSE_SCHEMA, then the Cedar
+    // policy text. Errors are worded for the model, with policy line numbers.
+    async checkPolicyResponse(text) {
+        let parsed;
+        try {
+            parsed = extractJSON(text);
+        } catch (error) {
+            return { errors: [`Response is not a JSON object: ${error.message}`] };
         }
 
-        console.log('🔗 Calling Gemini API for policy generation...');
-
-        // Format prompt for Gemini
-        const systemPrompt = `# Cedar Policy Generator
-
-You are an expert at generating Cedar authorization policies for security systems. Your task is to generate precise, secure Cedar policies based on agent context and requirements.
-
-## Important Cedar Syntax Rules:
-- Use: permit(principal, action, resource) or forbid(principal, action, resource)
-- Principal types: MCP::Client::"authenticated", MCP::Client::"unauthenticated"
-- Action types: MCP::Action::"call_tool", MCP::Action::"read_capabilities", etc.
-- Use proper MCP:: namespaces
-
-## Security Guidelines:
-- Default deny (fail-safe approach)
-- Least privilege principle
-- Authentication-based scaling
-- Role-appropriate restrictions
-`;
-
-        const userPrompt = `
-Generate a Cedar authorization policy for this agent scenario:
-
-AGENT CONTEXT:
-- Agent ID: ${promptData.context.agent_id}
-- Task: ${promptData.context.task_description}
-- Authentication Level: ${promptData.context.authentication_level}
-- Roles: ${promptData.context.roles.join(', ')}
-- Available Actions: ${promptData.context.available_actions.join(', ')}
-- Available Resources: ${promptData.context.available_resources.join(', ')}
-
-REQUIREMENTS:
-${promptData.requirements.map(req => `- ${req}`).join('\n')}
-
-OUTPUT FORMAT:
-Return JSON with:
-{
-  "policy": "complete cedar policy text here",
-  "rationale": "explain security decisions made",
-  "risk_level": "LOW|MEDIUM|HIGH|CRITICAL",
-  "allowed_actions": ["action1", "action2"]
-}`;
-
-        // Store prompts for later retrieval
-        this.lastPrompts = {
-            systemPrompt: systemPrompt.trim(),
-            userPrompt: userPrompt.trim()
-        };
-
-        // Log the full prompt being sent to LLM
-        console.log("\n" + "=".repeat(80));
-        console.log("🔍 PROMPT SENT TO GOOGLE GEMINI API:");
-        console.log("=".repeat(80));
-        console.log("SYSTEM PROMPT:");
-        console.log(systemPrompt.trim());
-        console.log("\nUSER PROMPT:");
-        console.log(userPrompt.trim());
-        console.log("=".repeat(80) + "\n");
+        const schemaErrors = validateJSONSchema(parsed, POLICY_RESPONSE_SCHEMA);
+        if (schemaErrors.length > 0) {
+            return { errors: schemaErrors.map(error => `Response JSON ${error}`) };
+        }
 
+        const response = normalizePolicyResponse(parsed);
         try {
-            const response = await fetch(`${geminiApiUrl}?key=${apiKey}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{
-                            text: systemPrompt + "\n\n" + userPrompt
-                        }]
-                    }],
-                    generationConfig: {
-                        temperature: 0.1,
-                        maxOutputTokens: 2000,
-                        topK: 1,
-                        topP: 0.1
-                    },
-                    safetySettings: [{
-                        category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-                        threshold: "BLOCK_MEDIUM_AND_ABOVE"
-                    }]
-                })
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Gemini API failed: ${response.status} - ${errorText}`);
-            }
-
-            const geminiResult = await response.json();
-
-            // Parse and return response with prompts
-            const generatedText = geminiResult.candidates?.[0]?.content?.parts?.[0]?.text;
-            if (!generatedText) {
-                throw new Error('No content received from Gemini API');
-            }
-
-            let parsedResponse;
-            try {
-                parsedResponse = JSON.parse(generatedText);
-            } catch (parseError) {
-                const jsonMatch = generatedText.match(/```json\s*(\{[\s\S]*\})\s*```/) ||
-                                generatedText.match(/```([\s\S]*?\})[\s\S]*```/) ||
-                                generatedText.match(/\{[\s\S]*\}/);
-
-                if (jsonMatch) {
-                    parsedResponse = JSON.parse(jsonMatch[1] || jsonMatch[0]);
-                } else {
-                    throw new Error('Could not parse Gemini response as JSON');
-                }
-            }
-
-            // Log response and return with prompts
-            console.log("\n" + "=".repeat(80));
-            console.log("🤖 RESPONSE RECEIVED FROM GOOGLE GEMINI API:");
-            console.log("=".repeat(80));
-            console.log("RAW RESPONSE TEXT:");
-            console.log(generatedText);
-            console.log("\nPARSED JSON RESPONSE:");
-            console.log(JSON.stringify(parsedResponse, null, 2));
-            console.log("=".repeat(80) + "\n");
-
-            return {
-                ...parsedResponse,
-                prompts: this.lastPrompts
-            };
-
+            return { response, validatedPolicy: await this.validateAndFormatPolicy(response.policy), errors: [] };
         } catch (error) {
-            console.log("🚨 GEMINI API CALL FAILED - DETAILS BELOW:");
-            console.log("=".repeat(50));
-            console.log("❌ ERROR MESSAGE:", error.message);
-            console.log("🔗 API URL:", geminiApiUrl);
-            console.log("🔑 API KEY:", apiKey ? '***CONFIGURED***' : 'MISSING');
-
-            // Still return prompts even on failure so test can show them
-            throw new Error(`Gemini API unavailable: ${error.message}. System requires working LLM for policy generation.`);
-        }
-    }
-
-    // Enhanced mock policy generator when LLM unavailable
-    generateEnhancedMockPolicy(promptData) {
-        const { context } = promptData;
-        console.log('🤖 Using enhanced mock policy generation for:', context.task_description);
-        console.log('🔐 Auth level:', context.authentication_level);
-        console.log('🎯 Roles:', context.roles.join(', '));
-
-        let policy = '';
-        let allowedActions = [];
-        let rationalStatements = [];
-
-        // Analyze context similar to real LLM logic
-        if (context.task_description.toLowerCase().includes('trade') &&
-            context.roles.some(r => ['trading-agent', 'portfolio-manager', 'market-trader'].includes(r))) {
-            if ((context.authentication_level === 'mfa' || context.authentication_level === 'oauth')) {
-                policy = `// AI-Generated Cedar Policy for Trading Agent
-// Context: ${context.task_description}
-// Auth: ${context.authentication_level}
-// Roles: ${context.roles.join(', ')}
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"trade_using_market_order",
-    resource
-);
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"portfolio_access",
-    resource
-);
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"quote_tool",
-    resource
-);`;
-                allowedActions = ['trade_using_market_order', 'portfolio_access', 'quote_tool'];
-                rationalStatements = ['Trading agents require full access to trading functionality and portfolio management'];
-            } else if (context.authentication_level === 'basic' &&
-                      context.roles.includes('trading-agent')) {
-                policy = `// AI-Generated Cedar Policy for Basic Trading Agent
-// Context: ${context.task_description}
-// Auth: ${context.authentication_level}
-// Roles: ${context.roles.join(', ')}
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"portfolio_access",
-    resource
-);
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"quote_tool",
-    resource
-);`;
-                allowedActions = ['portfolio_access', 'quote_tool'];
-                rationalStatements = ['Basic trading agents get read-only portfolio access and quotes'];
-            }
-        } else if (context.task_description.toLowerCase().includes('react') ||
-            context.task_description.toLowerCase().includes('frontend')) {
-            if (context.authentication_level === 'oauth' && context.roles.includes('developer')) {
-                policy = `// AI-Generated Cedar Policy for Frontend Development
-// Context: ${context.task_description}
-// Auth: ${context.authentication_level}
-// Roles: ${context.roles.join(', ')}
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"call_tool",
-    resource
-);
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"read_capabilities",
-    resource
-);`;
-                allowedActions = ['call_tool', 'read_capabilities'];
-                rationalStatements = ['Frontend developers need tool access for UI development and component testing'];
-            }
-        } else if (context.task_description.toLowerCase().includes('kubernetes') ||
-                   context.task_description.toLowerCase().includes('deployment')) {
-            if ((context.authentication_level === 'mfa' || context.authentication_level === 'oauth') &&
-                (context.roles.includes('kubernetes-admin') || context.roles.includes('devops-engineer'))) {
-                policy = `// AI-Generated Cedar Policy for DevOps Deployment
-// Context: ${context.task_description}
-// Auth: ${context.authentication_level}
-// Roles: ${context.roles.join(', ')}
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"manage_workflows",
-    resource
-);
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"access_sensitive_data",
-    resource
-);
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"call_tool",
-    resource
-);`;
-                allowedActions = ['call_tool', 'manage_workflows', 'access_sensitive_data'];
-                rationalStatements = ['DevOps administrators require elevated permissions for infrastructure management'];
-            } else {
-                policy = `// AI-Generated Cedar Policy for Standard DevOps
-// Context: ${context.task_description}
-// Auth: ${context.authentication_level}
-// Roles: ${context.roles.join(', ')}
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"call_tool",
-    resource
-);`;
-                allowedActions = ['call_tool'];
-                rationalStatements = ['Standard DevOps role gets basic tool access for development workflows'];
-            }
-        } else if (context.task_description.toLowerCase().includes('security') ||
-                   context.task_description.toLowerCase().includes('audit')) {
-            if (context.authentication_level === 'mfa' &&
-                context.roles.some(r => ['security-researcher', 'auditor', 'compliance-officer'].includes(r))) {
-                policy = `// AI-Generated Cedar Policy for Security Audit
-// Context: ${context.task_description}
-// Auth: ${context.authentication_level}
-// Roles: ${context.roles.join(', ')}
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"access_sensitive_data",
-    resource
-);
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"execute_admin_actions",
-    resource
-);
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"read_capabilities",
-    resource
-);`;
-                allowedActions = ['read_capabilities', 'access_sensitive_data', 'execute_admin_actions'];
-                rationalStatements = ['Security auditors and researchers need privileged access to conduct thorough assessments'];
-            }
-        } else if (context.task_description.toLowerCase().includes('business') ||
-                   context.task_description.toLowerCase().includes('analysis')) {
-            if (context.authentication_level === 'basic' &&
-                context.roles.includes('business-analyst')) {
-                policy = `// AI-Generated Cedar Policy for Business Analysis
-// Context: ${context.task_description}
-// Auth: ${context.authentication_level}
-// Roles: ${context.roles.join(', ')}
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"access_sensitive_data",
-    resource in MCP::Resource::"data/public"
-);
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"call_tool",
-    resource
-);
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"read_capabilities",
-    resource
-);`;
-                allowedActions = ['read_capabilities', 'call_tool', 'access_sensitive_data'];
-                rationalStatements = ['Business analysts require access to public data and analytical tools within compliance boundaries'];
-            }
-        } else {
-            // Default policy based on authentication level
-            if (context.authentication_level === 'anonymous') {
-                policy = `// AI-Generated Cedar Policy for Anonymous Access
-// DENIED: Anonymous access violates security policies
-forbid(
-    principal,
-    action,
-    resource
-);`;
-                allowedActions = [];
-                rationalStatements = ['Anonymous access is denied to maintain security invariants'];
-            } else {
-                policy = `// AI-Generated Cedar Policy for Default Authenticated Access
-// Context: ${context.task_description}
-// Auth: ${context.authentication_level}
-// Roles: ${context.roles.join(', ')}
-
-permit(
-    principal in MCP::Client::"authenticated",
-    action == MCP::Action::"read_capabilities",
-    resource
-);`;
-                allowedActions = ['read_capabilities'];
-                rationalStatements = ['Default policy provides minimal access for authenticated users'];
+            if (error instanceof CedarValidationError) {
+                return { response, errors: error.errors.map(e => `Cedar validation (line ${e.line}, column ${e.column}): ${e.message}`) };
             }
+            return { response, errors: [error.message] };
         }
+    }
 
-        // Determine AI-assessed risk level
-        const riskLevel = context.authentication_level === 'mfa' ? 'LOW' :
-                         context.authentication_level === 'oauth' ? 'MEDIUM' :
-                         context.authentication_level === 'basic' ? 'HIGH' :
-                         'CRITICAL';
-
-        console.log(`📊 AI Risk Assessment: ${riskLevel}`);
-        console.log(`🎯 Allowed Actions: ${allowedActions.join(', ')}`);
+    // Offline rule-based generation (POLICY_GENERATOR=rule-based)
+    generateRuleBasedPolicyForAgent(agentRequest) {
+        console.log(`[${new Date().toISOString()}] 📏 Generating rule-based policy (no LLM call)`);
+        const result = generateRuleBasedPolicy(agentRequest);
+        console.log(`[${new Date().toISOString()}] 📏 Scenario: ${result.scenario}, risk: ${result.risk_level}, allowed actions: ${result.allowed_actions.join(', ') || 'none'}`);
+        return result;
+    }
 
-        return {
-            policy: policy.trim(),
-            rationale: rationalStatements.join('. '),
-            risk_level: riskLevel,
-            allowed_actions: allowedActions,
-            ai_generated: true,
-            generation_method: 'enhanced_mock_fallback'
-        };
+    // Least-privilege generation for input flagged as a prompt-injection attempt
+    generateRestrictedPolicyForAgent(agentRequest) {
+        console.log(`[${new Date().toISOString()}] 🛡️ Generating restricted policy (task and roles ignored)`);
+        return generateRestrictedPolicy(agentRequest);
     }
 
     // Validate and format generated policy
     async validateAndFormatPolicy(generatedPolicy) {
-        // Basic validation - ensure it's valid Cedar syntax
-        if (!generatedPolicy.includes('permit(') && !generatedPolicy.includes('forbid(')) {
-            throw new Error('Generated policy is not valid Cedar syntax');
+        // Parse with the Cedar grammar so syntax errors are caught before activation
+        let policies;
+        try {
+            policies = parsePolicies(generatedPolicy);
+            if (policies.length === 0) {
+                throw new Error('Generated policy contains no permit or forbid statements');
+            }
+        } catch (error) {
+            if (error instanceof CedarSyntaxError) {
+                throw new Error(`Generated policy is not valid Cedar syntax: ${error.message}`);
+            }
+            throw error;
         }
 
-        // Add header and formatting
-        const formattedPolicy = `// Dynamically generated policy for MCP server access
-// Generated at: ${new Date().toISOString()}
-// Agent: ${this.agentId}
+        // Stable rule ids first, so validation errors already refer to them
+        this.assignStableRuleIds(policies);
 
-${generatedPolicy}
+        // Type-check against the MCP schema; unknown actions, entity types or
+        // attributes would otherwise only show up as errors at request time
+        const validationErrors = validatePolicies(policies, this.schema);
+        if (validationErrors.length > 0) {
+            validationErrors.forEach(error => {
+                console.log(`[${new Date().toISOString()}] ❌ Schema validation: ${error.policyId} line ${error.line}: ${error.message}`);
+            });
+            throw new CedarValidationError(validationErrors);
+        }
 
-`;
+        // Store the canonical form rather than the LLM's own layout, comments and ordering
+        const formattedPolicy = formatPolicySet(policies);
 
         console.log('✅ Policy validated and formatted');
         return formattedPolicy;
     }
 
-    // Evaluate request against agent's dynamic policy
-    async evaluateAuthZ(action, principal, resource, agentId) {
-        console.log(`[${new Date().toISOString()}] 🔐 STEP: Starting Authorization Evaluation`);
-        console.log(`[${new Date().toISOString()}] 🔐 Agent ID: ${agentId}`);
-        console.log(`[${new Date().toISOString()}] 🔐 Principal: ${principal}`);
-        console.log(`[${new Date().toISOString()}] 🔐 Action: ${action}`);
-        console.log(`[${new Date().toISOString()}] 🔐 Resource: ${resource}`);
-
-        // Get the agent's generated policy
-        const policy = this.activePolicies.get(agentId);
+    // Check a validated policy against the agent's permission ceiling; in intersect mode
+    // over-broad permits are narrowed and the result is validated and formatted again.
+    // Throws CeilingViolationError when the policy is rejected.
+    async applyPermissionCeiling(policyText, agent) {
+        try {
+            const { policies, report } = this.ceilings.enforce(parsePolicies(policyText), agent);
+            if (report.outcome === 'within') {
+                console.log(`[${new Date().toISOString()}] 🧱 Policy is within the ${agent.authentication} ceiling`);
+                return { policy: policyText, report };
+            }
 
-        if (!policy) {
-            console.log(`[${new Date().toISOString()}] ❌ POLICY LOAD ERROR: No policy found for agent ${agentId}`);
-            return false;
+            report.changes.forEach(change => {
+                console.log(`[${new Date().toISOString()}] 🧱 Ceiling ${change.change} ${change.action} in ${change.policyId}${change.resources ? ` to ${change.resources.join(', ')}` : ''}`);
+            });
+            return { policy: await this.validateAndFormatPolicy(formatPolicySet(policies)), report };
+        } catch (error) {
+            if (error instanceof CeilingViolationError) {
+                error.violations.forEach(violation => {
+                    console.log(`[${new Date().toISOString()}] 🧱 Ceiling violation: ${violation.reason}`);
+                });
+            }
+            throw error;
         }
-
-        console.log(`[${new Date().toISOString()}] ✅ Policy loaded: ${policy.length} chars`);
-
-        console.log(`[${new Date().toISOString()}] 📋 STEP: Parsing and evaluating policy rules...`);
-
-        // Parse and evaluate the policy
-        const allowed = this.evaluatePolicyAgainstRequest(policy, action, principal, resource);
-
-        console.log(`[${new Date().toISOString()}] 🚦 FINAL POLICY DECISION: ${allowed ? 'PERMIT ✅' : 'DENY ❌'}`);
-        console.log(`[${new Date().toISOString()}] 🚦 Request Summary: ${principal}:${action}:${resource} -> ${allowed ? 'ALLOWED' : 'BLOCKED'}`);
-
-        return allowed;
     }
 
-    // Parse and evaluate dynamic policy
-    evaluatePolicyAgainstRequest(policyText, action, principal, resource) {
-        // Split policy into rules
-        const rules = this.parsePolicyRules(policyText);
-        let decision = 'Deny'; // Default deny
-
-        for (const rule of rules) {
-            if (this.matchRule(rule, action, principal, resource)) {
-                if (rule.type === 'permit') {
-                    decision = 'Permit';
-                } else if (rule.type === 'forbid') {
-                    decision = 'Deny';
-                    break; // Forbid takes precedence
-                }
-            }
+    // Give every generated rule a content-derived id ("permit.trade_using_market_order.1a2b3c4d")
+    // so logs, diagnostics and approvals can refer to it across regenerations.
+    // Other annotations such as @description and @rationale are kept.
+    assignStableRuleIds(policies) {
+        const usedIds = new Set();
+        for (const policy of policies) {
+            const { effect, action } = policy;
+            // Hash the canonical text without annotations, so layout and list order don't matter
+            const content = formatPolicy({ ...policy, id: '', annotations: {} });
+            const hash = createHash('sha256').update(content).digest('hex').slice(0, 8);
+
+            const actions = action.entities || (action.entity ? [action.entity] : []);
+            const label = action.op === 'All' ? 'any-action' : actions.length === 1 ? actions[0].id : `${actions.length}-actions`;
+
+            // Identical rules would share an id; number the repeats
+            let id = `${effect}.${label}.${hash}`;
+            for (let n = 2; usedIds.has(id); n++) id = `${effect}.${label}.${hash}.${n}`;
+            usedIds.add(id);
+
+            policy.id = id;
+            policy.annotations = { ...policy.annotations, id };
         }
-
-        return decision === 'Permit';
+        return policies;
     }
 
-    // Parse complex policy rules
-    parsePolicyRules(policyText) {
-        console.log(`[${new Date().toISOString()}] 📋 PARSING POLICY TEXT (length: ${policyText.length} chars)`);
-
-        const rules = [];
-        const lines = policyText.split('\n');
-
-        let currentRule = null;
+    // Evaluate request against agent's dynamic policy. Returns the decision plus
+    // diagnostics (determining policy ids, default deny, evaluation errors).
+    async evaluateAuthZ(action, principal, resource, agentId, context = {}) {
+        console.log(`[${new Date().toISOString()}] 🔐 AuthZ: agent=${agentId} principal=${principal} action=${action} resource=${resource} context=${JSON.stringify(context)}`);
+
+        // Get the agent's compiled policy
+        const record = this.liveRecord(agentId);
+
+        if (!record) {
+            const retirement = this.retiredAgents.get(agentId);
+            const message = retirement
+                ? `Policy for agent ${agentId} ${retirement.status} at ${retirement.retiredAt}`
+                : `No policy found for agent ${agentId}`;
+            console.log(`[${new Date().toISOString()}] ❌ POLICY LOAD ERROR: ${message}`);
+            return this.denyWithError(message);
+        }
 
-        console.log(`[${new Date().toISOString()}] 📋 Processing ${lines.length} policy lines...`);
+        const result = this.evaluatePolicyAgainstRequest(record.policySet, action, principal, resource, context);
+        console.log(`[${new Date().toISOString()}] 🚦 FINAL POLICY DECISION: ${result.decision === 'Permit' ? 'PERMIT ✅' : 'DENY ❌'}` +
+            (result.reasons.length ? ` (determined by ${result.reasons.join(', ')})` : ' (no policy applied, default deny)'));
 
-        for (let i = 0; i < lines.length; i++) {
-            let line = lines[i].trim();
+        return { decision: result.decision, diagnostics: toDiagnostics(result) };
+    }
 
-            // Skip empty lines and comments
-            if (!line || line.startsWith('//')) continue;
+    // Deny caused by a problem with the policy itself rather than by a forbid or default deny
+    denyWithError(message) {
+        return {
+            decision: 'Deny',
+            diagnostics: { reasons: [], errors: [{ policyId: null, message }], defaultDeny: false }
+        };
+    }
 
-            console.log(`[${new Date().toISOString()}] 📋 Line ${i+1}: "${line}"`);
+    // Evaluate a compiled dynamic policy, including when/unless conditions
+    evaluatePolicyAgainstRequest(policySet, action, principal, resource, context = {}) {
+        const request = buildRequest({ principal, action, resource, context });
+        const result = policySet.authorize(request, this.entities);
 
-            if (line === 'permit(') {
-                currentRule = { type: 'permit', principalType: null, action: null };
-                console.log(`[${new Date().toISOString()}] 📋 Started parsing PERMIT rule`);
-            } else if (line === 'forbid(') {
-                currentRule = { type: 'forbid', principalType: null, action: null };
-                console.log(`[${new Date().toISOString()}] 📋 Started parsing FORBID rule`);
-            } else if (line === ');' && currentRule) {
-                if (currentRule.principalType || currentRule.action) {
-                    rules.push(currentRule);
-                    console.log(`[${new Date().toISOString()}] 📋 Completed rule: ${currentRule.type}, principal:${currentRule.principalType}, action:${currentRule.action}`);
-                }
-                currentRule = null;
-            } else if (currentRule && line.includes('principal in MCP::Client::"')) {
-                const match = line.match(/principal\s+in\s+MCP::Client::"([^"]+)"/);
-                if (match) {
-                    currentRule.principalType = match[1];
-                    console.log(`[${new Date().toISOString()}] 📋 Found principal type: "${currentRule.principalType}"`);
-                }
-            } else if (currentRule && line.includes('action in MCP::Action::"')) {
-                const match = line.match(/action\s+in\s+MCP::Action::"([^"]+)"/);
-                if (match) {
-                    currentRule.action = match[1];
-                    console.log(`[${new Date().toISOString()}] 📋 Found action type (in): "${currentRule.action}"`);
-                }
-            } else if (currentRule && line.includes('action == MCP::Action::"')) {
-                const match = line.match(/action\s+==\s+MCP::Action::"([^"]+)"/);
-                if (match) {
-                    currentRule.action = match[1];
-                    console.log(`[${new Date().toISOString()}] 📋 Found action type (==): "${currentRule.action}"`);
-                }
-            }
-        }
-
-        console.log(`[${new Date().toISOString()}] 📋 PARSED ${rules.length} POLICY RULES:`);
-        rules.forEach((rule, index) => {
-            console.log(`[${new Date().toISOString()}] 📋 Rule ${index+1}: ${rule.type} | principal:${rule.principalType} | action:${rule.action}`);
+        result.errors.forEach(error => {
+            console.log(`[${new Date().toISOString()}] ⚠️ Policy ${error.policyId} skipped: ${error.message}`);
         });
 
-        return rules;
-    }
-
-    // Check if request matches rule conditions
-    matchRule(rule, action, principal, resource) {
-        console.log(`[${new Date().toISOString()}] 🎯 TESTING RULE MATCH:`);
-        console.log(`[${new Date().toISOString()}] 🎯 Rule: ${rule.type} | principal:${rule.principalType} | action:${rule.action}`);
-        console.log(`[${new Date().toISOString()}] 🎯 Request: principal="${principal}" | action="${action}" | resource="${resource}"`);
-
-        // Check principal type if specified
-        if (rule.principalType) {
-            console.log(`[${new Date().toISOString()}] 🎯 Principal type required: "${rule.principalType}"`);
-
-            // Handle different principal formats:
-            // - "authenticated-agent123" (test format)
-            // - "authenticated" (Cedar principal type)
-            // - "unauthenticated" (Cedar principal type)
-            const isAuthenticatedMatch = rule.principalType === 'authenticated' &&
-                (principal.startsWith('authenticated-') || principal === 'authenticated');
-            const isUnauthenticatedMatch = rule.principalType === 'unauthenticated' &&
-                (principal.startsWith('unauthenticated-') || principal === 'unauthenticated');
-
-            console.log(`[${new Date().toISOString()}] 🎯 Principal matching:`);
-            console.log(`[${new Date().toISOString()}] 🎯   Input principal: "${principal}"`);
-            console.log(`[${new Date().toISOString()}] 🎯   Required type: "${rule.principalType}"`);
-            console.log(`[${new Date().toISOString()}] 🎯   Authenticated match: ${isAuthenticatedMatch}`);
-            console.log(`[${new Date().toISOString()}] 🎯   Unauthenticated match: ${isUnauthenticatedMatch}`);
-
-            if (!isAuthenticatedMatch && !isUnauthenticatedMatch) {
-                console.log(`[${new Date().toISOString()}] ❌ PRINCIPAL MISMATCH - Rule does not match principals`);
-                return false;
-            }
+        return result;
+    }
 
-            console.log(`[${new Date().toISOString()}] ✅ Principal matches rule`);
-        } else {
-            console.log(`[${new Date().toISOString()}] 🎯 No principal type restriction in rule`);
-        }
+    // Request context for an agent: the schema's required attributes only ever come from
+    // the agent's registered context, so a caller cannot claim a stronger authentication
+    // or other roles; other attributes in `overrides` (tool, amount) are added
+    requestContextFor(agentId, overrides = {}) {
+        const agentContext = this.agentContexts.get(agentId);
+        const { authentication, roles, ...extra } = overrides ?? {};
+        return {
+            ...extra,
+            ...(agentContext && { authentication: agentContext.authentication, roles: agentContext.roles })
+        };
+    }
 
-        // Check action if specified
-        if (rule.action && action !== rule.action) {
-            console.log(`[${new Date().toISOString()}] ❌ ACTION MISMATCH - Required: "${rule.action}", Got: "${action}"`);
-            return false;
-        }
+    // Catalog actions and resources the agent's current policy may permit, computed from the policy itself
+    getEffectivePermissions(agentId) {
+        const record = this.liveRecord(agentId);
+        if (!record) return null;
 
-        console.log(`[${new Date().toISOString()}] ✅ RULE MATCH SUCCESSFUL - This rule applies to the request`);
-        return true;
+        return effectivePermissions(
+            record.policySet.policies,
+            toEntityUid(agentId, PRINCIPAL_TYPE),
+            { actions: AVAILABLE_ACTIONS, resources: AVAILABLE_RESOURCES },
+            this.entities
+        );
     }
 
-    // Get policy metrics for monitoring
+    // Get policy metrics for monitoring; expired policies are retired first so they are not counted
     getPolicyMetrics() {
+        for (const agentId of [...this.activePolicies.keys()]) {
+            this.liveRecord(agentId);
+        }
         return {
             totalPolicies: this.activePolicies.size,
+            policyCache: this.policyCache.stats(),
+            pendingApprovals: this.approvals.list({ status: 'pending' }).length,
+            retiredPolicies: Object.fromEntries(RETIREMENT_STATUSES.map(status =>
+                [status, [...this.retiredAgents.values()].filter(retirement => retirement.status === status).length])),
+            llmChain: this.llmChain.map(({ label, client }) => ({ label, ...(client && { circuit: client.breaker.stats() }) })),
             activeAgents: Array.from(this.agentContexts.keys()),
-            policiesGenerated: Array.from(this.activePolicies.entries()).map(([agentId, policy]) => ({
+            policiesGenerated: Array.from(this.activePolicies.entries()).map(([agentId, record]) => ({
                 agentId,
-                policyLength: policy.length,
+                policyLength: record.text.length,
+                ruleCount: record.policySet.size,
                 context: this.agentContexts.get(agentId)
             }))
         };
@@ -837,13 +1180,75 @@ const dynamicPolicyServer = new DynamicPolicyMCPServer();
 
 // API Endpoints for Dynamic Policy Management
 
+// Errors from generating a policy: invalid output, ceiling violations, unavailable
+// LLMs and refused input become 4xx/5xx responses with their details
+function sendGenerationError(res, error) {
+    if (error instanceof CedarValidationError) {
+        return res.status(422).json({
+            success: false,
+            error: error.message,
+            validationErrors: error.errors
+        });
+    }
+    if (error instanceof CeilingViolationError) {
+        return res.status(422).json({
+            success: false,
+            error: error.message,
+            ceiling: error.report
+        });
+    }
+    if (error instanceof PolicyGenerationError) {
+        return res.status(422).json({
+            success: false,
+            error: error.message,
+            attempts: error.attempts
+        });
+    }
+    if (error instanceof LLMUnavailableError) {
+        return res.status(503).json({
+            success: false,
+            error: error.message,
+            fallbacks: error.failures
+        });
+    }
+    if (error instanceof PolicyLifetimeError) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+    if (error instanceof PromptInjectionError) {
+        return res.status(422).json({
+            success: false,
+            error: error.message,
+            findings: error.findings
+        });
+    }
+    if (error instanceof RescopeError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...error.details
+        });
+    }
+    console.error('Policy generation failed:', error);
+    res.status(500).json({
+        success: false,
+        error: error.message
+    });
+}
+
 // Generate policy for an agent
 app.post('/api/policies/generate', async (req, res) => {
     try {
         const agentRequest = req.body;
         console.log('🎯 Policy generation request:', agentRequest);
 
-        const policy = await dynamicPolicyServer.generatePolicyForAgent(agentRequest);
+        // Only the agent or an admin may replace a live policy
+        const token = bearerToken(req.headers.authorization);
+        const actor = dynamicPolicyServer.isAgentToken(agentRequest.agentId, token) ? `agent:${agentRequest.agentId}`
+            : isAdminToken(token) ? 'admin' : null;
+        const policy = await dynamicPolicyServer.generatePolicyForAgent(agentRequest, { actor });
 
         res.json({
             success: true,
@@ -852,29 +1257,35 @@ app.post('/api/policies/generate', async (req, res) => {
             generatedAt: new Date().toISOString()
         });
     } catch (error) {
-        console.error('Policy generation failed:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendGenerationError(res, error);
     }
 });
 
 // Evaluate authorization request
 app.post('/api/authz/evaluate', async (req, res) => {
     try {
-        const { action, principal, resource, agentId } = req.body;
+        const { action, resource, agentId } = req.body;
+        // The principal defaults to the agent's own entity
+        const principal = req.body.principal || agentId;
+        const context = dynamicPolicyServer.requestContextFor(agentId, req.body.context);
         console.log(`🔍 Authorization request: agent=${agentId}, principal=${principal}, action=${action}`);
 
-        const allowed = await dynamicPolicyServer.evaluateAuthZ(action, principal, resource, agentId);
+        const { decision, diagnostics } = await dynamicPolicyServer.evaluateAuthZ(action, principal, resource, agentId, context);
 
         res.json({
-            decision: allowed ? 'Permit' : 'Deny',
+            decision,
             agentId: agentId,
-            action, principal, resource,
+            action, principal, resource, context,
+            diagnostics,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
+        if (error instanceof CedarEvaluationError) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid authorization request: ${error.message}`
+            });
+        }
         console.error('AuthZ evaluation failed:', error);
         res.status(500).json({
             success: false,
@@ -883,6 +1294,56 @@ app.post('/api/authz/evaluate', async (req, res) => {
     }
 });
 
+// Evaluate many authorization requests against an agent's policy in one call
+app.post('/api/authz/batch', async (req, res) => {
+    try {
+        const { agentId, requests } = req.body;
+
+        if (!Array.isArray(requests) || requests.length === 0) {
+            return res.status(400).json({ success: false, error: 'requests must be a non-empty array' });
+        }
+        if (requests.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({ success: false, error: `At most ${MAX_BATCH_SIZE} requests per batch` });
+        }
+
+        console.log(`🔍 Batch authorization request: agent=${agentId}, ${requests.length} requests`);
+
+        // Each entry is evaluated on its own; a malformed entry reports an error without failing the batch
+        const results = [];
+        for (const entry of requests) {
+            const entryAgentId = entry.agentId || agentId;
+            const principal = entry.principal || entryAgentId;
+            const context = dynamicPolicyServer.requestContextFor(entryAgentId, entry.context);
+            const { action, resource } = entry;
+
+            try {
+                const { decision, diagnostics } = await dynamicPolicyServer.evaluateAuthZ(action, principal, resource, entryAgentId, context);
+                results.push({ agentId: entryAgentId, action, principal, resource, decision, diagnostics });
+            } catch (error) {
+                if (!(error instanceof CedarEvaluationError)) throw error;
+                results.push({ agentId: entryAgentId, action, principal, resource, error: `Invalid authorization request: ${error.message}` });
+            }
+        }
+
+        res.json({
+            agentId,
+            results,
+            summary: {
+                permit: results.filter(result => result.decision === 'Permit').length,
+                deny: results.filter(result => result.decision === 'Deny').length,
+                errors: results.filter(result => result.error).length
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Batch AuthZ evaluation failed:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // Get policy metrics
 app.get('/api/policies/metrics', (req, res) => {
     const metrics = dynamicPolicyServer.getPolicyMetrics();
@@ -892,22 +1353,336 @@ app.get('/api/policies/metrics', (req, res) => {
 // Get specific agent's policy
 app.get('/api/policies/:agentId', (req, res) => {
     const agentId = req.params.agentId;
-    const policy = dynamicPolicyServer.activePolicies.get(agentId);
+    const record = dynamicPolicyServer.liveRecord(agentId);
     const context = dynamicPolicyServer.agentContexts.get(agentId);
 
-    if (!policy) {
+    if (!record) {
+        const retirement = dynamicPolicyServer.retiredAgents.get(agentId);
+        if (retirement) {
+            return res.status(410).json({ error: `Policy ${retirement.status}`, retirement });
+        }
         return res.status(404).json({ error: 'Policy not found for agent' });
     }
 
+    // Rule ids and annotations (@description, @rationale, ...) of the active policy
+    const rules = record.policySet.policies.map(({ id, effect, annotations }) => ({ id, effect, annotations }));
+
     res.json({
         agentId,
-        policy,
+        policy: record.text,
+        rules,
+        metadata: record.metadata,
+        prompts: record.prompts,
         context,
         createdAt: context?.createdAt
     });
 });
 
+// Catalog actions and resources an agent's policy permits, without probing
+app.get('/api/policies/:agentId/permissions', (req, res) => {
+    const agentId = req.params.agentId;
+
+    try {
+        const permissions = dynamicPolicyServer.getEffectivePermissions(agentId);
+        if (!permissions) {
+            return res.status(404).json({ error: 'Policy not found for agent' });
+        }
+
+        res.json({
+            agentId,
+            permissions,
+            allowedActions: [...new Set(permissions.filter(p => p.access === 'allowed').map(p => p.action))],
+            catalog: { actions: AVAILABLE_ACTIONS, resources: AVAILABLE_RESOURCES }
+        });
+    } catch (error) {
+        console.error('Permissions query failed:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Version history of an agent's policy, oldest first, without the policy texts
+app.get('/api/policies/:agentId/versions', (req, res) => {
+    const agentId = req.params.agentId;
+    const versions = dynamicPolicyServer.policyVersions.list(agentId);
+    if (versions.length === 0) {
+        return res.status(404).json({ error: 'No policy versions for agent' });
+    }
+
+    const active = dynamicPolicyServer.activePolicies.get(agentId);
+    res.json({
+        agentId,
+        activeVersion: active?.metadata.version ?? null,
+        versions: versions.map(({ version, digest, change, createdAt, metadata }) => ({
+            version,
+            digest,
+            change,
+            createdAt,
+            generation_method: metadata.generation_method || null
+        }))
+    });
+});
+
+// One version of an agent's policy, including its text, metadata and prompts
+app.get('/api/policies/:agentId/versions/:version', (req, res) => {
+    const version = dynamicPolicyServer.policyVersions.get(req.params.agentId, parseInt(req.params.version, 10));
+    if (!version) {
+        return res.status(404).json({ error: 'Policy version not found' });
+    }
+    res.json(version);
+});
+
+function sendDiffError(res, error) {
+    if (error instanceof PolicyDiffError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    if (error instanceof CedarValidationError) {
+        return res.status(422).json({ success: false, error: error.message, validationErrors: error.errors });
+    }
+    console.error('Policy diff failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+}
+
+// Effective and rule-level change between two policy versions; ?from=&to= are version
+// numbers, defaulting to the active version and the one before it
+app.get('/api/policies/:agentId/diff', async (req, res) => {
+    const [from, to] = [req.query.from, req.query.to].map(value => value === undefined ? undefined : Number(value));
+    if (![from, to].every(value => value === undefined || Number.isInteger(value))) {
+        return res.status(400).json({ success: false, error: 'from and to must be integer version numbers' });
+    }
+
+    try {
+        res.json(await dynamicPolicyServer.diffAgentPolicies(req.params.agentId, { from, to }));
+    } catch (error) {
+        sendDiffError(res, error);
+    }
+});
+
+// What a candidate policy would change compared with the agent's active policy; body: { policy }
+app.post('/api/policies/:agentId/diff', async (req, res) => {
+    const { policy } = req.body || {};
+    if (typeof policy !== 'string' || policy.trim() === '') {
+        return res.status(400).json({ success: false, error: 'policy must be a non-empty Cedar policy text' });
+    }
+
+    try {
+        res.json(await dynamicPolicyServer.diffAgentPolicies(req.params.agentId, { candidate: policy }));
+    } catch (error) {
+        sendDiffError(res, error);
+    }
+});
+
+// Regenerate an agent's policy for a new task; body: { task, ttlSeconds, expiresAt }.
+// Narrowing changes apply at once, escalations are checked against the re-scope rules.
+app.post('/api/policies/:agentId/rescope', requireAgentOrAdmin, async (req, res) => {
+    const { task, ttlSeconds, expiresAt } = req.body || {};
+    if (typeof task !== 'string' || task.trim() === '') {
+        return res.status(400).json({ success: false, error: 'task is required' });
+    }
+
+    try {
+        const result = await dynamicPolicyServer.rescopePolicy(req.params.agentId, { task, ttlSeconds, expiresAt, actor: res.locals.actor });
+        res.status(result.applied ? 200 : 202).json({ success: true, agentId: req.params.agentId, ...result });
+    } catch (error) {
+        sendGenerationError(res, error);
+    }
+});
+
+// The agent reports its task done; its policy is retired. Body: { summary }
+app.post('/api/policies/:agentId/complete', requireAgentOrAdmin, (req, res) => {
+    const agentId = req.params.agentId;
+    const retirement = dynamicPolicyServer.retirePolicy(agentId, 'completed', {
+        actor: res.locals.actor,
+        reason: req.body?.summary || 'Task completed'
+    });
+    if (!retirement) {
+        return res.status(404).json({ success: false, error: 'No active policy for agent' });
+    }
+    res.json({ success: true, agentId, retirement });
+});
+
+// Bearer token from an Authorization header, or null
+function bearerToken(header) {
+    const match = /^Bearer (.+)$/.exec(header || '');
+    return match ? match[1] : null;
+}
+
+// Whether `token` is ADMIN_API_TOKEN; never true when no admin token is configured.
+// Digests are compared so the comparison takes the same time whatever the length.
+function isAdminToken(token) {
+    const adminToken = process.env.ADMIN_API_TOKEN;
+    if (!adminToken || typeof token !== 'string') return false;
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(token), digest(adminToken));
+}
+
+// Admin endpoints need ADMIN_API_TOKEN as a bearer token, and are closed when it is not set
+function requireAdmin(req, res, next) {
+    if (!process.env.ADMIN_API_TOKEN) {
+        return res.status(503).json({ success: false, error: 'Admin endpoints are disabled: ADMIN_API_TOKEN is not set' });
+    }
+    if (!isAdminToken(bearerToken(req.headers.authorization))) {
+        return res.status(401).json({ success: false, error: 'Admin token required' });
+    }
+    next();
+}
+
+// An agent acting on its own policy needs the token issued with it; an admin can act
+// for it with ADMIN_API_TOKEN. res.locals.actor says which of the two called.
+function requireAgentOrAdmin(req, res, next) {
+    const token = bearerToken(req.headers.authorization);
+    if (dynamicPolicyServer.isAgentToken(req.params.agentId, token)) {
+        res.locals.actor = `agent:${req.params.agentId}`;
+        return next();
+    }
+    if (isAdminToken(token)) {
+        res.locals.actor = 'admin';
+        return next();
+    }
+    res.status(401).json({ success: false, error: "The agent's token or the admin token is required" });
+}
+
+// Policy cache statistics
+app.get('/api/admin/policy-cache', requireAdmin, (req, res) => {
+    res.json(dynamicPolicyServer.policyCache.stats());
+});
+
+// Purge the policy cache; active agent policies are not affected
+app.delete('/api/admin/policy-cache', requireAdmin, (req, res) => {
+    const purged = dynamicPolicyServer.policyCache.purge();
+    console.log(`[${new Date().toISOString()}] 🗃️ Policy cache purged: ${purged} entries`);
+    res.json({ success: true, purged });
+});
+
+// Roll an agent back to an earlier policy version; body: { version, actor, reason }
+app.post('/api/policies/:agentId/rollback', requireAdmin, async (req, res) => {
+    const { version, actor, reason } = req.body || {};
+    if (!Number.isInteger(version)) {
+        return res.status(400).json({ success: false, error: 'version must be an integer' });
+    }
+
+    try {
+        const rolledBack = await dynamicPolicyServer.rollbackPolicy(req.params.agentId, version, { actor, reason });
+        if (!rolledBack) {
+            return res.status(404).json({ success: false, error: 'Policy version not found' });
+        }
+        res.json({ success: true, version: rolledBack });
+    } catch (error) {
+        if (error instanceof CedarValidationError) {
+            return res.status(422).json({
+                success: false,
+                error: error.message,
+                validationErrors: error.errors
+            });
+        }
+        if (error instanceof CeilingViolationError) {
+            return res.status(422).json({
+                success: false,
+                error: error.message,
+                ceiling: error.report
+            });
+        }
+        console.error('Policy rollback failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Revoke an agent's policy immediately; body: { actor, reason }
+app.delete('/api/policies/:agentId', requireAdmin, (req, res) => {
+    const { actor, reason } = req.body || {};
+    const retirement = dynamicPolicyServer.retirePolicy(req.params.agentId, 'revoked', { actor: actor || 'admin', reason });
+    if (!retirement) {
+        return res.status(404).json({ success: false, error: 'No active policy for agent' });
+    }
+    res.json({ success: true, agentId: req.params.agentId, retirement });
+});
+
+// Revoke the policies of every agent with a role and/or authentication level; body: { role, authentication, actor, reason }
+app.post('/api/policies/revoke', requireAdmin, (req, res) => {
+    const { role, authentication, actor, reason } = req.body || {};
+    if (!role && !authentication) {
+        return res.status(400).json({ success: false, error: 'role or authentication is required' });
+    }
+    const revoked = dynamicPolicyServer.revokePolicies({ role, authentication }, { actor: actor || 'admin', reason });
+    res.json({ success: true, revoked });
+});
+
+function sendApprovalError(res, error) {
+    if (error instanceof ApprovalError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+    }
+    console.error('Approval request failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+}
+
+// Approval requests for high-risk policies, newest first; filter with ?status= and ?agentId=
+app.get('/api/admin/approvals', requireAdmin, (req, res) => {
+    const { status, agentId } = req.query;
+    res.json({ approvals: dynamicPolicyServer.approvals.list({ status, agentId }) });
+});
+
+// One approval request with the rules and permissions of the held policy
+app.get('/api/admin/approvals/:id', requireAdmin, (req, res) => {
+    try {
+        res.json(dynamicPolicyServer.inspectApproval(req.params.id));
+    } catch (error) {
+        sendApprovalError(res, error);
+    }
+});
+
+// Approve a pending request and activate its policy; body: { reviewer, comment }
+app.post('/api/admin/approvals/:id/approve', requireAdmin, (req, res) => {
+    try {
+        const { reviewer, comment } = req.body || {};
+        res.json({ success: true, approval: dynamicPolicyServer.approvePolicy(req.params.id, { reviewer, comment }) });
+    } catch (error) {
+        sendApprovalError(res, error);
+    }
+});
+
+// Reject a pending request; the agent keeps the minimal policy. Body: { reviewer, comment }
+app.post('/api/admin/approvals/:id/reject', requireAdmin, (req, res) => {
+    try {
+        const { reviewer, comment } = req.body || {};
+        res.json({ success: true, approval: dynamicPolicyServer.rejectPolicy(req.params.id, { reviewer, comment }) });
+    } catch (error) {
+        sendApprovalError(res, error);
+    }
+});
+
+// Prompt template used for policy generation, for review
+app.get('/api/prompts/active', (req, res) => {
+    const template = dynamicPolicyServer.promptTemplate;
+
+    try {
+        res.json({
+            ...template.reference,
+            availableVersions: PromptTemplate.versions(path.dirname(template.directory)),
+            variables: PROMPT_VARIABLES,
+            repairVariables: REPAIR_VARIABLES,
+            system: template.system,
+            user: template.user,
+            repair: template.repair
+        });
+    } catch (error) {
+        console.error('Prompt template query failed:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // MCP protocol endpoint (enhanced with dynamic policies)
+// /mcp errors for agents whose policy has been retired
+const RETIREMENT_ERRORS = {
+    expired: 'Dynamic policy for this agent has expired',
+    revoked: 'Dynamic policy for this agent has been revoked',
+    completed: 'Dynamic policy for this agent ended with its task'
+};
+
 app.post('/mcp', async (req, res) => {
     console.log('🎯 MCP request received');
 
@@ -915,10 +1690,20 @@ app.post('/mcp', async (req, res) => {
     const agentId = req.headers['x-agent-id'] || 'default-agent';
     const authToken = req.headers.authorization;
 
-    // Ensure agent has a dynamic policy
-    if (!dynamicPolicyServer.activePolicies.has(agentId)) {
+    // Ensure agent has a live dynamic policy; say so when it expired, was revoked or its task completed
+    if (!dynamicPolicyServer.liveRecord(agentId)) {
+        const retirement = dynamicPolicyServer.retiredAgents.get(agentId);
+        if (retirement) {
+            return res.status(retirement.status === 'revoked' ? 403 : 401).json({
+                error: RETIREMENT_ERRORS[retirement.status],
+                code: `policy_${retirement.status}`,
+                retirement,
+                required: 'POST /api/policies/generate with agent context'
+            });
+        }
         return res.status(401).json({
             error: 'No dynamic policy generated for this agent',
+            code: 'policy_missing',
             required: 'POST /api/policies/generate with agent context'
         });
     }
@@ -926,19 +1711,24 @@ app.post('/mcp', async (req, res) => {
     // Handled based on request type
     const method = req.body.method;
 
+    // Request context for when/unless conditions comes from the agent's registered context
+    const requestContext = dynamicPolicyServer.requestContextFor(agentId);
+
     if (method === 'initialize') {
         // Check if agent can read capabilities
-        const canReadCapabilities = await dynamicPolicyServer.evaluateAuthZ(
+        const capabilitiesResult = await dynamicPolicyServer.evaluateAuthZ(
             'read_capabilities',
-            `authenticated-${agentId}`,
+            agentId,
             'server/info',
-            agentId
+            agentId,
+            requestContext
         );
 
-        if (!canReadCapabilities) {
+        if (capabilitiesResult.decision !== 'Permit') {
             return res.status(403).json({
                 error: 'Access denied: cannot read server capabilities',
-                cedar_decision: 'Deny'
+                cedar_decision: 'Deny',
+                diagnostics: capabilitiesResult.diagnostics
             });
         }
 
@@ -959,6 +1749,7 @@ app.post('/mcp', async (req, res) => {
                                 type: 'object',
                                 properties: {
                                     action: { type: 'string' },
+                                    resource: { type: 'string', description: 'Target resource path, e.g. trading/AAPL' },
                                     data: { type: 'object' }
                                 },
                                 required: ['action']
@@ -971,16 +1762,30 @@ app.post('/mcp', async (req, res) => {
     } else if (method === 'tools/call') {
         const toolName = req.body.params?.name;
         const action = req.body.params?.arguments?.action;
+        // Tools act on the resource named in their arguments, or on the tool itself
+        const resource = req.body.params?.arguments?.resource || `tool/${toolName}`;
+
+        // Tool arguments such as a trade amount are exposed to conditions too
+        const toolContext = { ...requestContext, tool: toolName };
+        const amount = req.body.params?.arguments?.data?.amount;
+        if (Number.isInteger(amount)) {
+            toolContext.amount = amount;
+        }
 
-        // Check if agent is authorized for this tool action
-        const allowed = await dynamicPolicyServer.evaluateAuthZ(
-            action,
-            `authenticated-${agentId}`,
-            `tool/${toolName}`,
-            agentId
-        );
+        // Check if agent is authorized for this tool action on this resource
+        let authzResult;
+        try {
+            authzResult = await dynamicPolicyServer.evaluateAuthZ(action, agentId, resource, agentId, toolContext);
+        } catch (error) {
+            if (!(error instanceof CedarEvaluationError)) throw error;
+            return res.json({
+                jsonrpc: '2.0',
+                id: req.body.id,
+                error: { code: -32602, message: `Invalid tool arguments: ${error.message}` }
+            });
+        }
 
-        if (!allowed) {
+        if (authzResult.decision !== 'Permit') {
             return res.json({
                 jsonrpc: '2.0',
                 id: req.body.id,
@@ -991,7 +1796,8 @@ app.post('/mcp', async (req, res) => {
                         cedar_decision: 'Deny',
                         agent_id: agentId,
                         action: action,
-                        resource: `tool/${toolName}`
+                        resource: resource,
+                        diagnostics: authzResult.diagnostics
                     }
                 }
             });
@@ -1004,10 +1810,31 @@ app.post('/mcp', async (req, res) => {
             result: {
                 content: [{
                     type: 'text',
-                    text: `✅ Dynamic policy authorized: executed ${action} for agent ${agentId}`
+                    text: `✅ Dynamic policy authorized: executed ${action} on ${resource} for agent ${agentId}`
                 }]
             }
         });
+    } else if (method === 'task/complete') {
+        // The agent is done with its task; its policy is retired. x-agent-id alone is not
+        // enough here, the caller must hold the agent's token or the admin token.
+        const token = bearerToken(authToken);
+        const isAgent = dynamicPolicyServer.isAgentToken(agentId, token);
+        if (!isAgent && !isAdminToken(token)) {
+            return res.json({
+                jsonrpc: '2.0',
+                id: req.body.id,
+                error: { code: -32000, message: "task/complete requires the agent's token or the admin token" }
+            });
+        }
+        const retirement = dynamicPolicyServer.retirePolicy(agentId, 'completed', {
+            actor: isAgent ? `agent:${agentId}` : 'admin',
+            reason: req.body.params?.summary || 'Task completed'
+        });
+        res.json({
+            jsonrpc: '2.0',
+            id: req.body.id,
+            result: { retired: true, retirement }
+        });
     } else {
         res.json({
             jsonrpc: '2.0',
@@ -1023,8 +1850,26 @@ app.listen(port, '0.0.0.0', () => {
     console.log(`📋 API endpoints:`);
     console.log(`   • POST /api/policies/generate - Generate policy for agent`);
     console.log(`   • POST /api/authz/evaluate - Evaluate authorization`);
+    console.log(`   • POST /api/authz/batch - Evaluate many authorization requests`);
     console.log(`   • GET /api/policies/:agentId - Get agent policy`);
+    console.log(`   • GET /api/policies/:agentId/permissions - Get agent's effective permissions`);
+    console.log(`   • GET /api/policies/:agentId/versions - List an agent's policy versions`);
+    console.log(`   • GET /api/policies/:agentId/versions/:version - Get one policy version`);
+    console.log(`   • GET /api/policies/:agentId/diff - Compare two policy versions`);
+    console.log(`   • POST /api/policies/:agentId/diff - Compare a candidate policy with the active one`);
+    console.log(`   • POST /api/policies/:agentId/rollback - Roll an agent back to an earlier version`);
+    console.log(`   • DELETE /api/policies/:agentId - Revoke an agent's policy`);
+    console.log(`   • POST /api/policies/revoke - Revoke policies by role or authentication level`);
+    console.log(`   • POST /api/policies/:agentId/complete - Retire a policy when its task is complete`);
+    console.log(`   • POST /api/policies/:agentId/rescope - Regenerate an agent's policy for a new task`);
     console.log(`   • GET /api/policies/metrics - Get policy metrics`);
+    console.log(`   • GET /api/prompts/active - Get active prompt template`);
+    console.log(`   • GET /api/admin/policy-cache - Get policy cache statistics`);
+    console.log(`   • DELETE /api/admin/policy-cache - Purge the policy cache`);
+    console.log(`   • GET /api/admin/approvals - List policy approval requests`);
+    console.log(`   • GET /api/admin/approvals/:id - Inspect a held policy`);
+    console.log(`   • POST /api/admin/approvals/:id/approve - Approve and activate a held policy`);
+    console.log(`   • POST /api/admin/approvals/:id/reject - Reject a held policy`);
     console.log(`   • POST /mcp - MCP protocol endpoint (with dynamic authz)`);
 });
 
@@ -0,0 +1,270 @@
+// LLM providers for Cedar policy generation
+//
+// Every provider sends the same system prompt and conversation to a different API
+// and hands back the reply text; extractJSON and normalizePolicyResponse turn that
+// into { policy, rationale, risk_level, allowed_actions }, so the server does not
+// care which model produced a policy. Conversations alternate user and assistant
+// turns, starting with the user, so a reply can be followed up. LLM_PROVIDER picks
+// the implementation: gemini (default), openai (any OpenAI-compatible chat
+// completions endpoint, including vLLM and LM Studio), anthropic or ollama. Every
+// HTTP call is bounded by LLM_TIMEOUT_MS; failures are raised as LLMRequestError so
+// callers can tell retryable ones (429, 5xx, timeouts, network errors) apart.
+
+const TEMPERATURE = 0.1;
+const MAX_OUTPUT_TOKENS = 2000;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// A failed provider HTTP call; `retryable` is set for rate limits, server errors,
+// timeouts and network failures
+export class LLMRequestError extends Error {
+    constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'LLMRequestError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Pull the JSON object out of a model reply, which may wrap it in prose or a code fence
+export function extractJSON(text) {
+    try {
+        return JSON.parse(text);
+    } catch (parseError) {
+        const jsonMatch = text.match(/```json\s*(\{[\s\S]*\})\s*```/) ||
+                        text.match(/```([\s\S]*?\})[\s\S]*```/) ||
+                        text.match(/\{[\s\S]*\}/);
+
+        if (jsonMatch) {
+            return JSON.parse(jsonMatch[1] || jsonMatch[0]);
+        }
+        throw new Error('Could not parse LLM response as JSON');
+    }
+}
+
+// Common result shape for all providers
+export function normalizePolicyResponse(parsed) {
+    if (!parsed || typeof parsed.policy !== 'string' || parsed.policy.trim() === '') {
+        throw new Error('LLM response does not contain policy text');
+    }
+    return {
+        policy: parsed.policy,
+        rationale: typeof parsed.rationale === 'string' ? parsed.rationale : '',
+        risk_level: typeof parsed.risk_level === 'string' ? parsed.risk_level.toUpperCase() : 'UNKNOWN',
+        allowed_actions: Array.isArray(parsed.allowed_actions)
+            ? parsed.allowed_actions.filter(action => typeof action === 'string')
+            : []
+    };
+}
+
+class LLMProvider {
+    constructor(name, { apiUrl, apiKey, model, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+        this.name = name;
+        this.apiUrl = apiUrl;
+        this.apiKey = apiKey;
+        this.model = model;
+        this.timeoutMs = timeoutMs;
+    }
+
+    // Send the conversation ([{ role: 'user' | 'assistant', content }]) and return the reply text
+    async chat(systemPrompt, messages) {
+        const text = await this.complete(systemPrompt, messages);
+        if (!text) {
+            throw new LLMRequestError(`No content received from ${this.name}`);
+        }
+        return text;
+    }
+
+    // The timeout covers the whole exchange, including reading the response body
+    async postJSON(url, headers, body) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new LLMRequestError(`${this.name} API failed: ${response.status} - ${errorText}`, {
+                    status: response.status,
+                    retryable: response.status === 429 || response.status >= 500,
+                    retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+                });
+            }
+            return await response.json();
+        } catch (error) {
+            if (error instanceof LLMRequestError) throw error;
+            if (error.name === 'TimeoutError') {
+                throw new LLMRequestError(`${this.name} API timed out after ${this.timeoutMs}ms`, { retryable: true });
+            }
+            if (error instanceof SyntaxError) {
+                throw new LLMRequestError(`${this.name} API returned invalid JSON: ${error.message}`);
+            }
+            throw new LLMRequestError(`${this.name} API unreachable: ${error.cause?.message || error.message}`, { retryable: true });
+        }
+    }
+
+    // Safe-to-log description of the configuration
+    describe() {
+        return {
+            provider: this.name,
+            apiUrl: this.apiUrl,
+            model: this.model || null,
+            timeoutMs: this.timeoutMs,
+            apiKey: this.apiKey ? '***CONFIGURED***' : 'MISSING'
+        };
+    }
+}
+
+// Google Gemini generateContent
+export class GeminiProvider extends LLMProvider {
+    constructor(options) {
+        super('gemini', options);
+    }
+
+    async complete(systemPrompt, messages) {
+        if (!this.apiKey) {
+            throw new LLMRequestError('GEMINI_API_KEY not configured in environment');
+        }
+
+        // The system prompt is prepended to the first user turn
+        const result = await this.postJSON(`${this.apiUrl}?key=${this.apiKey}`, {}, {
+            contents: messages.map((message, index) => ({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: [{
+                    text: index === 0 ? systemPrompt + "\n\n" + message.content : message.content
+                }]
+            })),
+            generationConfig: {
+                temperature: TEMPERATURE,
+                maxOutputTokens: MAX_OUTPUT_TOKENS,
+                topK: 1,
+                topP: 0.1
+            },
+            safetySettings: [{
+                category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+                threshold: "BLOCK_MEDIUM_AND_ABOVE"
+            }]
+        });
+        return result.candidates?.[0]?.content?.parts?.[0]?.text;
+    }
+}
+
+// OpenAI-compatible chat completions; the API key is optional for local servers
+export class OpenAIProvider extends LLMProvider {
+    constructor(options) {
+        super('openai', options);
+    }
+
+    async complete(systemPrompt, messages) {
+        const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+        const result = await this.postJSON(this.apiUrl, headers, {
+            model: this.model,
+            temperature: TEMPERATURE,
+            max_tokens: MAX_OUTPUT_TOKENS,
+            messages: [{ role: 'system', content: systemPrompt }, ...messages]
+        });
+        return result.choices?.[0]?.message?.content;
+    }
+}
+
+// Anthropic Messages API
+export class AnthropicProvider extends LLMProvider {
+    constructor(options) {
+        super('anthropic', options);
+    }
+
+    async complete(systemPrompt, messages) {
+        if (!this.apiKey) {
+            throw new LLMRequestError('ANTHROPIC_API_KEY not configured in environment');
+        }
+
+        const result = await this.postJSON(this.apiUrl, {
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        }, {
+            model: this.model,
+            system: systemPrompt,
+            temperature: TEMPERATURE,
+            max_tokens: MAX_OUTPUT_TOKENS,
+            messages
+        });
+        return result.content?.filter(block => block.type === 'text').map(block => block.text).join('');
+    }
+}
+
+// Ollama-style local chat endpoint, asked for JSON output
+export class OllamaProvider extends LLMProvider {
+    constructor(options) {
+        super('ollama', options);
+    }
+
+    async complete(systemPrompt, messages) {
+        const result = await this.postJSON(this.apiUrl, {}, {
+            model: this.model,
+            stream: false,
+            format: 'json',
+            options: { temperature: TEMPERATURE },
+            messages: [{ role: 'system', content: systemPrompt }, ...messages]
+        });
+        return result.message?.content;
+    }
+}
+
+// GEMINI_MODEL, when set, replaces the model named in GEMINI_API_URL
+function geminiApiUrl(apiUrl, model) {
+    return apiUrl && model ? apiUrl.replace(/\/models\/[^/:]+/, `/models/${model}`) : apiUrl;
+}
+
+function timeoutFrom(env) {
+    return parseInt(env.LLM_TIMEOUT_MS || String(DEFAULT_TIMEOUT_MS), 10) || DEFAULT_TIMEOUT_MS;
+}
+
+const PROVIDERS = {
+    gemini: env => new GeminiProvider({
+        apiUrl: geminiApiUrl(env.GEMINI_API_URL, env.GEMINI_MODEL),
+        apiKey: env.GEMINI_API_KEY,
+        model: env.GEMINI_MODEL,
+        timeoutMs: timeoutFrom(env)
+    }),
+    openai: env => new OpenAIProvider({
+        apiUrl: env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions',
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || 'gpt-4o-mini',
+        timeoutMs: timeoutFrom(env)
+    }),
+    anthropic: env => new AnthropicProvider({
+        apiUrl: env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages',
+        apiKey: env.ANTHROPIC_API_KEY,
+        model: env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+        timeoutMs: timeoutFrom(env)
+    }),
+    ollama: env => new OllamaProvider({
+        apiUrl: env.OLLAMA_API_URL || 'http://localhost:11434/api/chat',
+        model: env.OLLAMA_MODEL || 'llama3.1',
+        timeoutMs: timeoutFrom(env)
+    })
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Build the provider named by LLM_PROVIDER (default gemini)
+export function createLLMProvider(env = process.env) {
+    const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER '${name}' (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+    }
+    return factory(env);
+}
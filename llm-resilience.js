@@ -0,0 +1,215 @@
+// Resilient LLM calls and the provider fallback chain
+//
+// LLM_FALLBACK_CHAIN lists, in order, where a policy may come from: providers,
+// optionally with a model ("openai:gpt-4o"), and finally "rule-based" for the
+// deterministic generator (e.g. "gemini,openai:gpt-4o-mini,rule-based"). It
+// defaults to LLM_PROVIDER alone. Every provider link is called through a
+// ResilientLLMClient, which retries 429, 5xx, timeout and network failures with
+// jittered exponential backoff, and keeps a circuit breaker that stops calling the
+// provider after repeated failures until a cool-down has passed.
+
+import { createLLMProvider, PROVIDER_NAMES } from './llm-providers.js';
+
+export const RULE_BASED_LINK = 'rule-based';
+
+// Raised instead of calling a provider whose circuit is open, or half-open with its trial call in flight
+export class CircuitOpenError extends Error {
+    constructor(label, retryAt) {
+        super(retryAt === null
+            ? `Circuit half-open for ${label}, waiting on its trial call`
+            : `Circuit open for ${label} until ${new Date(retryAt).toISOString()}`);
+        this.name = 'CircuitOpenError';
+        this.retryAt = retryAt;
+    }
+}
+
+// Raised when every link of the fallback chain failed; `failures` has one entry per link
+export class LLMUnavailableError extends Error {
+    constructor(failures) {
+        super(`No LLM in the fallback chain could be reached (${failures.map(f => `${f.label}: ${f.error}`).join('; ')}). ` +
+            'System requires working LLM for policy generation.');
+        this.name = 'LLMUnavailableError';
+        this.failures = failures;
+    }
+}
+
+// closed -> open after failureThreshold consecutive failures; open -> half-open once
+// resetTimeoutMs has passed. Half-open lets a single trial call through, and turns
+// everyone else away until it ends: its success closes the circuit, its failure re-opens it,
+// and a call released without an outcome lets the next caller be the trial.
+export class CircuitBreaker {
+    constructor({ failureThreshold = 3, resetTimeoutMs = 30000, now = Date.now } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.now = now;
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.timesOpened = 0;
+        this.trialInFlight = false;
+    }
+
+    // When an open circuit lets a trial call through; null unless open
+    get retryAt() {
+        return this.state === 'open' ? this.openedAt + this.resetTimeoutMs : null;
+    }
+
+    // Whether a call may go ahead; a call that is let through must end in recordSuccess,
+    // recordFailure or release
+    allowRequest() {
+        if (this.state === 'open' && this.now() >= this.retryAt) {
+            this.state = 'half-open';
+        }
+        if (this.state === 'half-open') {
+            if (this.trialInFlight) return false;
+            this.trialInFlight = true;
+        }
+        return this.state !== 'open';
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.consecutiveFailures++;
+        this.trialInFlight = false;
+        if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = this.now();
+            this.timesOpened++;
+        }
+    }
+
+    // End a call that says nothing about the provider's health, such as a rejected request
+    release() {
+        this.trialInFlight = false;
+    }
+
+    stats() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            resetSeconds: Math.round(this.resetTimeoutMs / 1000),
+            timesOpened: this.timesOpened,
+            retryAt: this.state === 'open' ? new Date(this.retryAt).toISOString() : null
+        };
+    }
+}
+
+// "Full jitter": a random delay up to base * 2^retry, capped, but never shorter than Retry-After
+export function backoffDelay(retry, { baseDelayMs, maxDelayMs, retryAfterMs = null, random = Math.random }) {
+    const jittered = random() * Math.min(maxDelayMs, baseDelayMs * 2 ** retry);
+    return Math.min(maxDelayMs, Math.max(jittered, retryAfterMs || 0));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A provider with retries and a circuit breaker; same chat() interface as the provider
+export class ResilientLLMClient {
+    constructor(provider, { maxRetries = 2, baseDelayMs = 500, maxDelayMs = 8000, breaker = new CircuitBreaker(), wait = sleep } = {}) {
+        this.provider = provider;
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.breaker = breaker;
+        this.wait = wait;
+    }
+
+    get name() {
+        return this.provider.name;
+    }
+
+    get model() {
+        return this.provider.model;
+    }
+
+    get label() {
+        return this.provider.model ? `${this.provider.name}:${this.provider.model}` : this.provider.name;
+    }
+
+    // One logical call: retried while the error is retryable. Only a call that still fails
+    // with a retryable (rate limit, 5xx, timeout or network) error counts as a breaker failure;
+    // a request the provider rejects outright says nothing about its health.
+    async chat(systemPrompt, messages) {
+        if (!this.breaker.allowRequest()) {
+            throw new CircuitOpenError(this.label, this.breaker.retryAt);
+        }
+
+        for (let retry = 0; ; retry++) {
+            try {
+                const text = await this.provider.chat(systemPrompt, messages);
+                this.breaker.recordSuccess();
+                return text;
+            } catch (error) {
+                if (!error.retryable) {
+                    this.breaker.release();
+                    throw error;
+                }
+                if (retry >= this.maxRetries) {
+                    this.breaker.recordFailure();
+                    throw error;
+                }
+                const delay = backoffDelay(retry, { baseDelayMs: this.baseDelayMs, maxDelayMs: this.maxDelayMs, retryAfterMs: error.retryAfterMs });
+                console.log(`[${new Date().toISOString()}] 🔄 ${this.label} call failed (${error.message}), retry ${retry + 1}/${this.maxRetries} in ${Math.round(delay)}ms`);
+                await this.wait(delay);
+            }
+        }
+    }
+
+    describe() {
+        return {
+            ...this.provider.describe(),
+            maxRetries: this.maxRetries,
+            circuit: this.breaker.stats()
+        };
+    }
+}
+
+// Links of LLM_FALLBACK_CHAIN: [{ label, client }], client null for the rule-based link
+export function createFallbackChain(env = process.env) {
+    const spec = env.LLM_FALLBACK_CHAIN || env.LLM_PROVIDER || 'gemini';
+    const entries = spec.split(',').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length === 0) {
+        throw new Error('LLM_FALLBACK_CHAIN is empty');
+    }
+
+    const options = {
+        maxRetries: Math.max(0, parseInt(env.LLM_MAX_RETRIES || '2', 10) || 0),
+        baseDelayMs: parseInt(env.LLM_RETRY_BASE_MS || '500', 10),
+        maxDelayMs: parseInt(env.LLM_RETRY_MAX_MS || '8000', 10)
+    };
+    const breakerOptions = {
+        failureThreshold: Math.max(1, parseInt(env.LLM_CIRCUIT_FAILURE_THRESHOLD || '3', 10) || 1),
+        resetTimeoutMs: parseInt(env.LLM_CIRCUIT_RESET_SECONDS || '30', 10) * 1000
+    };
+
+    return entries.map((entry, index) => {
+        if (entry.toLowerCase() === RULE_BASED_LINK) {
+            if (index !== entries.length - 1) {
+                throw new Error(`LLM_FALLBACK_CHAIN: '${RULE_BASED_LINK}' never fails, so it must be the last link`);
+            }
+            return { label: RULE_BASED_LINK, client: null };
+        }
+
+        const [name, ...modelParts] = entry.split(':');
+        const providerName = name.toLowerCase();
+        if (!PROVIDER_NAMES.includes(providerName)) {
+            throw new Error(`Unknown provider '${name}' in LLM_FALLBACK_CHAIN (expected one of: ${[...PROVIDER_NAMES, RULE_BASED_LINK].join(', ')})`);
+        }
+        const model = modelParts.join(':');
+        const provider = createLLMProvider({
+            ...env,
+            LLM_PROVIDER: providerName,
+            ...(model && { [`${providerName.toUpperCase()}_MODEL`]: model })
+        });
+        const client = new ResilientLLMClient(provider, { ...options, breaker: new CircuitBreaker(breakerOptions) });
+        return { label: client.label, client };
+    });
+}
@@ -0,0 +1,63 @@
+// Structured output checks for LLM policy responses
+//
+// A model reply must be a JSON object matching POLICY_RESPONSE_SCHEMA before its
+// Cedar text is parsed and schema-checked. The checker covers the JSON Schema
+// subset the response schema uses (type, required, properties, items, enum,
+// minLength) and reports every problem with its JSON path, so the errors can be
+// sent back to the model verbatim when it is asked to repair its answer.
+
+export const POLICY_RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['policy', 'rationale', 'risk_level', 'allowed_actions'],
+    properties: {
+        policy: { type: 'string', minLength: 1 },
+        rationale: { type: 'string' },
+        risk_level: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'] },
+        allowed_actions: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+// Raised when no attempt produced a usable policy; `attempts` is the full history
+export class PolicyGenerationError extends Error {
+    constructor(attempts) {
+        const last = attempts[attempts.length - 1];
+        super(`Policy generation failed after ${attempts.length} attempt(s): ${last ? last.errors[0] : 'no attempts made'}`);
+        this.name = 'PolicyGenerationError';
+        this.attempts = attempts;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Errors as "<path>: <problem>" strings; empty when the value matches
+export function validateJSONSchema(value, schema, path = '$') {
+    const actual = typeOf(value);
+    if (schema.type && !(actual === schema.type || (schema.type === 'number' && actual === 'integer'))) {
+        return [`${path}: expected ${schema.type}, got ${actual}`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+    }
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}: missing required property '${key}'`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in value) errors.push(...validateJSONSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+    }
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, index) => errors.push(...validateJSONSchema(item, schema.items, `${path}[${index}]`)));
+    }
+    return errors;
+}
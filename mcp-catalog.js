@@ -0,0 +1,26 @@
+// Catalog of MCP actions and resources that generated policies refer to.
+// Used by the policy generation prompt and the effective permissions query.
+
+export const AVAILABLE_ACTIONS = [
+    'portfolio_access',
+    'quote_tool',
+    'trade_using_market_order',
+    'call_tool',
+    'read_capabilities',
+    'manage_workflows',
+    'access_sensitive_data',
+    'execute_admin_actions',
+    'modify_settings'
+];
+
+export const AVAILABLE_RESOURCES = [
+    'trading/*',
+    'portfolio/*',
+    'market-data/*',
+    'tools/*',
+    'workflows/dev',
+    'workflows/prod',
+    'data/sensitive',
+    'data/public',
+    'settings/system'
+];
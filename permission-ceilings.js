@@ -0,0 +1,219 @@
+// Permission ceilings for generated policies
+//
+// An administrator-maintained file (permission-ceilings.json) lists, per
+// authentication level and per role, the actions an agent may ever be granted and
+// the resource paths each action may reach. An agent's ceiling is its
+// authentication level's grants intersected with the union of its roles' grants
+// (plus the "*" entry every role set gets). Permit rules are checked against the
+// ceiling by scope: conditions are ignored, so a rule counts as broad as its scope.
+// Forbid rules only take access away and are never limited. Over-broad permits are
+// either rejected or narrowed to the ceiling ("intersect"), depending on the mode.
+
+import { readFileSync } from 'fs';
+import { ACTION_TYPE, RESOURCE_TYPE, isResourcePathWithin, isCanonicalResourcePath } from './cedar-evaluator.js';
+
+export const CEILING_MODES = ['intersect', 'reject'];
+
+const ANY_RESOURCE = '*';
+
+export class CeilingViolationError extends Error {
+    constructor(violations, report) {
+        const first = violations[0];
+        super(`Policy exceeds the permission ceiling: ${first ? first.reason : 'no rule remains within the ceiling'}` +
+            (violations.length > 1 ? ` (and ${violations.length - 1} more)` : ''));
+        this.name = 'CeilingViolationError';
+        this.violations = violations;
+        this.report = report;
+    }
+}
+
+// Resource paths a scope constraint can reach, as a single path pattern
+function scopeResource(constraint) {
+    if (constraint.op === '==' || constraint.op === 'in') return constraint.entity.id;
+    if (constraint.op === 'is' && constraint.in) return constraint.in.entity.id;
+    return ANY_RESOURCE;
+}
+
+function hasCanonicalPath(resource) {
+    return resource === ANY_RESOURCE || isCanonicalResourcePath(resource);
+}
+
+function isWithin(path, pattern) {
+    if (pattern === ANY_RESOURCE) return true;
+    if (path === ANY_RESOURCE) return false;
+    return isResourcePathWithin(path, pattern);
+}
+
+// Patterns covered by both lists: the narrower of every overlapping pair
+function intersectPatterns(left, right) {
+    const result = new Set();
+    for (const a of left) {
+        for (const b of right) {
+            if (isWithin(a, b)) result.add(a);
+            else if (isWithin(b, a)) result.add(b);
+        }
+    }
+    return [...result];
+}
+
+function addGrants(target, grants) {
+    for (const [action, patterns] of Object.entries(grants || {})) {
+        target[action] = [...new Set([...(target[action] || []), ...patterns])];
+    }
+}
+
+export class PermissionCeilings {
+    constructor({ mode = 'intersect', authentication = {}, roles = {} }) {
+        if (!CEILING_MODES.includes(mode)) {
+            throw new Error(`Unknown permission ceiling mode '${mode}' (expected one of: ${CEILING_MODES.join(', ')})`);
+        }
+        this.mode = mode;
+        this.authentication = authentication; // level -> { action: [resource patterns] }
+        this.roles = roles; // role -> { action: [resource patterns] }, "*" applies to everyone
+    }
+
+    static fromFile(filePath, { mode } = {}) {
+        const config = JSON.parse(readFileSync(filePath, 'utf8'));
+        return new PermissionCeilings({ ...config, mode: mode || config.mode });
+    }
+
+    // Maximum grants for an agent: { action: [resource patterns] }. Unknown
+    // authentication levels get nothing.
+    ceilingFor({ authentication, roles = [] }) {
+        const byAuthentication = this.authentication[authentication] || {};
+        const byRoles = {};
+        for (const role of ['*', ...roles]) addGrants(byRoles, this.roles[role]);
+
+        const ceiling = {};
+        for (const [action, patterns] of Object.entries(byAuthentication)) {
+            const allowed = intersectPatterns(patterns, byRoles[action] || []);
+            if (allowed.length > 0) ceiling[action] = allowed.sort();
+        }
+        return ceiling;
+    }
+
+    // For each action a permit names, the part of its resource scope the ceiling allows:
+    // 'full', a list of narrower patterns, or [] when nothing is allowed
+    permitAllowance(policy, ceiling) {
+        const actions = policy.action.op === 'All'
+            ? Object.keys(ceiling)
+            : (policy.action.entities || [policy.action.entity]).map(uid => uid.id);
+        const resource = scopeResource(policy.resource);
+        // A path such as "trading/../settings" is refused outright rather than compared
+        if (!hasCanonicalPath(resource)) {
+            return actions.map(action => ({ action, resource, allowed: [] }));
+        }
+
+        return actions.map(action => {
+            const patterns = ceiling[action] || [];
+            if (patterns.some(pattern => isWithin(resource, pattern))) {
+                return { action, resource, allowed: 'full' };
+            }
+            // An exact resource cannot be narrowed; anything else can be cut down to the patterns inside it
+            const narrower = policy.resource.op === '==' ? [] : patterns.filter(pattern => isWithin(pattern, resource));
+            return { action, resource, allowed: narrower };
+        });
+    }
+
+    // Permit rules, or parts of them, that go beyond the agent's ceiling
+    check(policies, ceiling) {
+        const violations = [];
+        for (const policy of policies) {
+            if (policy.effect !== 'permit') continue;
+            if (policy.action.op === 'All') {
+                violations.push({ policyId: policy.id, action: '*', resource: scopeResource(policy.resource), reason: `${policy.id} applies to every action` });
+                continue;
+            }
+            for (const { action, resource, allowed } of this.permitAllowance(policy, ceiling)) {
+                if (allowed === 'full') continue;
+                let reason = `${policy.id} grants ${action}, which the ceiling does not allow`;
+                if (!hasCanonicalPath(resource)) {
+                    reason = `${policy.id} grants ${action} on non-canonical resource path ${resource}`;
+                } else if (ceiling[action]) {
+                    reason = `${policy.id} grants ${action} on ${resource}, ceiling allows only ${ceiling[action].join(', ')}`;
+                }
+                violations.push({ policyId: policy.id, action, resource, reason });
+            }
+        }
+        return violations;
+    }
+
+    // Rewrite over-broad permits so they stay within the ceiling. Actions outside it are
+    // dropped, resource scopes are narrowed to the allowed patterns, and a permit whose
+    // actions end up with different resources is split. Returns the new policy list and
+    // a description of every change.
+    intersect(policies, ceiling) {
+        const result = [];
+        const changes = [];
+
+        for (const policy of policies) {
+            if (policy.effect !== 'permit') {
+                result.push(policy);
+                continue;
+            }
+
+            const allowances = this.permitAllowance(policy, ceiling);
+            if (policy.action.op !== 'All' && allowances.every(({ allowed }) => allowed === 'full')) {
+                result.push(policy);
+                continue;
+            }
+
+            // Group the remaining actions by the resource patterns they keep
+            const groups = new Map();
+            for (const { action, allowed } of allowances) {
+                if (allowed !== 'full' && allowed.length === 0) {
+                    changes.push({ policyId: policy.id, action, change: 'removed' });
+                    continue;
+                }
+                const key = allowed === 'full' ? 'full' : allowed.join('\n');
+                if (!groups.has(key)) groups.set(key, { allowed, actions: [] });
+                groups.get(key).actions.push(action);
+                if (allowed !== 'full') changes.push({ policyId: policy.id, action, change: 'narrowed', resources: allowed });
+            }
+
+            for (const { allowed, actions } of groups.values()) {
+                const uids = actions.map(id => ({ type: ACTION_TYPE, id }));
+                result.push({
+                    ...policy,
+                    action: uids.length === 1 ? { op: '==', entity: uids[0] } : { op: 'in', entities: uids },
+                    ...this.narrowResource(policy, allowed)
+                });
+            }
+        }
+        return { policies: result, changes };
+    }
+
+    narrowResource(policy, allowed) {
+        if (allowed === 'full') return {};
+        const uids = allowed.map(id => ({ type: RESOURCE_TYPE, id }));
+        if (uids.length === 1) {
+            return { resource: { op: 'in', entity: uids[0] } };
+        }
+        // Several patterns: keep the scope and require one of them in a condition
+        const body = uids
+            .map(uid => ({ type: 'Binary', op: 'in', left: { type: 'Var', name: 'resource' }, right: { type: 'Entity', uid } }))
+            .reduce((left, right) => ({ type: 'Binary', op: '||', left, right }));
+        return { conditions: [...policy.conditions, { kind: 'when', body }] };
+    }
+
+    // Check or narrow an agent's policies. Returns { policies, report }; throws
+    // CeilingViolationError in reject mode, or when nothing is left after narrowing.
+    enforce(policies, agent) {
+        const ceiling = this.ceilingFor(agent);
+        const violations = this.check(policies, ceiling);
+        const report = { mode: this.mode, ceiling, violations, changes: [], outcome: 'within' };
+
+        if (violations.length === 0) {
+            return { policies, report };
+        }
+        if (this.mode === 'reject') {
+            throw new CeilingViolationError(violations, { ...report, outcome: 'rejected' });
+        }
+
+        const { policies: narrowed, changes } = this.intersect(policies, ceiling);
+        if (narrowed.length === 0) {
+            throw new CeilingViolationError(violations, { ...report, changes, outcome: 'rejected' });
+        }
+        return { policies: narrowed, report: { ...report, changes, outcome: 'intersected' } };
+    }
+}
@@ -0,0 +1,126 @@
+// Human approval of high-risk generated policies
+//
+// A generated policy needs a reviewer's approval before it goes live when its
+// risk_level is at or above the configured threshold (an unrecognized level counts
+// as above it), or when it grants one of the listed sensitive actions on any
+// catalog resource. Such policies are held in an ApprovalQueue as pending requests
+// that reviewers approve or reject; the server runs the agent under a minimal
+// policy until then. A newer request for the same agent supersedes an older one.
+// Every changed request is passed to `onChange` so it can be persisted.
+
+import { randomUUID } from 'crypto';
+
+export const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+export const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'superseded'];
+
+// Raised for unknown requests and for decisions on requests that are no longer pending
+export class ApprovalError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ApprovalError';
+        this.status = status;
+    }
+}
+
+// Why a policy needs approval; empty when it can go live right away. `permissions`
+// are the agent's effective catalog permissions under the policy, which only lists
+// the pairs it grants (allowed or conditional).
+export function approvalReasons({ riskLevel, permissions }, { riskThreshold, sensitiveActions }) {
+    // A policy that grants nothing carries no risk
+    if (permissions.length === 0) return [];
+
+    const reasons = [];
+    if (riskThreshold !== 'NONE') {
+        const level = RISK_LEVELS.indexOf(String(riskLevel || '').toUpperCase());
+        if (level === -1) {
+            reasons.push(`risk level ${riskLevel || 'missing'} is not one of ${RISK_LEVELS.join(', ')}`);
+        } else if (level >= RISK_LEVELS.indexOf(riskThreshold)) {
+            reasons.push(`risk level ${RISK_LEVELS[level]} is at or above ${riskThreshold}`);
+        }
+    }
+
+    for (const action of sensitiveActions) {
+        const resources = permissions.filter(p => p.action === action).map(p => p.resource);
+        if (resources.length > 0) {
+            reasons.push(`grants sensitive action ${action} on ${resources.join(', ')}`);
+        }
+    }
+    return reasons;
+}
+
+export class ApprovalQueue {
+    constructor({ onChange = () => {} } = {}) {
+        this.requests = new Map(); // id -> request, oldest first
+        this.onChange = onChange;
+    }
+
+    // Reload persisted requests, oldest first
+    restore(requests) {
+        [...requests]
+            .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt))
+            .forEach(request => this.requests.set(request.id, request));
+    }
+
+    // Close the agent's pending requests because a newer policy was generated for it
+    supersede(agentId) {
+        for (const request of this.requests.values()) {
+            if (request.agentId === agentId && request.status === 'pending') {
+                request.status = 'superseded';
+                request.decidedAt = new Date().toISOString();
+                this.onChange(request);
+            }
+        }
+    }
+
+    // New pending request; any earlier pending request for the agent is superseded
+    submit({ agentId, policy, riskLevel, reasons, metadata, prompts = null }) {
+        this.supersede(agentId);
+
+        const request = {
+            id: randomUUID(),
+            agentId,
+            status: 'pending',
+            riskLevel,
+            reasons,
+            policy,
+            metadata,
+            prompts,
+            requestedAt: new Date().toISOString(),
+            decidedAt: null,
+            reviewer: null,
+            comment: null
+        };
+        this.requests.set(request.id, request);
+        this.onChange(request);
+        return request;
+    }
+
+    get(id) {
+        const request = this.requests.get(id);
+        if (!request) {
+            throw new ApprovalError(`Approval request ${id} not found`, 404);
+        }
+        return request;
+    }
+
+    // Requests, newest first, optionally filtered by status and agent
+    list({ status, agentId } = {}) {
+        return [...this.requests.values()]
+            .filter(request => (!status || request.status === status) && (!agentId || request.agentId === agentId))
+            .reverse();
+    }
+
+    // Record a reviewer's decision ('approved' or 'rejected') on a pending request
+    decide(id, status, { reviewer = null, comment = null } = {}) {
+        const request = this.get(id);
+        if (request.status !== 'pending') {
+            throw new ApprovalError(`Approval request ${id} is ${request.status}, not pending`, 409);
+        }
+        request.status = status;
+        request.decidedAt = new Date().toISOString();
+        request.reviewer = reviewer;
+        request.comment = comment;
+        this.onChange(request);
+        return request;
+    }
+}
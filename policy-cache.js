@@ -0,0 +1,83 @@
+// Generated policy cache
+//
+// Agents that share a task, roles and authentication level get the same policy, so
+// a generation result is cached under a normalized form of that context plus the
+// generator fingerprint (generation mode, provider and prompt template version).
+// Entries expire after a TTL and the least recently used entry is evicted once the
+// cache is full. The agent id is deliberately not part of the key.
+
+// Cache key for an agent context; task is trimmed and lower-cased, roles sorted.
+// Roles and authentication are kept exact because the permission ceilings match
+// them case-sensitively.
+export function policyCacheKey({ task, authentication, roles = [] }, fingerprint) {
+    return JSON.stringify([
+        String(task || '').trim().toLowerCase(),
+        [...new Set(roles.map(String))].sort(),
+        String(authentication || ''),
+        fingerprint
+    ]);
+}
+
+export class PolicyCache {
+    constructor({ ttlMs = 60 * 60 * 1000, maxEntries = 500, now = Date.now } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.now = now;
+        this.entries = new Map(); // key -> { value, expiresAt }, least recently used first
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    get enabled() {
+        return this.ttlMs > 0 && this.maxEntries > 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Cached value, or undefined when missing or expired
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= this.now()) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    set(key, value) {
+        if (!this.enabled) return;
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: this.now() + this.ttlMs });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    // Drop every entry; returns how many were removed
+    purge() {
+        const purged = this.entries.size;
+        this.entries.clear();
+        return purged;
+    }
+
+    stats() {
+        return {
+            enabled: this.enabled,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlSeconds: Math.round(this.ttlMs / 1000),
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions
+        };
+    }
+}
@@ -0,0 +1,90 @@
+// Consensus over candidate policies
+//
+// When several candidate policies are generated for the same agent context, each
+// is reduced to its permission set over the action × resource catalog (see
+// cedar-analysis.js): every pair is 'allowed', 'conditional' or 'denied'. One
+// candidate is then selected, either the most restrictive or the one closest to
+// the per-pair majority, and every pair the candidates disagree on is reported.
+
+export const CONSENSUS_STRATEGIES = ['most-restrictive', 'majority'];
+
+const ACCESS_LEVELS = ['denied', 'conditional', 'allowed'];
+
+function pairKey(action, resource) {
+    return `${action} ${resource}`;
+}
+
+// Map "action resource" -> access for every catalog pair
+export function permissionSet(permissions, { actions, resources }) {
+    const granted = new Map(permissions.map(p => [pairKey(p.action, p.resource), p.access]));
+    const set = new Map();
+    for (const action of actions) {
+        for (const resource of resources) {
+            const key = pairKey(action, resource);
+            set.set(key, granted.get(key) || 'denied');
+        }
+    }
+    return set;
+}
+
+// Total access granted; lower is more restrictive
+function breadth(set) {
+    let total = 0;
+    for (const access of set.values()) total += ACCESS_LEVELS.indexOf(access);
+    return total;
+}
+
+function distance(set, reference) {
+    let total = 0;
+    for (const [key, access] of set) {
+        total += Math.abs(ACCESS_LEVELS.indexOf(access) - ACCESS_LEVELS.indexOf(reference.get(key)));
+    }
+    return total;
+}
+
+// Per pair, the access most candidates agree on; ties go to the more restrictive level
+function majoritySet(sets) {
+    const majority = new Map();
+    for (const key of sets[0].keys()) {
+        const votes = ACCESS_LEVELS.map(level => sets.filter(set => set.get(key) === level).length);
+        majority.set(key, ACCESS_LEVELS[votes.indexOf(Math.max(...votes))]);
+    }
+    return majority;
+}
+
+// candidates: [{ index, permissions: Map from permissionSet }]. Returns the selected
+// candidate's index, the majority set and the pairs on which candidates disagree.
+export function selectConsensus(candidates, strategy = 'most-restrictive') {
+    if (!CONSENSUS_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown consensus strategy '${strategy}' (expected one of: ${CONSENSUS_STRATEGIES.join(', ')})`);
+    }
+    if (candidates.length === 0) {
+        throw new Error('No candidate policies to choose from');
+    }
+
+    const sets = candidates.map(candidate => candidate.permissions);
+    const majority = majoritySet(sets);
+
+    // Rank candidates; breadth breaks ties in favour of the more restrictive one, then generation order
+    const score = strategy === 'majority'
+        ? candidate => [distance(candidate.permissions, majority), breadth(candidate.permissions)]
+        : candidate => [breadth(candidate.permissions), 0];
+    const ranked = candidates
+        .map(candidate => ({ candidate, rank: score(candidate) }))
+        .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.candidate.index - b.candidate.index);
+
+    const disagreements = [];
+    for (const key of majority.keys()) {
+        const votes = {};
+        candidates.forEach(candidate => {
+            const access = candidate.permissions.get(key);
+            (votes[access] ||= []).push(candidate.index);
+        });
+        if (Object.keys(votes).length > 1) {
+            const [action, resource] = key.split(' ');
+            disagreements.push({ action, resource, majority: majority.get(key), votes });
+        }
+    }
+
+    return { selected: ranked[0].candidate.index, majority, disagreements };
+}
@@ -0,0 +1,62 @@
+// Semantic diff between two policies for the same agent
+//
+// Two Cedar texts can differ a lot on the page and not at all in effect, or by one
+// word and a lot in effect. diffPolicies compares an earlier and a later policy on
+// both levels. The effective change lists the catalog (action, resource) pairs the
+// agent gains (`permitted`) and loses (`forbidden`), plus pairs whose access moves
+// between 'allowed' and 'conditional'. The rule change lists rules added, removed or
+// changed, keyed by rule id. Rule ids are derived from rule content, so a changed
+// rule differs only in its annotations.
+
+import { formatPolicy } from './cedar-formatter.js';
+
+const ACCESS_ORDER = ['conditional', 'allowed'];
+
+// Raised when a version or active policy to compare does not exist, or a candidate is not valid Cedar
+export class PolicyDiffError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'PolicyDiffError';
+        this.status = status;
+    }
+}
+
+function pairKey({ action, resource }) {
+    return `${action} ${resource}`;
+}
+
+// `before` and `after` are { policies, permissions }: parsed policies and the
+// effectivePermissions() of the agent under them, computed for the same agent context
+export function diffPolicies(before, after) {
+    const beforePairs = new Map(before.permissions.map(p => [pairKey(p), p]));
+    const afterPairs = new Map(after.permissions.map(p => [pairKey(p), p]));
+
+    const permitted = after.permissions
+        .filter(p => !beforePairs.has(pairKey(p)))
+        .map(({ action, resource, access, permits }) => ({ action, resource, access, permits }));
+    const forbidden = before.permissions
+        .filter(p => !afterPairs.has(pairKey(p)))
+        .map(({ action, resource, access, permits }) => ({ action, resource, access, permits }));
+    const accessChanged = after.permissions
+        .filter(p => beforePairs.has(pairKey(p)) && beforePairs.get(pairKey(p)).access !== p.access)
+        .map(({ action, resource, access }) => ({ action, resource, from: beforePairs.get(pairKey({ action, resource })).access, to: access }));
+
+    const beforeRules = new Map(before.policies.map(policy => [policy.id, formatPolicy(policy)]));
+    const afterRules = new Map(after.policies.map(policy => [policy.id, formatPolicy(policy)]));
+    const rules = {
+        added: [...afterRules].filter(([id]) => !beforeRules.has(id)).map(([id, text]) => ({ id, text })),
+        removed: [...beforeRules].filter(([id]) => !afterRules.has(id)).map(([id, text]) => ({ id, text })),
+        changed: [...afterRules]
+            .filter(([id, text]) => beforeRules.has(id) && beforeRules.get(id) !== text)
+            .map(([id, text]) => ({ id, before: beforeRules.get(id), after: text }))
+    };
+
+    return {
+        // Anything the agent may now do that it could not do, or could only do conditionally, before
+        escalates: permitted.length > 0 || accessChanged.some(({ from, to }) => ACCESS_ORDER.indexOf(to) > ACCESS_ORDER.indexOf(from)),
+        identical: permitted.length + forbidden.length + accessChanged.length === 0
+            && rules.added.length + rules.removed.length + rules.changed.length === 0,
+        permissions: { permitted, forbidden, accessChanged },
+        rules
+    };
+}
@@ -0,0 +1,54 @@
+// Policy lifetime: expiry, revocation and task completion
+//
+// Every activated policy carries a TTL and an expiresAt. The TTL comes from the
+// request (ttlSeconds or expiresAt), otherwise from the kind of task (short for
+// price lookups, longer for audits), otherwise from the default, and is capped by
+// the maximum. A policy leaves service when it expires, when an administrator
+// revokes it, or when the agent reports its task complete; the server then keeps a
+// retirement record so callers can be told which of these happened.
+
+export const RETIREMENT_STATUSES = ['expired', 'revoked', 'completed'];
+
+// Lifetime by kind of task, first match wins
+const TASK_TTLS = [
+    { pattern: /\b(query|quote|price|prices|lookup|read)\b/, seconds: 15 * 60 },
+    { pattern: /\b(trade|trading|order|orders|portfolio)\b/, seconds: 60 * 60 },
+    { pattern: /\b(deploy|deployment|devops|kubernetes|frontend|development)\b/, seconds: 4 * 60 * 60 },
+    { pattern: /\b(audit|security|compliance|analysis|review)\b/, seconds: 8 * 60 * 60 }
+];
+
+export class PolicyLifetimeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PolicyLifetimeError';
+    }
+}
+
+// { ttlSeconds, source } for a policy request; source is 'request', 'task' or 'default'
+export function policyTtl({ task, ttlSeconds, expiresAt }, { defaultTtlSeconds, maxTtlSeconds, now = Date.now() }) {
+    let requested = null;
+    if (ttlSeconds !== undefined) {
+        if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+            throw new PolicyLifetimeError('ttlSeconds must be a positive integer');
+        }
+        requested = ttlSeconds;
+    } else if (expiresAt !== undefined) {
+        const at = Date.parse(expiresAt);
+        if (Number.isNaN(at) || at <= now) {
+            throw new PolicyLifetimeError('expiresAt must be a future ISO 8601 timestamp');
+        }
+        requested = Math.ceil((at - now) / 1000);
+    }
+
+    const taskText = String(task || '').toLowerCase();
+    const byTask = TASK_TTLS.find(({ pattern }) => pattern.test(taskText));
+    const [seconds, source] = requested !== null ? [requested, 'request']
+        : byTask ? [byTask.seconds, 'task']
+        : [defaultTtlSeconds, 'default'];
+
+    return { ttlSeconds: Math.min(seconds, maxTtlSeconds), source };
+}
+
+export function isExpired(metadata, now = Date.now()) {
+    return Boolean(metadata.expiresAt) && Date.parse(metadata.expiresAt) <= now;
+}
@@ -0,0 +1,57 @@
+// Mid-session task re-scoping
+//
+// An agent that moves on to a different task asks for its policy to be regenerated
+// for the new task, keeping its authentication and roles. The new policy is
+// compared with the current one (policy-diff.js): a change that only narrows or
+// keeps the agent's permissions goes live right away, while an escalation (new
+// permitted pairs, or conditional access becoming allowed) must meet the configured
+// requirements. 'mfa' refuses escalations for agents that did not authenticate
+// with MFA; 'approval' holds them for a reviewer while the agent keeps its
+// current policy.
+
+export const ESCALATION_REQUIREMENTS = ['mfa', 'approval'];
+
+// Raised when an agent cannot be re-scoped; `details` carries the permission delta for refusals
+export class RescopeError extends Error {
+    constructor(message, status, details = {}) {
+        super(message);
+        this.name = 'RescopeError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Requirements from POLICY_RESCOPE_ESCALATION: a comma-separated list, or 'none'
+export function parseEscalationRequirements(value) {
+    const requirements = String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    if (requirements.length === 1 && requirements[0] === 'none') return [];
+
+    const unknown = requirements.filter(item => !ESCALATION_REQUIREMENTS.includes(item));
+    if (unknown.length > 0 || requirements.length === 0) {
+        throw new Error(`Unknown POLICY_RESCOPE_ESCALATION '${value}' (expected 'none' or a list of: ${ESCALATION_REQUIREMENTS.join(', ')})`);
+    }
+    return requirements;
+}
+
+// Catalog pairs a diff newly permits or makes unconditional, as "action on resource"
+export function escalatedPermissions(diff) {
+    return [
+        ...diff.permissions.permitted.map(({ action, resource }) => `${action} on ${resource}`),
+        ...diff.permissions.accessChanged
+            .filter(({ to }) => to === 'allowed')
+            .map(({ action, resource }) => `${action} on ${resource} (now unconditional)`)
+    ];
+}
+
+// What a re-scope needs before it can go live: `refusal` is why it may not happen at
+// all, `reasons` why it has to wait for a reviewer; both empty for a narrowing change
+export function escalationCheck(diff, { authentication }, requirements) {
+    if (!diff.escalates) return { escalation: false, refusal: null, reasons: [] };
+
+    const gained = escalatedPermissions(diff).join(', ');
+    const refusal = requirements.includes('mfa') && authentication !== 'mfa'
+        ? `escalation to ${gained} requires MFA authentication (agent authenticated with ${authentication})`
+        : null;
+    const reasons = requirements.includes('approval') ? [`re-scope escalates permissions: ${gained}`] : [];
+    return { escalation: true, refusal, reasons };
+}
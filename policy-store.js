@@ -0,0 +1,221 @@
+// Persistent storage for agent policies
+//
+// The server keeps its working state (active policies, agent contexts, approval
+// requests, policy versions) in memory and writes every change through to a
+// PolicyStore, then reloads it on startup. POLICY_STORE selects the
+// implementation: 'file' (default) keeps one JSON document per agent, approval
+// request and policy version under POLICY_STORE_DIR; 'memory' keeps nothing
+// across restarts. File writes go to a temporary file that is fsynced and then
+// renamed over the old one, so a crash mid-write leaves either the previous or the
+// new document, never a torn one.
+
+import { mkdirSync, readdirSync, readFileSync, openSync, writeSync, fsyncSync, closeSync, renameSync, rmSync } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+export const STORE_KINDS = ['file', 'memory'];
+
+// Bumped when the stored document shape changes
+const FORMAT_VERSION = 1;
+
+// Operations every store implements. Agent documents are
+// { agentId, policy, metadata, prompts, context }; approval documents are the
+// requests kept by ApprovalQueue; versions are PolicyVersionHistory entries,
+// written once and never changed.
+export class PolicyStore {
+    loadAgents() {
+        throw new Error(`${this.constructor.name} does not implement loadAgents`);
+    }
+
+    saveAgent(agentId, document) {
+        throw new Error(`${this.constructor.name} does not implement saveAgent`);
+    }
+
+    deleteAgent(agentId) {
+        throw new Error(`${this.constructor.name} does not implement deleteAgent`);
+    }
+
+    loadApprovals() {
+        throw new Error(`${this.constructor.name} does not implement loadApprovals`);
+    }
+
+    saveApproval(request) {
+        throw new Error(`${this.constructor.name} does not implement saveApproval`);
+    }
+
+    loadVersions() {
+        throw new Error(`${this.constructor.name} does not implement loadVersions`);
+    }
+
+    appendVersion(version) {
+        throw new Error(`${this.constructor.name} does not implement appendVersion`);
+    }
+
+    describe() {
+        return { kind: 'unknown' };
+    }
+}
+
+// Nothing survives a restart; for tests and throwaway runs
+export class MemoryPolicyStore extends PolicyStore {
+    constructor() {
+        super();
+        this.agents = new Map();
+        this.approvals = new Map();
+        this.versions = [];
+    }
+
+    loadAgents() {
+        return [...this.agents.values()].map(document => structuredClone(document));
+    }
+
+    saveAgent(agentId, document) {
+        this.agents.set(agentId, structuredClone({ ...document, agentId }));
+    }
+
+    deleteAgent(agentId) {
+        this.agents.delete(agentId);
+    }
+
+    loadApprovals() {
+        return [...this.approvals.values()].map(request => structuredClone(request));
+    }
+
+    saveApproval(request) {
+        this.approvals.set(request.id, structuredClone(request));
+    }
+
+    loadVersions() {
+        return this.versions.map(version => structuredClone(version));
+    }
+
+    appendVersion(version) {
+        this.versions.push(structuredClone(version));
+    }
+
+    describe() {
+        return { kind: 'memory', agents: this.agents.size, approvals: this.approvals.size, versions: this.versions.length };
+    }
+}
+
+// Write data to filePath so that readers see either the old or the new content
+export function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`;
+    const fd = openSync(tempPath, 'w', 0o600);
+    try {
+        writeSync(fd, data);
+        fsyncSync(fd);
+    } catch (error) {
+        closeSync(fd);
+        rmSync(tempPath, { force: true });
+        throw error;
+    }
+    closeSync(fd);
+    renameSync(tempPath, filePath);
+
+    // Persist the rename itself; not every platform can fsync a directory
+    try {
+        const dirFd = openSync(path.dirname(filePath), 'r');
+        try {
+            fsyncSync(dirFd);
+        } finally {
+            closeSync(dirFd);
+        }
+    } catch {
+        // best effort
+    }
+}
+
+// One JSON file per document: <dir>/agents/<id>.json, <dir>/approvals/<id>.json and
+// <dir>/versions/<agent id>/<version>.json. File names are the base64url-encoded
+// ids, so any agent id is a safe file name.
+export class FilePolicyStore extends PolicyStore {
+    constructor(directory) {
+        super();
+        this.directory = directory;
+        this.agentsDir = path.join(directory, 'agents');
+        this.approvalsDir = path.join(directory, 'approvals');
+        this.versionsDir = path.join(directory, 'versions');
+        mkdirSync(this.agentsDir, { recursive: true });
+        mkdirSync(this.approvalsDir, { recursive: true });
+        mkdirSync(this.versionsDir, { recursive: true });
+    }
+
+    fileFor(dir, id) {
+        return path.join(dir, `${Buffer.from(String(id)).toString('base64url')}.json`);
+    }
+
+    // Parsed documents in dir. Leftover temporary files from an interrupted write are
+    // removed; unreadable documents are logged and skipped rather than failing startup.
+    readAll(dir) {
+        const documents = [];
+        for (const name of readdirSync(dir)) {
+            const filePath = path.join(dir, name);
+            if (name.endsWith('.tmp')) {
+                rmSync(filePath, { force: true });
+                continue;
+            }
+            if (!name.endsWith('.json')) continue;
+            try {
+                const document = JSON.parse(readFileSync(filePath, 'utf8'));
+                if (document.formatVersion !== FORMAT_VERSION) {
+                    throw new Error(`unsupported format version ${document.formatVersion}`);
+                }
+                documents.push(document.data);
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] 💾 Skipping unreadable store file ${filePath}: ${error.message}`);
+            }
+        }
+        return documents;
+    }
+
+    write(filePath, data) {
+        writeFileAtomic(filePath, JSON.stringify({ formatVersion: FORMAT_VERSION, savedAt: new Date().toISOString(), data }, null, 2));
+    }
+
+    loadAgents() {
+        return this.readAll(this.agentsDir);
+    }
+
+    saveAgent(agentId, document) {
+        this.write(this.fileFor(this.agentsDir, agentId), { ...document, agentId });
+    }
+
+    deleteAgent(agentId) {
+        rmSync(this.fileFor(this.agentsDir, agentId), { force: true });
+    }
+
+    loadApprovals() {
+        return this.readAll(this.approvalsDir);
+    }
+
+    saveApproval(request) {
+        this.write(this.fileFor(this.approvalsDir, request.id), request);
+    }
+
+    loadVersions() {
+        return readdirSync(this.versionsDir).flatMap(name => this.readAll(path.join(this.versionsDir, name)));
+    }
+
+    appendVersion(version) {
+        const agentDir = path.join(this.versionsDir, Buffer.from(String(version.agentId)).toString('base64url'));
+        mkdirSync(agentDir, { recursive: true });
+        this.write(path.join(agentDir, `${String(version.version).padStart(6, '0')}.json`), version);
+    }
+
+    describe() {
+        return { kind: 'file', directory: this.directory };
+    }
+}
+
+// Store selected by POLICY_STORE (default file) and POLICY_STORE_DIR
+export function createPolicyStore(env = process.env) {
+    const kind = (env.POLICY_STORE || 'file').toLowerCase();
+    if (kind === 'memory') {
+        return new MemoryPolicyStore();
+    }
+    if (kind === 'file') {
+        return new FilePolicyStore(env.POLICY_STORE_DIR || path.join(process.cwd(), 'policy-store'));
+    }
+    throw new Error(`Unknown POLICY_STORE '${kind}' (expected one of: ${STORE_KINDS.join(', ')})`);
+}
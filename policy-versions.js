@@ -0,0 +1,70 @@
+// Per-agent policy version history
+//
+// Every policy an agent is given (generated, held for approval, approved, rolled
+// back to or re-scoped) is appended as an immutable, numbered version that records
+// the policy text, what produced it (`change: { kind, actor, reason }`), when, and
+// the agent context at the time. Versions are never modified or removed; a
+// rollback appends a copy of an earlier version. New versions are passed to
+// `onAppend` so they can be persisted.
+
+import { createHash } from 'crypto';
+
+export const CHANGE_KINDS = ['generated', 'held-for-approval', 'approved', 'rollback', 'rescoped'];
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.values(value).forEach(deepFreeze);
+    }
+    return value;
+}
+
+export class PolicyVersionHistory {
+    constructor({ onAppend = () => {} } = {}) {
+        this.versions = new Map(); // agentId -> [version], oldest first
+        this.onAppend = onAppend;
+    }
+
+    // Reload persisted versions
+    restore(versions) {
+        for (const version of [...versions].sort((a, b) => a.version - b.version)) {
+            if (!this.versions.has(version.agentId)) this.versions.set(version.agentId, []);
+            this.versions.get(version.agentId).push(deepFreeze(version));
+        }
+    }
+
+    append(agentId, { policy, metadata = {}, prompts = null, context = null, change }) {
+        if (!CHANGE_KINDS.includes(change.kind)) {
+            throw new Error(`Unknown policy change kind '${change.kind}' (expected one of: ${CHANGE_KINDS.join(', ')})`);
+        }
+        const history = this.versions.get(agentId) || [];
+        const version = deepFreeze(structuredClone({
+            agentId,
+            version: history.length === 0 ? 1 : history[history.length - 1].version + 1,
+            digest: createHash('sha256').update(policy).digest('hex').slice(0, 12),
+            policy,
+            change: { kind: change.kind, actor: change.actor || 'system', reason: change.reason || '' },
+            metadata,
+            prompts,
+            context,
+            createdAt: new Date().toISOString()
+        }));
+
+        this.onAppend(version);
+        this.versions.set(agentId, [...history, version]);
+        return version;
+    }
+
+    list(agentId) {
+        return this.versions.get(agentId) || [];
+    }
+
+    get(agentId, versionNumber) {
+        return this.list(agentId).find(version => version.version === versionNumber);
+    }
+
+    latest(agentId) {
+        const history = this.list(agentId);
+        return history[history.length - 1];
+    }
+}
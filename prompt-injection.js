@@ -0,0 +1,103 @@
+// Prompt-injection defenses for agent-supplied input
+//
+// The agent id, task and roles in a policy request come from the agent and end up in the
+// LLM prompt. They are sanitized (control characters, prompt delimiters and
+// markup removed, whitespace collapsed, lengths capped, roles restricted to
+// identifier characters) and then scanned for instruction-like content. The
+// prompt template wraps them in <agent_input> tags and tells the model to treat
+// them as data; flagged requests are refused or generated restrictively by the
+// server, depending on PROMPT_INJECTION_MODE.
+
+export const INJECTION_MODES = ['restrict', 'refuse'];
+
+export const MAX_TASK_LENGTH = 500;
+export const MAX_ROLE_LENGTH = 64;
+export const MAX_ROLES = 16;
+
+const ROLE_CHARACTERS = /[^A-Za-z0-9_.:-]/g;
+// Control characters other than plain whitespace, and zero-width / bidi formatting characters
+const HIDDEN_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/;
+// Sequences that could close or fake the <agent_input> block, code fences or template placeholders
+const DELIMITERS = /<\/?\s*agent_input[^>]*>|```|\{\{|\}\}/i;
+
+// Patterns for text that tries to instruct the model rather than describe a task
+const INJECTION_PATTERNS = [
+    { rule: 'override-instructions', pattern: /\b(ignore|disregard|forget|override|bypass)\b[^.]{0,40}\b(instructions?|rules?|guidelines?|prompts?|polic(y|ies)|restrictions?)\b/i },
+    { rule: 'role-reassignment', pattern: /\b(you are now|act as|pretend (to be|you are)|from now on|new instructions?|developer mode|jailbreak)\b/i },
+    { rule: 'prompt-reference', pattern: /\b(system|previous|above|hidden) (prompt|message|instructions?)\b/i },
+    { rule: 'blanket-grant', pattern: /\b(permit|allow|grant)\b[^.]{0,20}\b(everything|all (actions|access|resources|permissions)|any(thing| action)|full access|unrestricted)\b/i },
+    // Asking for privileges, not mentioning them: "audit admin access logs" is a task
+    { rule: 'privilege-request', pattern: /\b(give|grant|need|want|request|requires?|escalate|elevate)\b[^.]{0,20}\b(admin(istrator)?|root|superuser)\s+(access|rights|privileges?|permissions?)\b|\b(act|run|login|log in) as (an? )?(admin(istrator)?|root|superuser)\b/i },
+    // Cedar only when it names entities: "review each action in the log" is a task
+    { rule: 'cedar-syntax', pattern: /\b(permit|forbid)\s*\(\s*principal\b|(==|\bin)\s*[A-Za-z_]\w*(::[A-Za-z_]\w*)*::"|@id\s*\(\s*"/i },
+    { rule: 'output-format', pattern: /"(policy|risk_level|allowed_actions)"\s*:/i }
+];
+
+export class PromptInjectionError extends Error {
+    constructor(findings) {
+        super(`Agent input looks like a prompt-injection attempt: ${findings.map(finding => finding.rule).join(', ')}`);
+        this.name = 'PromptInjectionError';
+        this.findings = findings;
+    }
+}
+
+function cleanText(value) {
+    return String(value ?? '')
+        .normalize('NFKC')
+        .replace(new RegExp(HIDDEN_CHARACTERS, 'g'), '')
+        .replace(new RegExp(DELIMITERS, 'gi'), ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Sanitized copies of agent id, task and roles for the prompt, plus a list of what was changed
+export function sanitizeAgentInput({ agentId, task, roles }) {
+    const changes = [];
+
+    const cleanAgentId = cleanText(agentId).slice(0, MAX_ROLE_LENGTH);
+    if (cleanAgentId !== String(agentId ?? '')) changes.push('agentId: sanitized for the prompt');
+
+    let cleanTask = cleanText(task);
+    if (cleanTask !== String(task ?? '')) changes.push('task: removed control characters, delimiters or extra whitespace');
+    if (cleanTask.length > MAX_TASK_LENGTH) {
+        cleanTask = cleanTask.slice(0, MAX_TASK_LENGTH);
+        changes.push(`task: truncated to ${MAX_TASK_LENGTH} characters`);
+    }
+
+    const inputRoles = Array.isArray(roles) ? roles : [];
+    if (!Array.isArray(roles)) changes.push('roles: not a list, ignored');
+    const cleanRoles = [];
+    for (const role of inputRoles) {
+        const cleanRole = cleanText(role).replace(ROLE_CHARACTERS, '').slice(0, MAX_ROLE_LENGTH);
+        if (cleanRole !== role) changes.push(`roles: "${String(role).slice(0, MAX_ROLE_LENGTH)}" sanitized to "${cleanRole}"`);
+        if (cleanRole && !cleanRoles.includes(cleanRole)) cleanRoles.push(cleanRole);
+    }
+    if (cleanRoles.length > MAX_ROLES) {
+        changes.push(`roles: limited to the first ${MAX_ROLES}`);
+        cleanRoles.length = MAX_ROLES;
+    }
+
+    return { agentId: cleanAgentId, task: cleanTask, roles: cleanRoles, changes };
+}
+
+// Instruction-like content in the original (unsanitized) agent id, task and roles
+export function detectInjection({ agentId, task, roles }) {
+    const fields = [
+        ['agentId', String(agentId ?? '')],
+        ['task', String(task ?? '')],
+        ...(Array.isArray(roles) ? roles : []).map(role => ['roles', String(role)])
+    ];
+    const findings = [];
+
+    for (const [field, text] of fields) {
+        if (HIDDEN_CHARACTERS.test(text)) findings.push({ rule: 'hidden-characters', field, match: '' });
+        const delimiter = DELIMITERS.exec(text);
+        if (delimiter) findings.push({ rule: 'delimiter', field, match: delimiter[0] });
+
+        for (const { rule, pattern } of INJECTION_PATTERNS) {
+            const match = pattern.exec(text);
+            if (match) findings.push({ rule, field, match: match[0].slice(0, 80) });
+        }
+    }
+    return findings;
+}
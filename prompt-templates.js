@@ -0,0 +1,134 @@
+// Prompt templates for policy generation
+//
+// Prompts live in prompts/<name>/v<version>/{system,user}.md so they can be reviewed
+// and changed without touching server code. An optional repair.md is the follow-up
+// sent when a response fails validation; without it the model is not re-prompted. A version is never edited in place:
+// changes go into a new vN directory, and every generated policy records the
+// template name, version and content digest it was produced with. Placeholders
+// are {{variable}}; templates may only use the variables in PROMPT_VARIABLES
+// (REPAIR_VARIABLES for repair.md).
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+export const DEFAULT_TEMPLATE_NAME = 'cedar-policy-generator';
+
+export const PROMPT_VARIABLES = [
+    'agent_id',
+    'task_description',
+    'authentication_level',
+    'roles',
+    'available_actions',
+    'available_resources',
+    'requirements'
+];
+
+export const REPAIR_VARIABLES = ['attempt', 'max_attempts', 'errors'];
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const VERSION_DIRECTORY = /^v(\d+)$/;
+
+export class PromptTemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptTemplateError';
+    }
+}
+
+// Variables for the policy generation prompt (see buildPolicyGenerationPrompt)
+export function promptVariables(promptData) {
+    const { context, requirements } = promptData;
+    return {
+        agent_id: context.agent_id,
+        task_description: context.task_description,
+        authentication_level: context.authentication_level,
+        roles: context.roles.join(', '),
+        available_actions: context.available_actions.join(', '),
+        available_resources: context.available_resources.join(', '),
+        requirements: requirements.map(req => `- ${req}`).join('\n')
+    };
+}
+
+// Replace {{variable}} placeholders; a variable without a value is an error, not an empty string
+export function renderTemplate(text, variables) {
+    return text.replace(PLACEHOLDER, (match, name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            throw new PromptTemplateError(`No value for prompt variable '${name}'`);
+        }
+        return String(variables[name]);
+    });
+}
+
+function placeholders(text) {
+    return [...text.matchAll(PLACEHOLDER)].map(match => match[1]);
+}
+
+export class PromptTemplate {
+    constructor({ name, version, system, user, repair = null, directory }) {
+        this.name = name;
+        this.version = version;
+        this.system = system;
+        this.user = user;
+        this.repair = repair;
+        this.directory = directory;
+        const hash = createHash('sha256').update(system).update('\0').update(user);
+        if (repair !== null) hash.update('\0').update(repair);
+        this.digest = hash.digest('hex');
+
+        const unknown = [
+            ...[...placeholders(system), ...placeholders(user)].filter(variable => !PROMPT_VARIABLES.includes(variable)),
+            ...placeholders(repair || '').filter(variable => !REPAIR_VARIABLES.includes(variable))
+        ];
+        if (unknown.length > 0) {
+            throw new PromptTemplateError(`Prompt template ${name} v${version} uses unknown variables: ${[...new Set(unknown)].join(', ')}`);
+        }
+    }
+
+    // Load prompts/<name>/v<version>; without a version the highest one is used
+    static load(baseDirectory, name = DEFAULT_TEMPLATE_NAME, version = null) {
+        const templateDirectory = path.join(baseDirectory, name);
+        if (!existsSync(templateDirectory)) {
+            throw new PromptTemplateError(`Prompt template '${name}' not found in ${baseDirectory}`);
+        }
+
+        const versions = PromptTemplate.versions(templateDirectory);
+        if (versions.length === 0) {
+            throw new PromptTemplateError(`Prompt template '${name}' has no vN version directories`);
+        }
+        const selected = version === null || version === undefined ? versions[versions.length - 1] : Number(version);
+        if (!versions.includes(selected)) {
+            throw new PromptTemplateError(`Prompt template '${name}' has no version ${version} (available: ${versions.join(', ')})`);
+        }
+
+        const directory = path.join(templateDirectory, `v${selected}`);
+        const read = file => readFileSync(path.join(directory, file), 'utf8');
+        const repair = existsSync(path.join(directory, 'repair.md')) ? read('repair.md') : null;
+        return new PromptTemplate({ name, version: selected, system: read('system.md'), user: read('user.md'), repair, directory });
+    }
+
+    // Version numbers available for a template directory, ascending
+    static versions(templateDirectory) {
+        return readdirSync(templateDirectory, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && VERSION_DIRECTORY.test(entry.name))
+            .map(entry => Number(VERSION_DIRECTORY.exec(entry.name)[1]))
+            .sort((a, b) => a - b);
+    }
+
+    render(variables) {
+        return {
+            systemPrompt: renderTemplate(this.system, variables).trim(),
+            userPrompt: renderTemplate(this.user, variables).trim()
+        };
+    }
+
+    // Follow-up asking the model to fix a rejected response; null when the template has none
+    renderRepair(variables) {
+        return this.repair === null ? null : renderTemplate(this.repair, variables).trim();
+    }
+
+    // Name, version and digest recorded with each generated policy
+    get reference() {
+        return { name: this.name, version: this.version, digest: this.digest };
+    }
+}
@@ -0,0 +1,199 @@
+// Rule-based policy generator
+//
+// Offline stand-in for the LLM: maps an agent's task, roles and authentication
+// level to a Cedar policy with fixed scenario rules, so the same request always
+// yields the same policy. Selected with POLICY_GENERATOR=rule-based for air-gapped
+// or CI environments; policies it produces carry generation_method "rule_based".
+
+const TRADING_ROLES = ['trading-agent', 'portfolio-manager', 'market-trader'];
+const DEVOPS_ROLES = ['kubernetes-admin', 'devops-engineer'];
+const AUDIT_ROLES = ['security-researcher', 'auditor', 'compliance-officer'];
+
+function strongAuth(authentication) {
+    return authentication === 'mfa' || authentication === 'oauth';
+}
+
+function hasAnyRole(roles, candidates) {
+    return roles.some(role => candidates.includes(role));
+}
+
+// Trade-related tasks that look at trading without placing orders ("trade analysis")
+const TRADE_REVIEW_TASK = /\b(query|analysis|analyze|analyse|review|research|report|reporting)\b/;
+
+function executesTrades(task) {
+    return task.includes('trade') && !TRADE_REVIEW_TASK.test(task);
+}
+
+function reviewsTrades(task) {
+    return task.includes('query price') || (task.includes('trade') && TRADE_REVIEW_TASK.test(task));
+}
+
+// Scenarios in priority order; the first whose `matches` holds decides the policy
+const SCENARIOS = [
+    {
+        name: 'deny-all',
+        matches: ({ task, authentication }) => authentication === 'anonymous' || task.includes('unauthorized'),
+        rationale: 'Anonymous or unauthorized access is denied to maintain security invariants',
+        rules: [
+            { effect: 'forbid', action: null, resource: null, description: 'Deny all access' }
+        ]
+    },
+    {
+        name: 'trading-query',
+        matches: ({ task, roles }) => reviewsTrades(task) && roles.includes('trading-agent'),
+        rationale: 'Trading agent granted view-only access for market research',
+        rules: [
+            { effect: 'permit', action: 'portfolio_access', resource: 'portfolio/*', description: 'View portfolios' },
+            { effect: 'permit', action: 'quote_tool', resource: 'market-data/*', description: 'Look up market quotes' },
+            { effect: 'forbid', action: 'trade_using_market_order', resource: 'trading/*', description: 'No trade execution while querying' },
+            { effect: 'permit', action: 'read_capabilities', resource: null, description: 'Discover server capabilities' }
+        ]
+    },
+    {
+        name: 'trading-full',
+        matches: ({ task, authentication, roles }) => executesTrades(task) && strongAuth(authentication) && hasAnyRole(roles, TRADING_ROLES),
+        rationale: 'Strongly authenticated trading agent receives market access for trade execution and portfolio management',
+        rules: [
+            { effect: 'permit', action: 'portfolio_access', resource: 'portfolio/*', description: 'Manage portfolios' },
+            { effect: 'permit', action: 'quote_tool', resource: 'market-data/*', description: 'Look up market quotes' },
+            { effect: 'permit', action: 'trade_using_market_order', resource: 'trading/*', description: 'Execute market orders' },
+            { effect: 'permit', action: 'read_capabilities', resource: null, description: 'Discover server capabilities' }
+        ]
+    },
+    {
+        name: 'trading-basic',
+        matches: ({ task, authentication, roles }) => executesTrades(task) && authentication === 'basic' && roles.includes('trading-agent'),
+        rationale: 'Basic trading agents get read-only portfolio access and quotes',
+        rules: [
+            { effect: 'permit', action: 'portfolio_access', resource: 'portfolio/*', description: 'View portfolios' },
+            { effect: 'permit', action: 'quote_tool', resource: 'market-data/*', description: 'Look up market quotes' }
+        ]
+    },
+    {
+        name: 'business-analysis',
+        matches: ({ task, roles }) => (task.includes('analysis') || task.includes('business')) && roles.includes('business-analyst'),
+        rationale: 'Business analysts receive portfolio data and public datasets for reporting within compliance boundaries',
+        rules: [
+            { effect: 'permit', action: 'portfolio_access', resource: 'portfolio/*', description: 'Read portfolios for reporting' },
+            { effect: 'permit', action: 'access_sensitive_data', resource: 'data/public', description: 'Read public datasets' },
+            { effect: 'permit', action: 'read_capabilities', resource: null, description: 'Discover server capabilities' }
+        ]
+    },
+    {
+        name: 'frontend-development',
+        matches: ({ task, authentication, roles }) => (task.includes('react') || task.includes('frontend')) &&
+            authentication === 'oauth' && roles.includes('developer'),
+        rationale: 'Frontend developers need tool access for UI development and component testing',
+        rules: [
+            { effect: 'permit', action: 'call_tool', resource: null, description: 'Run development tools' },
+            { effect: 'permit', action: 'read_capabilities', resource: null, description: 'Discover server capabilities' }
+        ]
+    },
+    {
+        name: 'devops-admin',
+        matches: ({ task, authentication, roles }) => (task.includes('kubernetes') || task.includes('deployment')) &&
+            strongAuth(authentication) && hasAnyRole(roles, DEVOPS_ROLES),
+        rationale: 'DevOps administrators require elevated permissions for infrastructure management',
+        rules: [
+            { effect: 'permit', action: 'call_tool', resource: null, description: 'Run infrastructure tools' },
+            { effect: 'permit', action: 'manage_workflows', resource: null, description: 'Manage deployment workflows' },
+            { effect: 'permit', action: 'access_sensitive_data', resource: null, description: 'Read deployment secrets and configuration' }
+        ]
+    },
+    {
+        name: 'devops-standard',
+        matches: ({ task }) => task.includes('kubernetes') || task.includes('deployment'),
+        rationale: 'Standard DevOps role gets basic tool access for development workflows',
+        rules: [
+            { effect: 'permit', action: 'call_tool', resource: null, description: 'Run development tools' }
+        ]
+    },
+    {
+        name: 'security-audit',
+        matches: ({ task, authentication, roles }) => (task.includes('security') || task.includes('audit')) &&
+            authentication === 'mfa' && hasAnyRole(roles, AUDIT_ROLES),
+        rationale: 'Security auditors and researchers need privileged access to conduct thorough assessments',
+        rules: [
+            { effect: 'permit', action: 'read_capabilities', resource: null, description: 'Discover server capabilities' },
+            { effect: 'permit', action: 'access_sensitive_data', resource: null, description: 'Review sensitive data' },
+            { effect: 'permit', action: 'execute_admin_actions', resource: null, description: 'Inspect administrative configuration' }
+        ]
+    },
+    {
+        name: 'authenticated-default',
+        matches: () => true,
+        rationale: 'Default policy provides minimal access for authenticated users',
+        rules: [
+            { effect: 'permit', action: 'read_capabilities', resource: null, description: 'Discover server capabilities' }
+        ]
+    }
+];
+
+function renderRule({ effect, action, resource, description }, rationale) {
+    const principal = effect === 'forbid' && action === null ? 'principal' : 'principal in MCP::Client::"authenticated"';
+    return `@description(${JSON.stringify(description)})\n` +
+        `@rationale(${JSON.stringify(rationale)})\n` +
+        `${effect}(\n` +
+        `    ${principal},\n` +
+        `    ${action ? `action == MCP::Action::"${action}"` : 'action'},\n` +
+        `    ${resource ? `resource in MCP::Resource::"${resource}"` : 'resource'}\n` +
+        `);`;
+}
+
+// Risk of granting an action; reading public data is as harmless as reading quotes
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+const ACTION_RISK = {
+    read_capabilities: 'LOW',
+    quote_tool: 'LOW',
+    portfolio_access: 'LOW',
+    call_tool: 'MEDIUM',
+    manage_workflows: 'MEDIUM',
+    trade_using_market_order: 'MEDIUM',
+    access_sensitive_data: 'HIGH',
+    execute_admin_actions: 'HIGH',
+    modify_settings: 'HIGH'
+};
+
+function ruleRisk({ action, resource }) {
+    if (action === null) return 'HIGH';
+    if (action === 'access_sensitive_data' && resource === 'data/public') return 'LOW';
+    return ACTION_RISK[action] || 'HIGH';
+}
+
+// Risk follows what the rules grant: the riskiest permitted action, LOW when nothing is permitted
+export function assessRiskLevel(rules) {
+    const levels = rules.filter(rule => rule.effect === 'permit').map(rule => RISK_LEVELS.indexOf(ruleRisk(rule)));
+    return RISK_LEVELS[Math.max(0, ...levels)];
+}
+
+// Same result shape as the LLM providers: { policy, rationale, risk_level, allowed_actions }
+function scenarioResult(scenario, generationMethod) {
+    const allowedActions = [...new Set(scenario.rules
+        .filter(rule => rule.effect === 'permit' && rule.action)
+        .map(rule => rule.action))];
+
+    return {
+        policy: scenario.rules.map(rule => renderRule(rule, scenario.rationale)).join('\n\n'),
+        rationale: scenario.rationale,
+        risk_level: assessRiskLevel(scenario.rules),
+        allowed_actions: allowedActions,
+        scenario: scenario.name,
+        source: 'rule-based',
+        model: null,
+        generation_method: generationMethod
+    };
+}
+
+export function generateRuleBasedPolicy({ task, authentication, roles }) {
+    const facts = { task: String(task || '').toLowerCase(), authentication, roles: roles || [] };
+    const scenario = SCENARIOS.find(candidate => candidate.matches(facts));
+    return scenarioResult(scenario, 'rule_based');
+}
+
+// Least-privilege policy that ignores the task and roles, for requests whose input
+// was flagged as a prompt-injection attempt: deny-all when anonymous, otherwise
+// capability discovery only
+export function generateRestrictedPolicy({ authentication }) {
+    const name = authentication === 'anonymous' ? 'deny-all' : 'authenticated-default';
+    return scenarioResult(SCENARIOS.find(scenario => scenario.name === name), 'restricted');
+}
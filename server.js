@@ -1,4 +1,7 @@
 import express from 'express';
+import { buildRequest, toDiagnostics, CedarEvaluationError } from './cedar-evaluator.js';
+import { PolicySet } from './cedar-policy-set.js';
+import { EntityStore } from './cedar-entities.js';
 
 process.on('unhandledRejection', error => {
     console.error('unhandledRejection:', error);
@@ -44,11 +47,13 @@ app.post('/oauth/token', (req, res) => {
     console.log('Token request:', req.body);
 
     // For testing, always grant token
+    const issuedAt = Date.now();
     res.json({
-        access_token: 'test-access-token-' + Date.now(),
+        access_token: 'test-access-token-' + issuedAt,
         token_type: 'Bearer',
-        expires_in: 3600,
-        scope: 'read write'
+        expires_in: TOKEN_LIFETIME_SECONDS,
+        scope: 'read write',
+        principal: registerTokenPrincipal(issuedAt)
     });
 });
 
@@ -142,199 +147,108 @@ app.get('/oauth/clients', (req, res) => {
     ]);
 });
 
-// PKCE challenge verification (for PKCE demo)
-function generatePKCECodeChallenge(verifier) {
-    // Simple PKCE implementation for demo
-    const crypto = require('crypto');
-    const hash = crypto.createHash('sha256').update(verifier).digest();
-    return hash.toString('base64url');
+import { readFileSync, watch } from 'fs';
+import path from 'path';
+
+// Compiled Cedar policy. Replaced in a single assignment on reload, so requests
+// see either the old or the new policy set, never a partial one.
+const policyPath = path.join(process.cwd(), 'cedar-policy.cedar');
+let cedarPolicySet = null;
+
+// Compile cedar-policy.cedar; if the file fails to parse the last good version stays active
+function loadCedarPolicy() {
+    try {
+        const policySet = PolicySet.fromText(readFileSync(policyPath, 'utf8'));
+        cedarPolicySet = policySet;
+        console.log(`Cedar policy loaded: ${policySet.size} policies (${policySet.policies.map(policy => policy.id).join(', ')})`);
+    } catch (error) {
+        console.error(`Failed to load Cedar policy: ${error.message}` +
+            (cedarPolicySet ? ' - keeping previously loaded policy' : ''));
+    }
 }
 
-import { readFileSync } from 'fs';
-import path from 'path';
+loadCedarPolicy();
 
-// Load Cedar policy at startup
-let cedarPolicy = '';
+// Watch the directory rather than the file: editors and ConfigMap mounts replace
+// the file by rename, which would end a watch on the file itself
+let reloadTimer = null;
 try {
-    const policyPath = path.join(process.cwd(), 'cedar-policy.cedar');
-    cedarPolicy = readFileSync(policyPath, 'utf8');
-    console.log('Cedar policy loaded successfully');
+    watch(path.dirname(policyPath), (eventType, filename) => {
+        if (filename !== path.basename(policyPath) && filename !== '..data') return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => {
+            console.log('Cedar policy file changed, reloading...');
+            loadCedarPolicy();
+        }, 100);
+    });
 } catch (error) {
-    console.error('Failed to load Cedar policy:', error.message);
+    console.error('Cannot watch Cedar policy for changes:', error.message);
 }
 
-// Parse Cedar policy rules with detailed logging
-function parseCedarPolicy() {
-    const rules = [];
-    const lines = cedarPolicy.split('\n');
-
-    console.log('🧪 Parsing Cedar policy...');
-
-    let currentRule = null;
-    let currentType = null;
-
-    for (let line of lines) {
-        line = line.trim();
-        if (!line || line.startsWith('//')) continue;
-
-        console.log(`Parsing line: "${line}"`);
-
-        if (line === 'permit(') {
-            currentRule = { type: 'permit', conditions: [], action: null };
-            currentType = 'permit';
-            console.log('  📝 Started parsing PERMIT rule');
-        } else if (line === 'forbid(') {
-            currentRule = { type: 'forbid', conditions: [], action: null };
-            currentType = 'forbid';
-            console.log('  📝 Started parsing FORBID rule');
-        } else if (line === ');' && currentRule) {
-            rules.push(currentRule);
-            console.log(`  ✅ Completed rule: ${currentRule.type}, principal=${currentRule.principalType || currentRule.principalExact}, action=${currentRule.action || currentRule.actions?.join(',')}`);
-            currentRule = null;
-        } else if (currentRule && line.includes('action in MCP::Action::"')) {
-            // Single action: action in MCP::Action::"call_tool"
-            console.log(`  🔍 Parsing single action line: ${line}`);
-            const actionMatch = line.match(/action\s+in\s+MCP::Action::"([^"]+)"/);
-            if (actionMatch) {
-                currentRule.action = actionMatch[1];
-                console.log(`  ✅ Extracted single action: "${currentRule.action}"`);
-            } else {
-                console.log(`  ❌ Failed to extract action from: ${line}`);
-            }
-        } else if (currentRule && line.includes('action == MCP::Action::"')) {
-            // Single action equals: action == MCP::Action::"health_check"
-            console.log(`  🔍 Parsing action equals line: ${line}`);
-            const actionMatch = line.match(/action\s+==\s+MCP::Action::"([^"]+)"/);
-            if (actionMatch) {
-                currentRule.action = actionMatch[1];
-                console.log(`  ✅ Extracted action equals: "${currentRule.action}"`);
-            } else {
-                console.log(`  ❌ Failed to extract action from: ${line}`);
-            }
-        } else if (currentRule && line.includes('principal in MCP::Client::"')) {
-            // Principal condition: principal in MCP::Client::"authenticated"
-            console.log(`  🔍 Parsing principal in line: ${line}`);
-            const principalMatch = line.match(/principal\s+in\s+MCP::Client::"([^"]+)"/);
-            if (principalMatch) {
-                currentRule.principalType = principalMatch[1];
-                console.log(`  ✅ Extracted principal type: "${currentRule.principalType}"`);
-            }
-        } else if (currentRule && line.includes('principal == MCP::Client::"')) {
-            // Exact principal match: principal == MCP::Client::"health_monitor"
-            console.log(`  🔍 Parsing principal equals line: ${line}`);
-            const principalMatch = line.match(/principal\s+==\s+MCP::Client::"([^"]+)"/);
-            if (principalMatch) {
-                currentRule.principalExact = principalMatch[1];
-                console.log(`  ✅ Extracted principal exact: "${currentRule.principalExact}"`);
-            }
-        } else if (currentRule && line.includes('action in [')) {
-            // Multiple actions: action in [MCP::Action::"call_tool", MCP::Action::"read_capabilities"]
-            console.log(`  🔍 Parsing action array line: ${line}`);
-            const actionMatch = line.match(/action\s+in\s+\[([^\]]+)\]/);
-            if (actionMatch) {
-                const actionList = actionMatch[1];
-                const actions = actionList.split(',').map(a =>
-                    a.trim().replace(/MCP::Action::/g, '').replace(/"/g, '')
-                );
-                currentRule.actions = actions;
-                console.log(`  ✅ Extracted action array: [${currentRule.actions.join(', ')}]`);
-            } else {
-                console.log(`  ❌ Failed to extract actions from: ${line}`);
-            }
-        }
-    }
-
-    console.log(`🎯 Parsed ${rules.length} total rules:`);
-    rules.forEach((rule, index) => {
-        console.log(`  Rule ${index + 1}: ${rule.type.toUpperCase()} principal=${rule.principalType || rule.principalExact}, action=${rule.action || (rule.actions ? rule.actions.join(',') : 'none')}`);
-    });
-    console.log('');
+// Cedar entities: groups and resource attributes from file, plus token principals
+const entitiesPath = process.env.CEDAR_ENTITIES_FILE || path.join(process.cwd(), 'cedar-entities.json');
+let cedarEntities = new EntityStore();
+try {
+    cedarEntities = EntityStore.fromFile(entitiesPath, { optional: !process.env.CEDAR_ENTITIES_FILE });
+    console.log(`Cedar entities loaded: ${cedarEntities.size} entities`);
+} catch (error) {
+    console.error('Failed to load Cedar entities:', error.message);
+}
 
-    return rules;
+// Lifetime of issued access tokens, in seconds
+const TOKEN_LIFETIME_SECONDS = 3600;
+
+// Token principals by expiry, oldest first (tokens are issued in time order)
+const tokenPrincipals = new Map(); // principal -> expiresAt (ms)
+
+// Every issued token gets a principal entity that is a member of MCP::Client::"authenticated".
+// The entity lives as long as the token; expired ones are removed as new tokens are issued.
+function registerTokenPrincipal(issuedAt) {
+    evictExpiredTokenPrincipals(issuedAt);
+
+    const principal = 'authenticated-client-' + issuedAt;
+    cedarEntities.add(
+        { type: 'MCP::Client', id: principal },
+        { issued_at: issuedAt },
+        [{ type: 'MCP::Client', id: 'authenticated' }]
+    );
+    tokenPrincipals.set(principal, issuedAt + TOKEN_LIFETIME_SECONDS * 1000);
+    return principal;
 }
 
-// Real Cedar policy evaluation based on actual policy file
-function evaluateCedarPolicy(action, principal, resource) {
-    console.log('TEST_DEBUG: enter evaluateCedarPolicy');
-    console.log(`\n🚨 DEBUG: evaluateCedarPolicy CALLED with ${action}, ${principal}, ${resource}`);
-    console.log(`Policy loaded: ${cedarPolicy.length} characters`);
-
-    if (cedarPolicy.length === 0) {
-        console.log('TEST_DEBUG: Cedar policy is empty!');
-        return false;
+function evictExpiredTokenPrincipals(now = Date.now()) {
+    for (const [principal, expiresAt] of tokenPrincipals) {
+        if (expiresAt > now) break;
+        cedarEntities.remove({ type: 'MCP::Client', id: principal });
+        tokenPrincipals.delete(principal);
     }
+}
 
-    console.log(`\n--- Cedar Policy Evaluation ---`);
-    console.log(`Principal: ${principal}`);
-    console.log(`Action: ${action}`);
-    console.log(`Resource: ${resource}`);
-
-    const rules = parseCedarPolicy();
-    let finalDecision = 'Deny'; // Default deny
-
-    console.log(`Parsed ${rules.length} rules:`);
-
-    for (const rule of rules) {
-        console.log(`  ${rule.type.toUpperCase()} rule: principal=${rule.principalType || rule.principalExact}, action=${rule.action || rule.actions}`);
-
-        // Check principal condition
-        let principalMatches = false;
-
-        if (rule.principalType) {
-            // Handle "principal in MCP::Client::"authenticated""
-            const expectedPattern = `client-${rule.principalType}`;
-            if (principal && principal.includes(expectedPattern)) {
-                principalMatches = true;
-                console.log(`    ✅ Principal matches ${rule.principalType} pattern (${principal})`);
-            } else {
-                console.log(`    ❌ Principal ${principal} doesn't match ${rule.principalType} pattern`);
-            }
-        } else if (rule.principalExact) {
-            // Handle "principal == MCP::Client::"health_monitor""
-            if (principal === rule.principalExact) {
-                principalMatches = true;
-                console.log(`    ✅ Principal exactly matches ${rule.principalExact}`);
-            } else {
-                console.log(`    ❌ Principal ${principal} doesn't exactly match ${rule.principalExact}`);
-            }
-        }
-
-        // Check action condition
-        let actionMatches = false;
-
-        if (rule.actions && Array.isArray(rule.actions) && rule.actions.length > 0) {
-            actionMatches = rule.actions.some(a => action === a.trim());
-        } else if (rule.action) {
-            actionMatches = (action === rule.action);
-        } else {
-            // If no specific action constraint, match any action
-            actionMatches = true;
-        }
-
-        if (actionMatches) {
-            console.log(`    ✅ Action ${action} matches permitted action(s)`);
-        } else {
-            console.log(`    ❌ Action ${action} doesn't match permitted actions`);
-        }
+// The principal registered for a bearer token, or null when the token is unknown or expired
+function principalForToken(authorization) {
+    const match = /^Bearer test-access-token-(\d+)$/.exec(authorization || '');
+    if (!match) return null;
+    evictExpiredTokenPrincipals();
+    const principal = 'authenticated-client-' + match[1];
+    return tokenPrincipals.has(principal) ? principal : null;
+}
 
-        // Apply rule based on type
-        if (principalMatches && actionMatches) {
-            if (rule.type === 'permit') {
-                finalDecision = 'Permit';
-                console.log(`    🎉 RULE RESULT: ${rule.type.toUpperCase()} - Decision = PERMIT`);
-                // Don't break - collect all matching rules
-            } else if (rule.type === 'forbid') {
-                finalDecision = 'Deny';
-                console.log(`    ❌ RULE RESULT: ${rule.type.toUpperCase()} - Decision = DENY`);
-                // Forbid takes precedence
-            }
-        } else {
-            console.log(`    ⏭️  Rule ${rule.type} not applicable (conditions not met)`);
-        }
+// Real Cedar policy evaluation based on actual policy file
+function evaluateCedarPolicy(action, principal, resource, context = {}) {
+    if (!cedarPolicySet || cedarPolicySet.size === 0) {
+        console.log('Cedar policy is empty!');
+        return { decision: 'Deny', reasons: [], errors: [{ policyId: null, message: 'Cedar policy is empty' }] };
     }
 
-    console.log(`\nFINAL DECISION: ${finalDecision}\n`);
-    return finalDecision === 'Permit';
+    const request = buildRequest({ principal, action, resource, context });
+    const result = cedarPolicySet.authorize(request, cedarEntities);
+
+    console.log(`Cedar: ${principal} ${action} ${resource} -> ${result.decision}` +
+        (result.reasons.length > 0 ? ` (determined by ${result.reasons.join(', ')})` : ' (default deny)'));
+    result.errors.forEach(error => {
+        console.log(`    ⚠️  Rule ${error.policyId} skipped: ${error.message}`);
+    });
+    return result;
 }
 
 // Authorization endpoint (for PKCE flow)
@@ -365,57 +279,34 @@ app.post('/oauth/authorize', (req, res) => {
     });
 });
 
-// Token exchange with PKCE verification
-app.post('/oauth/token', (req, res) => {
-    console.log('Token exchange with PKCE:', req.body);
-
-    const grantType = req.body.grant_type || req.body.scope;
-
-    if (grantType === 'authorization_code' || req.body.code) {
-        // PKCE flow: Verify code_verifier matches code_challenge
-        const { code, code_verifier } = req.body;
-
-        if (code && code_verifier) {
-            // Verify PKCE: code_challenge = base64url(sha256(code_verifier))
-            const expectedChallenge = generatePKCECodeChallenge(code_verifier);
-
-            console.log(`PKCE verification: verifier=${code_verifier}, challenge=${expectedChallenge}`);
-
-            // In real implementation, we'd store and verify the original code_challenge
-            // For demo, just accept it
-        }
-    } else {
-        // Client credentials flow (no PKCE for this)
-        console.log('Client credentials token request');
-    }
-
-    // Issue token
-    res.json({
-        access_token: 'test-access-token-' + Date.now(),
-        token_type: 'Bearer',
-        expires_in: 3600,
-        scope: 'read write',
-        principal: 'authenticated-client-' + Date.now()
-    });
-});
-
 // Cedar policy evaluation endpoint
 app.post('/authz/evaluate', (req, res) => {
-    console.log(`🔴 AUTHZ ENDPOINT CALLED with body:`, req.body);
-
-    const { action, principal, resource } = req.body;
-
-    console.log(`🔴 Calling evaluateCedarPolicy with: action=${action}, principal=${principal}, resource=${resource}`);
+    const { action, resource, context = {} } = req.body;
 
-    const allowed = evaluateCedarPolicy(action, principal, resource);
+    // The principal is the caller's own token principal; one named in the body must match it
+    const principal = principalForToken(req.headers.authorization);
+    if (!principal) {
+        return res.status(401).json({ error: 'A valid access token is required' });
+    }
+    if (req.body.principal !== undefined && req.body.principal !== principal) {
+        return res.status(403).json({ error: `Principal ${req.body.principal} does not match the access token` });
+    }
 
-    console.log(`Cedar policy decision: ${allowed ? 'PERMIT' : 'DENY'} for ${principal}:${action}:${resource}`);
+    let result;
+    try {
+        result = evaluateCedarPolicy(action, principal, resource, context);
+    } catch (error) {
+        if (!(error instanceof CedarEvaluationError)) throw error;
+        return res.status(400).json({ error: `Invalid authorization request: ${error.message}` });
+    }
 
     res.json({
-        decision: allowed ? 'Permit' : 'Deny',
+        decision: result.decision,
         action: action,
         principal: principal,
         resource: resource,
+        context: context,
+        diagnostics: toDiagnostics(result),
         policyEvaluated: 'oauth-mcp-policy.cedar'
     });
 });
@@ -430,25 +321,23 @@ app.post('/tool/test', (req, res) => {
         return res.status(401).json({ error: 'No authentication token' });
     }
 
-    // Verify the token & Cedar policy
-    const token = auth.split(' ')[1];
-    if (!token.startsWith('test-access-token-')) {
+    // Verify the token & Cedar policy; an unknown or expired token has no principal
+    const principal = principalForToken(auth);
+    if (!principal) {
         return res.status(401).json({ error: 'Invalid token' });
     }
 
-    // Extract principal from token (simplified)
-    const principal = 'authenticated-client-' + token.split('-')[3]; // Extract from token
-
     // Evaluate Cedar policy
-    const cedarDecision = evaluateCedarPolicy('call_tool', principal, 'tool/test');
+    const cedarResult = evaluateCedarPolicy('call_tool', principal, 'tool/test');
 
-    if (!cedarDecision) {
+    if (cedarResult.decision !== 'Permit') {
         return res.status(403).json({
             error: 'Access denied by authorization policy',
             cedar_decision: 'Deny',
             principal: principal,
             action: 'call_tool',
-            resource: 'tool/test'
+            resource: 'tool/test',
+            diagnostics: toDiagnostics(cedarResult)
         });
     }
 
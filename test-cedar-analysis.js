@@ -0,0 +1,74 @@
+// Tests for cedar-analysis.js
+//
+// Run with `node --test test-cedar-analysis.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePolicies } from './cedar-parser.js';
+import { EntityStore } from './cedar-entities.js';
+import { effectivePermissions } from './cedar-analysis.js';
+import { AVAILABLE_ACTIONS, AVAILABLE_RESOURCES } from './mcp-catalog.js';
+
+const bot = { type: 'MCP::Client', id: 'bot' };
+const entities = EntityStore.fromJSON([
+    { uid: bot, parents: [{ type: 'MCP::Client', id: 'authenticated' }] }
+]);
+const catalog = {
+    actions: ['quote_tool', 'trade_using_market_order', 'modify_settings'],
+    resources: ['trading/*', 'market-data/*', 'settings/system']
+};
+
+function permissions(policyText, principal = bot) {
+    return effectivePermissions(parsePolicies(policyText), principal, catalog, entities)
+        .map(({ action, resource, access }) => `${action} ${resource} ${access}`);
+}
+
+test('unconditional permits over a whole resource are allowed', () => {
+    assert.deepEqual(permissions(`
+        permit(principal in MCP::Client::"authenticated", action == MCP::Action::"quote_tool", resource in MCP::Resource::"market-data/*");`), [
+        'quote_tool market-data/* allowed'
+    ]);
+    assert.deepEqual(permissions('permit(principal in MCP::Client::"authenticated", action, resource);', { type: 'MCP::Client', id: 'anonymous' }), []);
+});
+
+test('conditions, partial resources and possible forbids make access conditional', () => {
+    assert.deepEqual(permissions(`
+        permit(principal, action == MCP::Action::"trade_using_market_order", resource in MCP::Resource::"trading/*")
+        when { context.authentication == "mfa" };`), ['trade_using_market_order trading/* conditional']);
+
+    assert.deepEqual(permissions(`
+        permit(principal, action == MCP::Action::"trade_using_market_order", resource == MCP::Resource::"trading/AAPL");`), [
+        'trade_using_market_order trading/* conditional'
+    ]);
+
+    assert.deepEqual(permissions(`
+        permit(principal, action == MCP::Action::"quote_tool", resource in MCP::Resource::"market-data/*");
+        forbid(principal, action, resource) when { context.tool == "shell" };`), ['quote_tool market-data/* conditional']);
+});
+
+test('an unconditional forbid removes the pair entirely', () => {
+    const result = effectivePermissions(parsePolicies(`
+        @id("all") permit(principal, action, resource);
+        @id("no-settings") forbid(principal, action == MCP::Action::"modify_settings", resource);`), bot, catalog, entities);
+
+    assert.ok(!result.some(({ action }) => action === 'modify_settings'));
+    assert.deepEqual(result.find(({ action, resource }) => action === 'quote_tool' && resource === 'trading/*'), {
+        action: 'quote_tool',
+        resource: 'trading/*',
+        access: 'allowed',
+        permits: ['all'],
+        forbids: []
+    });
+});
+
+test('no permit means no permissions', () => {
+    assert.deepEqual(permissions('forbid(principal, action, resource);'), []);
+    assert.deepEqual(permissions(''), []);
+});
+
+test('the MCP catalog lists the actions and resources policies are generated for', () => {
+    assert.ok(AVAILABLE_ACTIONS.includes('trade_using_market_order'));
+    assert.ok(AVAILABLE_RESOURCES.includes('settings/system'));
+    assert.equal(new Set(AVAILABLE_ACTIONS).size, AVAILABLE_ACTIONS.length);
+    assert.equal(new Set(AVAILABLE_RESOURCES).size, AVAILABLE_RESOURCES.length);
+});
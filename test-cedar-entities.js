@@ -0,0 +1,86 @@
+// Tests for cedar-entities.js
+//
+// Run with `node --test test-cedar-entities.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { EntityStore, parseEntityUid } from './cedar-entities.js';
+
+const client = id => ({ type: 'MCP::Client', id });
+const role = id => ({ type: 'MCP::Role', id });
+const resource = id => ({ type: 'MCP::Resource', id });
+
+test('entity uids are accepted in every supported notation', () => {
+    assert.deepEqual(parseEntityUid({ type: 'MCP::Client', id: 'bot' }), client('bot'));
+    assert.deepEqual(parseEntityUid({ __entity: { type: 'MCP::Client', id: 'bot' } }), client('bot'));
+    assert.deepEqual(parseEntityUid('MCP::Client::"bot"'), client('bot'));
+    assert.deepEqual(parseEntityUid('Tool::weather'), { type: 'Tool', id: 'weather' });
+    assert.throws(() => parseEntityUid('bot'), /Invalid entity uid: "bot"/);
+    assert.throws(() => parseEntityUid({ type: 'MCP::Client' }), /Invalid entity uid/);
+});
+
+test('group membership is transitive, not a string prefix', () => {
+    const store = EntityStore.fromJSON([
+        { uid: client('bot'), parents: [role('trading-agent')] },
+        { uid: role('trading-agent'), parents: [client('authenticated')] },
+        { uid: client('authenticated-impostor') }
+    ]);
+
+    assert.ok(store.isDescendant(client('bot'), client('bot')));
+    assert.ok(store.isDescendant(client('bot'), role('trading-agent')));
+    assert.ok(store.isDescendant(client('bot'), client('authenticated')));
+    assert.ok(!store.isDescendant(client('authenticated-impostor'), client('authenticated')));
+    assert.ok(!store.isDescendant(role('trading-agent'), client('bot')));
+});
+
+test('membership cycles do not loop', () => {
+    const store = EntityStore.fromJSON([
+        { uid: role('a'), parents: [role('b')] },
+        { uid: role('b'), parents: [role('a')] }
+    ]);
+    assert.ok(store.isDescendant(role('a'), role('b')));
+    assert.ok(!store.isDescendant(role('a'), role('c')));
+});
+
+test('resource paths are children of their parent path without being listed', () => {
+    const store = new EntityStore();
+    assert.deepEqual(store.parentsOf(resource('portfolio/acme/q1')), [resource('portfolio/acme')]);
+    assert.ok(store.isDescendant(resource('portfolio/acme/q1'), resource('portfolio')));
+    assert.ok(!store.isDescendant(resource('portfolio-admin'), resource('portfolio')));
+});
+
+test('entities can be added, read and removed', () => {
+    const store = new EntityStore();
+    store.add(client('bot'), { level: 2, roles: ['trader'] }, [role('trader')]);
+
+    assert.equal(store.size, 1);
+    assert.deepEqual(store.getAttributes(client('bot')), { level: 2, roles: ['trader'] });
+    assert.equal(store.getAttributes(client('other')), null);
+    assert.ok(store.remove(client('bot')));
+    assert.equal(store.size, 0);
+    assert.throws(() => store.add(client('bot'), { score: 0.5 }), /unsupported non-integer number/);
+});
+
+test('entities load from JSON, entity files and ToolHive configs', () => {
+    assert.throws(() => EntityStore.fromJSON({}), /Cedar entities JSON must be an array/);
+    assert.equal(EntityStore.fromJSON(JSON.stringify([{ uid: 'MCP::Client::"bot"' }])).size, 1);
+
+    const directory = mkdtempSync(path.join(tmpdir(), 'cedar-entities-'));
+    try {
+        const plain = path.join(directory, 'entities.json');
+        writeFileSync(plain, JSON.stringify([{ uid: client('bot') }, { uid: client('other') }]));
+        assert.equal(EntityStore.fromFile(plain).size, 2);
+
+        const toolhive = path.join(directory, 'authz.json');
+        writeFileSync(toolhive, JSON.stringify({ cedar: { entities_json: JSON.stringify([{ uid: 'Tool::weather' }]) } }));
+        assert.ok(EntityStore.fromFile(toolhive).get({ type: 'Tool', id: 'weather' }));
+
+        assert.equal(EntityStore.fromFile(path.join(directory, 'missing.json'), { optional: true }).size, 0);
+        assert.throws(() => EntityStore.fromFile(path.join(directory, 'missing.json')), /ENOENT/);
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,138 @@
+// Tests for cedar-evaluator.js
+//
+// Run with `node --test test-cedar-evaluator.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePolicies } from './cedar-parser.js';
+import { EntityStore } from './cedar-entities.js';
+import {
+    isAuthorized, buildRequest, isResourcePathWithin, isCanonicalResourcePath, toEntityUid, toDiagnostics, CedarEvaluationError
+} from './cedar-evaluator.js';
+
+const entities = EntityStore.fromJSON([
+    { uid: { type: 'MCP::Client', id: 'bot' }, attrs: { level: 2 }, parents: [{ type: 'MCP::Client', id: 'authenticated' }] }
+]);
+
+function decide(policyText, { principal = 'bot', action, resource, context = {} }) {
+    return isAuthorized(parsePolicies(policyText), buildRequest({ principal, action, resource, context }), entities);
+}
+
+test('resource constraints limit a permit to the paths in its scope', () => {
+    const policy = 'permit(principal in MCP::Client::"authenticated", action == MCP::Action::"trade", resource in MCP::Resource::"trading/*");';
+
+    assert.equal(decide(policy, { action: 'trade', resource: 'trading/acme' }).decision, 'Permit');
+    assert.equal(decide(policy, { action: 'trade', resource: 'trading/acme/orders' }).decision, 'Permit');
+    assert.equal(decide(policy, { action: 'trade', resource: 'trading' }).decision, 'Deny');
+    assert.equal(decide(policy, { action: 'trade', resource: 'settings/system' }).decision, 'Deny');
+    assert.equal(decide(policy, { action: 'quote', resource: 'trading/acme' }).decision, 'Deny');
+    assert.equal(decide(policy, { principal: 'stranger', action: 'trade', resource: 'trading/acme' }).decision, 'Deny');
+});
+
+test('resource paths match by segment, never by string prefix', () => {
+    assert.ok(isResourcePathWithin('portfolio/acme', 'portfolio'));
+    assert.ok(isResourcePathWithin('portfolio', 'portfolio'));
+    assert.ok(!isResourcePathWithin('portfolio-admin', 'portfolio'));
+    assert.ok(isResourcePathWithin('trading/x', 'trading/*'));
+    assert.ok(!isResourcePathWithin('trading', 'trading/*'));
+    assert.ok(isResourcePathWithin('anything/at/all', '*'));
+});
+
+test('paths with empty, "." or ".." segments are never within a scope', () => {
+    for (const path of ['trading/../settings/system', 'trading/./x', 'trading//x', '/trading/x', 'trading/x/']) {
+        assert.ok(!isCanonicalResourcePath(path), path);
+        assert.ok(!isResourcePathWithin(path, 'trading/*'), path);
+        assert.ok(!isResourcePathWithin(path, '*'), path);
+    }
+
+    assert.throws(
+        () => buildRequest({ principal: 'bot', action: 'trade', resource: 'trading/../settings/system' }),
+        error => error instanceof CedarEvaluationError && /has empty, "\." or "\.\." segments/.test(error.message)
+    );
+});
+
+test('request values become entity uids of the default types', () => {
+    assert.deepEqual(toEntityUid('MCP::Resource::"data/public"', 'Other'), { type: 'MCP::Resource', id: 'data/public' });
+    assert.deepEqual(toEntityUid('bot', 'MCP::Client'), { type: 'MCP::Client', id: 'bot' });
+
+    const request = buildRequest({ principal: 'bot', action: 'trade', resource: 'trading/x' });
+    assert.deepEqual(request.principal, { type: 'MCP::Client', id: 'bot' });
+    assert.deepEqual(request.action, { type: 'MCP::Action', id: 'trade' });
+    assert.deepEqual(request.resource, { type: 'MCP::Resource', id: 'trading/x' });
+});
+
+test('when and unless conditions read the request context', () => {
+    const policy = `
+        permit(principal, action == MCP::Action::"trade", resource)
+        when { context.amount <= 100 && context.roles.contains("trader") }
+        unless { context.authentication == "anonymous" };`;
+    const context = { amount: 50, roles: ['trader'], authentication: 'mfa' };
+
+    assert.equal(decide(policy, { action: 'trade', resource: 'trading/x', context }).decision, 'Permit');
+    assert.equal(decide(policy, { action: 'trade', resource: 'trading/x', context: { ...context, amount: 500 } }).decision, 'Deny');
+    assert.equal(decide(policy, { action: 'trade', resource: 'trading/x', context: { ...context, roles: [] } }).decision, 'Deny');
+    assert.equal(decide(policy, { action: 'trade', resource: 'trading/x', context: { ...context, authentication: 'anonymous' } }).decision, 'Deny');
+});
+
+test('conditions can read principal attributes from the entity store', () => {
+    const policy = 'permit(principal, action, resource) when { principal has level && principal.level >= 2 };';
+    assert.equal(decide(policy, { action: 'read', resource: 'x' }).decision, 'Permit');
+    assert.equal(decide(policy, { principal: 'stranger', action: 'read', resource: 'x' }).decision, 'Deny');
+});
+
+test('a satisfied forbid overrides every permit', () => {
+    const result = decide(`
+        @id("all") permit(principal, action, resource);
+        @id("no-shell") forbid(principal, action, resource) when { context has tool && context.tool == "shell" };`,
+    { action: 'call_tool', resource: 'tools/shell', context: { tool: 'shell' } });
+
+    assert.equal(result.decision, 'Deny');
+    assert.deepEqual(result.reasons, ['no-shell']);
+});
+
+test('a condition that fails to evaluate skips its policy and is reported', () => {
+    const missing = decide('@id("needs-tool") permit(principal, action, resource) when { context.tool == "x" };', { action: 'read', resource: 'x' });
+    assert.equal(missing.decision, 'Deny');
+    assert.deepEqual(missing.errors.map(error => error.policyId), ['needs-tool']);
+    assert.match(missing.errors[0].message, /does not have attribute 'tool'/);
+
+    const notBoolean = decide('permit(principal, action, resource) when { 1 };', { action: 'read', resource: 'x' });
+    assert.match(notBoolean.errors[0].message, /when block must evaluate to a boolean, got long/);
+
+    // The error skips only that policy
+    const skipped = decide(`
+        @id("broken") forbid(principal, action, resource) when { context.missing };
+        @id("ok") permit(principal, action, resource);`, { action: 'read', resource: 'x' });
+    assert.equal(skipped.decision, 'Permit');
+    assert.deepEqual(skipped.errors.map(error => error.policyId), ['broken']);
+});
+
+test('request contexts must be JSON objects of Cedar values', () => {
+    assert.throws(() => buildRequest({ principal: 'bot', action: 'read', resource: 'x', context: [] }), /context must be a JSON object/);
+    assert.throws(() => buildRequest({ principal: 'bot', action: 'read', resource: 'x', context: { amount: 1.5 } }), /unsupported non-integer number 1.5/);
+    assert.throws(() => buildRequest({ principal: 'bot', action: 'read', resource: 'x', context: { tool: null } }), /null values are not supported/);
+});
+
+test('diagnostics name the determining policies and separate default denies', () => {
+    const policies = `
+        @id("read") permit(principal, action == MCP::Action::"read", resource);
+        @id("also-read") permit(principal, action == MCP::Action::"read", resource in MCP::Resource::"data");
+        @id("no-secrets") forbid(principal, action, resource in MCP::Resource::"data/secret");
+        @id("broken") permit(principal, action == MCP::Action::"write", resource) when { context.approved };`;
+
+    assert.deepEqual(toDiagnostics(decide(policies, { action: 'read', resource: 'data/public' })), {
+        reasons: ['read', 'also-read'],
+        errors: [],
+        defaultDeny: false
+    });
+    assert.deepEqual(toDiagnostics(decide(policies, { action: 'read', resource: 'data/secret' })), {
+        reasons: ['no-secrets'],
+        errors: [],
+        defaultDeny: false
+    });
+
+    const writeDiagnostics = toDiagnostics(decide(policies, { action: 'write', resource: 'data/public' }));
+    assert.deepEqual(writeDiagnostics.reasons, []);
+    assert.equal(writeDiagnostics.defaultDeny, true);
+    assert.deepEqual(writeDiagnostics.errors.map(error => error.policyId), ['broken']);
+});
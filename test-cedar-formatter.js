@@ -0,0 +1,73 @@
+// Tests for cedar-formatter.js
+//
+// Run with `node --test test-cedar-formatter.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePolicies, parseExpression } from './cedar-parser.js';
+import { formatPolicySet, formatExpression, quoteString } from './cedar-formatter.js';
+
+function format(text) {
+    return formatPolicySet(parsePolicies(text));
+}
+
+test('policies are written in canonical form', () => {
+    assert.equal(format(`
+        @rationale("r") @id("b")
+        permit(principal in MCP::Client::"authenticated", action in [MCP::Action::"z", MCP::Action::"a"], resource)
+        when { context.tool == "x" };
+        // comments are dropped
+        forbid(principal, action, resource);`),
+    `@id("b")
+@rationale("r")
+permit(
+    principal in MCP::Client::"authenticated",
+    action in [MCP::Action::"a", MCP::Action::"z"],
+    resource
+) when {
+    context.tool == "x"
+};
+
+@id("policy1")
+forbid(
+    principal,
+    action,
+    resource
+);
+`);
+});
+
+test('layout and policy order do not change the output', () => {
+    const one = format('@id("a") permit(principal, action, resource);\n@id("b") forbid(principal, action, resource);');
+    const other = format('@id("b")   forbid( principal,action,resource ) ;   @id("a") permit(principal,\n action, resource);');
+    assert.equal(one, other);
+});
+
+test('formatting is stable and keeps the meaning', () => {
+    const text = `
+        @id("p") permit(principal, action, resource is MCP::Resource in MCP::Resource::"trading/*")
+        when { (context.amount + 1) * 2 > 3 && (context.tool == "x" || !(context has tool)) }
+        unless { context.roles.contains("intern") };`;
+    const once = format(text);
+    assert.equal(format(once), once);
+    assert.deepEqual(
+        parsePolicies(once).map(({ effect, principal, action, resource }) => ({ effect, principal, action, resource })),
+        parsePolicies(text).map(({ effect, principal, action, resource }) => ({ effect, principal, action, resource }))
+    );
+});
+
+test('expressions get only the parentheses precedence needs', () => {
+    assert.equal(formatExpression(parseExpression('1 + (2 * 3)')), '1 + 2 * 3');
+    assert.equal(formatExpression(parseExpression('(1 + 2) * 3')), '(1 + 2) * 3');
+    assert.equal(formatExpression(parseExpression('!(context.a && context.b)')), '!(context.a && context.b)');
+    assert.equal(formatExpression(parseExpression('context["has space"]')), 'context["has space"]');
+    assert.equal(formatExpression(parseExpression('{a: 1, "b c": [1, 2]}')), '{a: 1, "b c": [1, 2]}');
+    assert.equal(formatExpression(parseExpression('if context.a then 1 else 2')), 'if context.a then 1 else 2');
+});
+
+test('strings and like patterns are escaped', () => {
+    assert.equal(quoteString('a"b\\c\n\u0001'), '"a\\"b\\\\c\\n\\u{1}"');
+    assert.equal(quoteString('a*'), '"a*"');
+    assert.equal(quoteString('a*', true), '"a\\*"');
+    assert.equal(formatExpression(parseExpression('resource.path like "a*b\\*"')), 'resource.path like "a*b\\*"');
+});
@@ -0,0 +1,125 @@
+// Tests for cedar-parser.js
+//
+// Run with `node --test test-cedar-parser.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePolicies, parseExpression, formatEntityUid, CedarSyntaxError, WILDCARD } from './cedar-parser.js';
+
+function syntaxError(text, parse = parsePolicies) {
+    try {
+        parse(text);
+    } catch (error) {
+        assert.ok(error instanceof CedarSyntaxError, `expected CedarSyntaxError, got ${error}`);
+        return error;
+    }
+    assert.fail(`expected ${JSON.stringify(text)} to be rejected`);
+}
+
+test('scope constraints follow the shape of Cedar JSON policies', () => {
+    const [policy] = parsePolicies(`
+        permit(
+            principal in MCP::Client::"authenticated",
+            action in [MCP::Action::"quote_tool", MCP::Action::"portfolio_access"],
+            resource is MCP::Resource in MCP::Resource::"trading/*"
+        );`);
+
+    assert.equal(policy.effect, 'permit');
+    assert.deepEqual(policy.principal, { op: 'in', entity: { type: 'MCP::Client', id: 'authenticated' } });
+    assert.deepEqual(policy.action, {
+        op: 'in',
+        entities: [{ type: 'MCP::Action', id: 'quote_tool' }, { type: 'MCP::Action', id: 'portfolio_access' }]
+    });
+    assert.deepEqual(policy.resource, {
+        op: 'is',
+        entity_type: 'MCP::Resource',
+        in: { entity: { type: 'MCP::Resource', id: 'trading/*' } }
+    });
+
+    const [open] = parsePolicies('forbid(principal, action == MCP::Action::"trade", resource);');
+    assert.equal(open.effect, 'forbid');
+    assert.deepEqual(open.principal, { op: 'All' });
+    assert.deepEqual(open.action, { op: '==', entity: { type: 'MCP::Action', id: 'trade' } });
+});
+
+test('policies get default ids unless annotated with @id', () => {
+    const policies = parsePolicies(`
+        // comments are skipped
+        permit(principal, action, resource);
+        @id("quotes") @description("Quotes for everyone")
+        permit(principal, action, resource);
+        @rationale
+        forbid(principal, action, resource);`);
+
+    assert.deepEqual(policies.map(policy => policy.id), ['policy0', 'quotes', 'policy2']);
+    assert.deepEqual(policies[1].annotations, { id: 'quotes', description: 'Quotes for everyone' });
+    assert.deepEqual(policies[2].annotations, { rationale: '' });
+});
+
+test('conditions are parsed into expression trees', () => {
+    const [policy] = parsePolicies(`
+        permit(principal, action, resource)
+        when { context.amount <= 100 && resource has path }
+        unless { context.tool == "shell" };`);
+
+    assert.deepEqual(policy.conditions.map(condition => condition.kind), ['when', 'unless']);
+    const [when] = policy.conditions;
+    assert.equal(when.body.type, 'Binary');
+    assert.equal(when.body.op, '&&');
+    assert.equal(when.body.left.op, '<=');
+    assert.deepEqual(when.body.left.left.object, { type: 'Var', name: 'context', loc: { line: 3, column: 16 } });
+    assert.equal(when.body.right.type, 'Has');
+    assert.equal(when.body.right.attr, 'path');
+});
+
+test('expressions respect precedence, negative literals and like patterns', () => {
+    const sum = parseExpression('-5 + 2 * 3');
+    assert.equal(sum.op, '+');
+    assert.equal(sum.left.value, -5);
+    assert.equal(sum.right.op, '*');
+
+    assert.equal(parseExpression('!context.mfa').type, 'Unary');
+    assert.equal(parseExpression('if true then 1 else 2').type, 'If');
+    assert.deepEqual(parseExpression('resource.path like "trading/*"').pattern, ['trading/', WILDCARD]);
+    assert.deepEqual(parseExpression('MCP::Role::"trader"').uid, { type: 'MCP::Role', id: 'trader' });
+    assert.equal(parseExpression('ip("10.0.0.1")').type, 'Call');
+});
+
+test('syntax errors carry the line and column', () => {
+    const missingSemicolon = syntaxError('permit(principal, action, resource)');
+    assert.equal(missingSemicolon.reason, "expected ';' after policy, found end of input");
+    assert.deepEqual([missingSemicolon.line, missingSemicolon.column], [1, 36]);
+
+    const wrongEffect = syntaxError('\n  allow(principal, action, resource);');
+    assert.match(wrongEffect.message, /expected 'permit' or 'forbid', found 'allow'/);
+    assert.deepEqual([wrongEffect.line, wrongEffect.column], [2, 3]);
+
+    assert.match(syntaxError('permit(principal, action, resource) when { foo };').message, /unknown identifier 'foo'/);
+    assert.match(syntaxError('permit(principal, action, resource) when { "open };').message, /unterminated string literal/);
+    assert.match(syntaxError('permit(principal == MCP::Client, action, resource);').message, /expected '::' in entity reference/);
+    assert.match(syntaxError('1 2', parseExpression).message, /unexpected trailing input/);
+});
+
+test('duplicate policy ids and annotations are rejected', () => {
+    assert.match(syntaxError(`
+        @id("a") permit(principal, action, resource);
+        @id("a") forbid(principal, action, resource);`).message, /duplicate policy id 'a'/);
+    assert.match(syntaxError('@a @a permit(principal, action, resource);').message, /duplicate annotation '@a'/);
+});
+
+test('entity uids are rendered as Cedar source', () => {
+    assert.equal(formatEntityUid({ type: 'MCP::Client', id: 'authenticated' }), 'MCP::Client::"authenticated"');
+    assert.equal(formatEntityUid({ type: 'MCP::Client', id: 'a"b' }), 'MCP::Client::"a\\"b"');
+});
+
+test('annotation values are unescaped strings and names may be keywords', () => {
+    const [policy] = parsePolicies('@when("always") @description("say \\"hi\\"\\n") permit(principal, action, resource);');
+    assert.equal(policy.id, 'policy0');
+    assert.deepEqual(policy.annotations, { when: 'always', description: 'say "hi"\n' });
+});
+
+test('malformed annotations are syntax errors', () => {
+    assert.match(syntaxError('@id(quotes) permit(principal, action, resource);').message, /expected annotation value string, found 'quotes'/);
+    assert.match(syntaxError('@("quotes") permit(principal, action, resource);').message, /expected annotation name/);
+    assert.match(syntaxError('@id("a") @id("b") permit(principal, action, resource);').message, /duplicate annotation '@id'/);
+});
@@ -0,0 +1,50 @@
+// Tests for cedar-policy-set.js
+//
+// Run with `node --test test-cedar-policy-set.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolicySet } from './cedar-policy-set.js';
+import { CedarSyntaxError } from './cedar-parser.js';
+import { EntityStore } from './cedar-entities.js';
+import { isAuthorized, buildRequest } from './cedar-evaluator.js';
+
+const entities = EntityStore.fromJSON([
+    { uid: { type: 'MCP::Client', id: 'bot' }, parents: [{ type: 'MCP::Role', id: 'trader' }] },
+    { uid: { type: 'MCP::Role', id: 'trader' }, parents: [{ type: 'MCP::Client', id: 'authenticated' }] },
+    { uid: { type: 'MCP::Action', id: 'trade_using_market_order' }, parents: [{ type: 'MCP::Action', id: 'write' }] }
+]);
+
+const policySet = PolicySet.fromText(`
+    @id("quotes") permit(principal in MCP::Client::"authenticated", action == MCP::Action::"quote_tool", resource);
+    @id("writes") permit(principal in MCP::Role::"trader", action in MCP::Action::"write", resource in MCP::Resource::"trading/*");
+    @id("others") permit(principal == MCP::Client::"other", action, resource);
+    @id("no-settings") forbid(principal, action, resource in MCP::Resource::"settings");
+    @id("typed") permit(principal is MCP::Client, action in [MCP::Action::"read_capabilities"], resource);`);
+
+test('candidates are narrowed by action and principal, through entity ancestry', () => {
+    const ids = request => policySet.candidatesFor(buildRequest(request), entities).map(policy => policy.id);
+
+    assert.deepEqual(ids({ principal: 'bot', action: 'quote_tool', resource: 'market-data/x' }), ['quotes', 'no-settings']);
+    assert.deepEqual(ids({ principal: 'bot', action: 'trade_using_market_order', resource: 'trading/x' }), ['writes', 'no-settings']);
+    assert.deepEqual(ids({ principal: 'other', action: 'trade_using_market_order', resource: 'trading/x' }), ['others', 'no-settings']);
+    assert.deepEqual(ids({ principal: 'bot', action: 'read_capabilities', resource: 'x' }), ['no-settings', 'typed']);
+});
+
+test('authorize decides exactly like evaluating every policy', () => {
+    for (const principal of ['bot', 'other', 'stranger']) {
+        for (const action of ['quote_tool', 'trade_using_market_order', 'read_capabilities', 'modify_settings']) {
+            for (const resource of ['trading/x', 'settings/system', 'market-data/x']) {
+                const request = buildRequest({ principal, action, resource });
+                assert.deepEqual(policySet.authorize(request, entities), isAuthorized(policySet.policies, request, entities),
+                    `${principal} ${action} ${resource}`);
+            }
+        }
+    }
+});
+
+test('policy text is parsed once and syntax errors surface', () => {
+    assert.equal(policySet.size, 5);
+    assert.equal(PolicySet.fromText('').size, 0);
+    assert.throws(() => PolicySet.fromText('permit(principal, action, resource)'), CedarSyntaxError);
+});
@@ -0,0 +1,67 @@
+// Tests for cedar-validator.js
+//
+// Run with `node --test test-cedar-validator.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePolicies } from './cedar-parser.js';
+import { CedarSchema, CedarValidationError, validatePolicies } from './cedar-validator.js';
+
+const schema = CedarSchema.fromFile(new URL('./mcp.cedarschema.json', import.meta.url));
+
+function codes(policyText) {
+    return validatePolicies(parsePolicies(policyText), schema).map(error => error.code);
+}
+
+test('well-typed policies against the MCP schema pass', () => {
+    assert.deepEqual(codes(`
+        permit(
+            principal in MCP::Client::"authenticated",
+            action == MCP::Action::"trade_using_market_order",
+            resource in MCP::Resource::"trading/*"
+        ) when { context.authentication == "mfa" && context.roles.contains("trading-agent") };
+        permit(principal, action, resource) when { context has amount && context.amount <= 1000 };
+        forbid(principal, action in [MCP::Action::"modify_settings", MCP::Action::"execute_admin_actions"], resource);`), []);
+});
+
+test('unknown actions and entity types are reported', () => {
+    assert.deepEqual(codes('permit(principal, action == MCP::Action::"launch_rockets", resource);'), ['UnrecognizedActionId']);
+    assert.ok(codes('permit(principal is MCP::Robot, action, resource);').includes('UnrecognizedEntityType'));
+    assert.deepEqual(codes('permit(principal == MCP::Resource::"x", action == MCP::Action::"quote_tool", resource);'), ['ImpossiblePolicy']);
+});
+
+test('attribute access must be declared and optional attributes guarded', () => {
+    assert.deepEqual(codes('permit(principal, action, resource) when { context.clearance == "top" };'), ['UnsafeAttributeAccess']);
+    assert.deepEqual(codes('permit(principal, action, resource) when { context.amount > 5 };'), ['UnsafeOptionalAttributeAccess']);
+    assert.deepEqual(codes('permit(principal, action, resource) when { resource.classification == "public" };'), ['UnsafeOptionalAttributeAccess']);
+    assert.deepEqual(codes('permit(principal, action, resource) when { resource has classification && resource.classification == "public" };'), []);
+});
+
+test('mismatched types and unknown functions are reported with their position', () => {
+    const [error] = validatePolicies(parsePolicies('@id("p") permit(principal, action, resource)\nwhen { context.authentication > 5 };'), schema);
+    assert.deepEqual(error, { policyId: 'p', code: 'UnexpectedType', message: 'expected Long but found String', line: 2, column: 16 });
+
+    assert.deepEqual(codes('permit(principal, action, resource) when { launch(1) };'), ['UndefinedFunction']);
+});
+
+test('schemas resolve common types and reject unknown ones', () => {
+    const custom = CedarSchema.fromJSON({
+        App: {
+            commonTypes: { Ctx: { type: 'Record', attributes: { level: { type: 'Long' } } } },
+            entityTypes: { User: {}, Doc: {} },
+            actions: { read: { appliesTo: { principalTypes: ['User'], resourceTypes: ['Doc'], context: { type: 'Ctx' } } } }
+        }
+    });
+    assert.deepEqual(validatePolicies(parsePolicies('permit(principal, action == App::Action::"read", resource) when { context.level > 1 };'), custom), []);
+    assert.throws(() => CedarSchema.fromJSON({ App: { commonTypes: {}, entityTypes: { User: { shape: { type: 'Mystery' } } } } }), /Unknown type 'Mystery'/);
+});
+
+test('CedarValidationError summarizes the first error and keeps them all', () => {
+    const errors = validatePolicies(parsePolicies(`
+        permit(principal, action == MCP::Action::"a", resource);
+        permit(principal, action == MCP::Action::"b", resource);`), schema);
+    const error = new CedarValidationError(errors);
+    assert.equal(error.name, 'CedarValidationError');
+    assert.equal(error.message, 'Policy failed schema validation: unrecognized action MCP::Action::"a" (and 1 more)');
+    assert.equal(error.errors.length, 2);
+});
@@ -0,0 +1,162 @@
+// Tests for dynamic-policy-mcp-server.js
+//
+// Run with `node --test test-dynamic-policy-mcp-server.js`, or `npm test` for every unit test.
+// The server listens as soon as it is imported, so each test starts it in a child process
+// with the rule-based generator and the memory store.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { fileURLToPath } from 'url';
+
+const serverPath = fileURLToPath(new URL('./dynamic-policy-mcp-server.js', import.meta.url));
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Start a server; `env` values of undefined remove the variable
+async function startServer(t, env = {}) {
+    const port = await freePort();
+    const childEnv = { ...process.env, PORT: String(port), POLICY_STORE: 'memory', POLICY_GENERATOR: 'rule-based', ...env };
+    for (const [name, value] of Object.entries(childEnv)) {
+        if (value === undefined) delete childEnv[name];
+    }
+    const child = spawn(process.execPath, [serverPath], { env: childEnv, stdio: ['ignore', 'pipe', 'ignore'] });
+    t.after(() => child.kill());
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('server did not start within 10s')), 10000);
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Dynamic Policy MCP Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`server exited with code ${code}`));
+        });
+    });
+
+    return async (method, urlPath, { token, body } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(`http://127.0.0.1:${port}${urlPath}`, {
+            method,
+            headers,
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+}
+
+test('a provider that cannot be called falls back to the next link', async t => {
+    const request = await startServer(t, { POLICY_GENERATOR: 'llm', LLM_FALLBACK_CHAIN: 'gemini,rule-based', GEMINI_API_KEY: undefined });
+    const generated = await request('POST', '/api/policies/generate', {
+        body: { agentId: 'bot', task: 'Query price of AAPL', authentication: 'mfa', roles: ['trading-agent'] }
+    });
+    assert.equal(generated.status, 200);
+    assert.deepEqual(generated.body.policy.llmChain, {
+        link: 1,
+        label: 'rule-based',
+        fallbacks: [{ link: 0, label: 'gemini', error: 'LLM provider gemini unavailable: GEMINI_API_KEY not configured in environment' }]
+    });
+});
+
+test('admin endpoints are closed when ADMIN_API_TOKEN is not set', async t => {
+    const request = await startServer(t, { ADMIN_API_TOKEN: undefined });
+    const listed = await request('GET', '/api/admin/approvals');
+    assert.equal(listed.status, 503);
+    assert.match(listed.body.error, /ADMIN_API_TOKEN is not set/);
+    assert.equal((await request('POST', '/api/admin/approvals/req-1/approve', { token: 'anything', body: {} })).status, 503);
+});
+
+test('admin endpoints need the admin token, not an agent token', async t => {
+    const request = await startServer(t, { ADMIN_API_TOKEN: 'admin-secret' });
+    const generated = await request('POST', '/api/policies/generate', {
+        body: { agentId: 'bot', task: 'Query price of AAPL', authentication: 'mfa', roles: ['trading-agent'] }
+    });
+    assert.equal(generated.status, 200);
+
+    assert.equal((await request('GET', '/api/admin/approvals')).status, 401);
+    assert.equal((await request('GET', '/api/admin/approvals', { token: 'admin-secre' })).status, 401);
+    assert.equal((await request('GET', '/api/admin/approvals', { token: generated.body.policy.agentToken })).status, 401);
+    assert.equal((await request('GET', '/api/admin/approvals', { token: 'admin-secret' })).status, 200);
+});
+
+test('rollback is refused without the admin token', async t => {
+    const request = await startServer(t, { ADMIN_API_TOKEN: 'admin-secret' });
+    const generated = await request('POST', '/api/policies/generate', {
+        body: { agentId: 'bot', task: 'Query price of AAPL', authentication: 'mfa', roles: ['trading-agent'] }
+    });
+    const rollback = { version: 1, reason: 'restore' };
+
+    assert.equal((await request('POST', '/api/policies/bot/rollback', { body: rollback })).status, 401);
+    assert.equal((await request('POST', '/api/policies/bot/rollback', { token: generated.body.policy.agentToken, body: rollback })).status, 401);
+    const versions = await request('GET', '/api/policies/bot/versions');
+    assert.deepEqual(versions.body.versions.map(version => version.change.kind), ['generated']);
+
+    const rolledBack = await request('POST', '/api/policies/bot/rollback', { token: 'admin-secret', body: rollback });
+    assert.equal(rolledBack.status, 200);
+    assert.equal(rolledBack.body.version.version, 2);
+    assert.equal(rolledBack.body.version.change.kind, 'rollback');
+});
+
+test('bulk revocation and metrics skip policies that already expired', async t => {
+    const request = await startServer(t, { ADMIN_API_TOKEN: 'admin-secret' });
+    const generate = (agentId, authentication, extra) => request('POST', '/api/policies/generate', {
+        body: { agentId, task: 'Query price of AAPL', authentication, roles: ['trading-agent'], ...extra }
+    });
+    await generate('short-oauth', 'oauth', { ttlSeconds: 1 });
+    await generate('short-mfa', 'mfa', { ttlSeconds: 1 });
+    await generate('long-oauth', 'oauth');
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    assert.equal((await request('POST', '/api/policies/revoke', { body: { authentication: 'oauth' } })).status, 401);
+    const revoked = await request('POST', '/api/policies/revoke', { token: 'admin-secret', body: { authentication: 'oauth' } });
+    assert.deepEqual(revoked.body.revoked.map(retirement => retirement.agentId), ['long-oauth']);
+    assert.equal((await request('GET', '/api/policies/short-oauth')).body.retirement.status, 'expired');
+
+    const metrics = await request('GET', '/api/policies/metrics');
+    assert.equal(metrics.body.totalPolicies, 0);
+    assert.deepEqual(metrics.body.activeAgents, []);
+    assert.deepEqual(metrics.body.retiredPolicies, { expired: 2, revoked: 1, completed: 0 });
+});
+
+test('replacing a live policy needs a token and passes the escalation rules', async t => {
+    const request = await startServer(t, { ADMIN_API_TOKEN: 'admin-secret' });
+    const generate = (body, token) => request('POST', '/api/policies/generate', {
+        token,
+        body: { agentId: 'bot', authentication: 'oauth', roles: ['trading-agent'], ...body }
+    });
+    const first = await generate({ task: 'Query price of AAPL' });
+    assert.equal(first.status, 200);
+
+    const anonymous = await generate({ task: 'Query price of AAPL' });
+    assert.equal(anonymous.status, 409);
+    assert.equal(anonymous.body.policy, undefined);
+
+    // Trading widens the policy, and the agent registered with oauth, not mfa
+    const escalation = await generate({ task: 'Execute trades', authentication: 'mfa' }, first.body.policy.agentToken);
+    assert.equal(escalation.status, 403);
+    assert.match(escalation.body.error, /requires MFA authentication \(agent authenticated with oauth\)/);
+    assert.equal((await generate({ task: 'Execute trades' }, 'admin-secret')).status, 403);
+
+    const versions = await request('GET', '/api/policies/bot/versions');
+    assert.equal(versions.body.versions.length, 1);
+
+    const same = await generate({ task: 'Query price of AAPL' }, first.body.policy.agentToken);
+    assert.equal(same.status, 200);
+    assert.equal(same.body.policy.approval, null);
+});
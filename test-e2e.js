@@ -147,7 +147,7 @@ class EndToEndTester {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 action: 'trade_using_market_order',
-                principal: `authenticated-${this.agentId}`,
+                principal: this.agentId,
                 resource: 'trading/test',
                 agentId: this.agentId
             })
@@ -163,7 +163,7 @@ class EndToEndTester {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 action: 'portfolio_access',
-                principal: `authenticated-${this.agentId}`,
+                principal: this.agentId,
                 resource: 'portfolio/test',
                 agentId: this.agentId
             })
@@ -194,7 +194,7 @@ class EndToEndTester {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 action: 'execute_admin_actions',
-                principal: `authenticated-${this.agentId}`,
+                principal: this.agentId,
                 resource: 'system/admin',
                 agentId: this.agentId
             })
@@ -2,6 +2,8 @@
 
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import path from 'path';
+import { PromptTemplate, DEFAULT_TEMPLATE_NAME, promptVariables } from './prompt-templates.js';
 
 dotenv.config();
 
@@ -59,44 +61,14 @@ const forceLLMCall = async () => {
     }
   };
 
-  const systemPrompt = `# Cedar Policy Generator
-
-You are an expert at generating Cedar authorization policies for security systems. Your task is to generate precise, secure Cedar policies based on agent context and requirements.
-
-## Important Cedar Syntax Rules:
-- Use: permit(principal, action, resource) or forbid(principal, action, resource)
-- Principal types: MCP::Client::"authenticated", MCP::Client::"unauthenticated"
-- Action types: MCP::Action::"call_tool", MCP::Action::"read_capabilities", etc.
-- Use proper MCP:: namespaces
-
-## Security Guidelines:
-- Default deny (fail-safe approach)
-- Least privilege principle
-- Authentication-based scaling
-- Role-appropriate restrictions`;
-
-  const userPrompt = `
-Generate a Cedar authorization policy for this agent scenario:
-
-AGENT CONTEXT:
-- Agent ID: ${promptData.context.agent_id}
-- Task: ${promptData.context.task_description}
-- Authentication Level: ${promptData.context.authentication_level}
-- Roles: ${promptData.context.roles.join(', ')}
-- Available Actions: ${promptData.context.available_actions.join(', ')}
-- Available Resources: ${promptData.context.available_resources.join(', ')}
-
-REQUIREMENTS:
-${promptData.requirements.map(req => `- ${req}`).join('\n')}
-
-OUTPUT FORMAT:
-Return JSON with:
-{
-  "policy": "complete cedar policy text here",
-  "rationale": "explain security decisions made",
-  "risk_level": "LOW|MEDIUM|HIGH|CRITICAL",
-  "allowed_actions": ["action1", "action2"]
-}`;
+  // Same versioned prompt template the server uses
+  const template = PromptTemplate.load(
+    process.env.PROMPT_TEMPLATE_DIR || path.join(process.cwd(), 'prompts'),
+    process.env.PROMPT_TEMPLATE || DEFAULT_TEMPLATE_NAME,
+    process.env.PROMPT_TEMPLATE_VERSION
+  );
+  console.log(`Prompt template: ${template.name} v${template.version}`);
+  const { systemPrompt, userPrompt } = template.render(promptVariables(promptData));
 
   console.log('\n📡 MAKING API CALL TO GOOGLE GEMINI API...');
 
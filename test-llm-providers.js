@@ -0,0 +1,163 @@
+// Tests for llm-providers.js
+//
+// Run with `node --test test-llm-providers.js`, or `npm test` for every unit test.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+    extractJSON, normalizePolicyResponse, createLLMProvider, LLMRequestError, PROVIDER_NAMES,
+    OpenAIProvider, AnthropicProvider, GeminiProvider, OllamaProvider
+} from './llm-providers.js';
+
+// A local stand-in for the provider APIs; each test sets how it answers
+let server;
+let baseUrl;
+let respond;
+let received;
+
+before(async () => {
+    server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+            respond(res);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+});
+
+function replyWith(status, payload, headers = {}) {
+    respond = res => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    };
+}
+
+async function requestError(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        assert.ok(error instanceof LLMRequestError, `expected LLMRequestError, got ${error}`);
+        return error;
+    }
+    assert.fail('expected the call to fail');
+}
+
+const conversation = [{ role: 'user', content: 'hello' }];
+
+test('JSON is extracted from bare, fenced and prose-wrapped replies', () => {
+    assert.deepEqual(extractJSON('{"policy": "p"}'), { policy: 'p' });
+    assert.deepEqual(extractJSON('Here:\n```json\n{"policy": "p"}\n```\nDone.'), { policy: 'p' });
+    assert.deepEqual(extractJSON('Sure! {"policy": "p", "risk_level": "low"} Hope that helps.'), { policy: 'p', risk_level: 'low' });
+    assert.throws(() => extractJSON('no json here'), /Could not parse LLM response as JSON/);
+});
+
+test('responses are normalized to a common shape', () => {
+    assert.deepEqual(normalizePolicyResponse({ policy: 'permit(principal, action, resource);', risk_level: 'medium', allowed_actions: ['a', 1] }), {
+        policy: 'permit(principal, action, resource);',
+        rationale: '',
+        risk_level: 'MEDIUM',
+        allowed_actions: ['a']
+    });
+    assert.equal(normalizePolicyResponse({ policy: 'x' }).risk_level, 'UNKNOWN');
+    assert.throws(() => normalizePolicyResponse({ policy: '  ' }), /does not contain policy text/);
+    assert.throws(() => normalizePolicyResponse(null), /does not contain policy text/);
+});
+
+test('LLM_PROVIDER picks the provider and its defaults', () => {
+    assert.deepEqual(PROVIDER_NAMES, ['gemini', 'openai', 'anthropic', 'ollama']);
+    assert.ok(createLLMProvider({}) instanceof GeminiProvider);
+    assert.ok(createLLMProvider({ LLM_PROVIDER: 'OpenAI' }) instanceof OpenAIProvider);
+    assert.ok(createLLMProvider({ LLM_PROVIDER: 'anthropic' }) instanceof AnthropicProvider);
+
+    const ollama = createLLMProvider({ LLM_PROVIDER: 'ollama', LLM_TIMEOUT_MS: 'soon' });
+    assert.ok(ollama instanceof OllamaProvider);
+    assert.deepEqual(ollama.describe(), {
+        provider: 'ollama',
+        apiUrl: 'http://localhost:11434/api/chat',
+        model: 'llama3.1',
+        timeoutMs: 30000,
+        apiKey: 'MISSING'
+    });
+
+    const gemini = createLLMProvider({
+        GEMINI_API_URL: 'https://example.test/v1beta/models/gemini-pro:generateContent',
+        GEMINI_MODEL: 'gemini-2.0-flash',
+        GEMINI_API_KEY: 'secret'
+    });
+    assert.equal(gemini.apiUrl, 'https://example.test/v1beta/models/gemini-2.0-flash:generateContent');
+    assert.equal(gemini.describe().apiKey, '***CONFIGURED***');
+
+    assert.throws(() => createLLMProvider({ LLM_PROVIDER: 'skynet' }), /Unknown LLM_PROVIDER 'skynet'/);
+});
+
+test('providers send the system prompt and conversation in their API format', async () => {
+    replyWith(200, { choices: [{ message: { content: 'from openai' } }] });
+    const openai = new OpenAIProvider({ apiUrl: `${baseUrl}/chat`, apiKey: 'k', model: 'm' });
+    assert.equal(await openai.chat('system', conversation), 'from openai');
+    assert.equal(received.headers.authorization, 'Bearer k');
+    assert.deepEqual(received.body.messages, [{ role: 'system', content: 'system' }, ...conversation]);
+
+    replyWith(200, { content: [{ type: 'text', text: 'from ' }, { type: 'tool_use' }, { type: 'text', text: 'anthropic' }] });
+    const anthropic = new AnthropicProvider({ apiUrl: `${baseUrl}/messages`, apiKey: 'k', model: 'm' });
+    assert.equal(await anthropic.chat('system', conversation), 'from anthropic');
+    assert.equal(received.headers['x-api-key'], 'k');
+    assert.equal(received.body.system, 'system');
+
+    replyWith(200, { candidates: [{ content: { parts: [{ text: 'from gemini' }] } }] });
+    const gemini = new GeminiProvider({ apiUrl: `${baseUrl}/generate`, apiKey: 'k' });
+    assert.equal(await gemini.chat('system', [...conversation, { role: 'assistant', content: 'hi' }]), 'from gemini');
+    assert.equal(received.url, '/generate?key=k');
+    assert.deepEqual(received.body.contents.map(turn => [turn.role, turn.parts[0].text]), [['user', 'system\n\nhello'], ['model', 'hi']]);
+});
+
+test('missing API keys and empty replies are errors', async () => {
+    await assert.rejects(new GeminiProvider({ apiUrl: baseUrl }).chat('s', conversation), /GEMINI_API_KEY not configured/);
+    await assert.rejects(new AnthropicProvider({ apiUrl: baseUrl }).chat('s', conversation), /ANTHROPIC_API_KEY not configured/);
+
+    replyWith(200, { message: {} });
+    await assert.rejects(new OllamaProvider({ apiUrl: baseUrl }).chat('s', conversation), /No content received from ollama/);
+});
+
+test('HTTP failures say whether they are worth retrying', async () => {
+    const provider = new OpenAIProvider({ apiUrl: baseUrl, model: 'm' });
+
+    replyWith(429, 'slow down', { 'Retry-After': '3' });
+    const rateLimited = await requestError(provider.chat('s', conversation));
+    assert.equal(rateLimited.status, 429);
+    assert.equal(rateLimited.retryable, true);
+    assert.equal(rateLimited.retryAfterMs, 3000);
+    assert.match(rateLimited.message, /openai API failed: 429 - slow down/);
+
+    replyWith(503, 'down');
+    assert.equal((await requestError(provider.chat('s', conversation))).retryable, true);
+
+    replyWith(400, 'bad request');
+    const badRequest = await requestError(provider.chat('s', conversation));
+    assert.equal(badRequest.retryable, false);
+    assert.equal(badRequest.retryAfterMs, null);
+
+    replyWith(200, 'not json');
+    const invalid = await requestError(provider.chat('s', conversation));
+    assert.match(invalid.message, /returned invalid JSON/);
+    assert.equal(invalid.retryable, false);
+});
+
+test('timeouts and unreachable servers are retryable', async () => {
+    respond = () => {};
+    const slow = await requestError(new OpenAIProvider({ apiUrl: baseUrl, timeoutMs: 50 }).chat('s', conversation));
+    assert.match(slow.message, /timed out after 50ms/);
+    assert.equal(slow.retryable, true);
+
+    const unreachable = await requestError(new OpenAIProvider({ apiUrl: 'http://127.0.0.1:1/chat' }).chat('s', conversation));
+    assert.match(unreachable.message, /openai API unreachable/);
+    assert.equal(unreachable.retryable, true);
+});
@@ -0,0 +1,190 @@
+// Tests for llm-resilience.js
+//
+// Run with `node --test test-llm-resilience.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LLMRequestError } from './llm-providers.js';
+import {
+    CircuitBreaker, CircuitOpenError, ResilientLLMClient, backoffDelay, createFallbackChain, RULE_BASED_LINK
+} from './llm-resilience.js';
+
+function clock() {
+    let time = 0;
+    const now = () => time;
+    now.advance = ms => { time += ms; };
+    return now;
+}
+
+// A provider that answers from a script: a string is a reply, an Error is thrown
+function scriptedProvider(...script) {
+    return {
+        name: 'fake',
+        model: 'm1',
+        calls: 0,
+        async chat() {
+            const step = script[Math.min(this.calls++, script.length - 1)];
+            if (step instanceof Error) throw step;
+            return step;
+        },
+        describe() {
+            return { provider: 'fake' };
+        }
+    };
+}
+
+const unavailable = () => new LLMRequestError('fake API failed: 503 - down', { status: 503, retryable: true });
+const badRequest = () => new LLMRequestError('fake API failed: 400 - bad', { status: 400 });
+
+function client(provider, options = {}) {
+    const waits = [];
+    const resilient = new ResilientLLMClient(provider, { wait: async ms => { waits.push(ms); }, ...options });
+    return { resilient, waits };
+}
+
+test('backoff is jittered, capped and honours Retry-After', () => {
+    const options = { baseDelayMs: 500, maxDelayMs: 8000 };
+    assert.equal(backoffDelay(0, { ...options, random: () => 1 }), 500);
+    assert.equal(backoffDelay(2, { ...options, random: () => 0.5 }), 1000);
+    assert.equal(backoffDelay(10, { ...options, random: () => 1 }), 8000);
+    assert.equal(backoffDelay(0, { ...options, random: () => 0, retryAfterMs: 3000 }), 3000);
+    assert.equal(backoffDelay(0, { ...options, random: () => 0, retryAfterMs: 60000 }), 8000);
+});
+
+test('retryable failures are retried, others are not', async () => {
+    const flaky = scriptedProvider(unavailable(), unavailable(), 'policy');
+    const { resilient, waits } = client(flaky, { maxRetries: 2 });
+    assert.equal(await resilient.chat('s', []), 'policy');
+    assert.equal(flaky.calls, 3);
+    assert.equal(waits.length, 2);
+    assert.equal(resilient.breaker.consecutiveFailures, 0);
+
+    const broken = scriptedProvider(badRequest());
+    const { resilient: strict, waits: none } = client(broken, { maxRetries: 2 });
+    await assert.rejects(strict.chat('s', []), /400 - bad/);
+    assert.equal(broken.calls, 1);
+    assert.deepEqual(none, []);
+    // A rejected request is not a sign the provider is down
+    assert.equal(strict.breaker.consecutiveFailures, 0);
+
+    const down = scriptedProvider(unavailable());
+    const { resilient: exhausted } = client(down, { maxRetries: 1 });
+    await assert.rejects(exhausted.chat('s', []), /503 - down/);
+    assert.equal(down.calls, 2);
+    // One logical call counts once
+    assert.equal(exhausted.breaker.consecutiveFailures, 1);
+});
+
+test('the circuit opens after repeated failures and stops calling the provider', async () => {
+    const now = clock();
+    const down = scriptedProvider(unavailable());
+    const { resilient } = client(down, { maxRetries: 0, breaker: new CircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now }) });
+
+    await assert.rejects(resilient.chat('s', []), LLMRequestError);
+    await assert.rejects(resilient.chat('s', []), LLMRequestError);
+    assert.equal(resilient.breaker.state, 'open');
+    assert.equal(resilient.breaker.retryAt, 1000);
+
+    await assert.rejects(resilient.chat('s', []), error =>
+        error instanceof CircuitOpenError && error.message === 'Circuit open for fake:m1 until 1970-01-01T00:00:01.000Z');
+    assert.equal(down.calls, 2);
+    assert.deepEqual(resilient.describe().circuit, {
+        state: 'open',
+        consecutiveFailures: 2,
+        failureThreshold: 2,
+        resetSeconds: 1,
+        timesOpened: 1,
+        retryAt: '1970-01-01T00:00:01.000Z'
+    });
+});
+
+test('requests the provider rejects never open the circuit', async () => {
+    const rejecting = scriptedProvider(badRequest(), new TypeError('bug in the provider'), badRequest());
+    const { resilient } = client(rejecting, { breaker: new CircuitBreaker({ failureThreshold: 1 }) });
+    await assert.rejects(resilient.chat('s', []), LLMRequestError);
+    await assert.rejects(resilient.chat('s', []), TypeError);
+    await assert.rejects(resilient.chat('s', []), LLMRequestError);
+    assert.equal(rejecting.calls, 3);
+    assert.equal(resilient.breaker.state, 'closed');
+});
+
+test('a rejected trial call frees the half-open slot without re-opening the circuit', async () => {
+    const now = clock();
+    const provider = scriptedProvider(badRequest(), 'policy');
+    const { resilient } = client(provider, { breaker: new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now }) });
+    resilient.breaker.recordFailure();
+    now.advance(1000);
+
+    await assert.rejects(resilient.chat('s', []), LLMRequestError);
+    assert.equal(resilient.breaker.state, 'half-open');
+    assert.equal(await resilient.chat('s', []), 'policy');
+    assert.equal(resilient.breaker.state, 'closed');
+});
+
+test('a half-open circuit lets a single trial call through', () => {
+    const now = clock();
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now });
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), false);
+
+    now.advance(1000);
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.retryAt, null);
+    assert.equal(breaker.allowRequest(), false);
+
+    // A failed trial re-opens the circuit for another cool-down
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.timesOpened, 2);
+    assert.equal(breaker.allowRequest(), false);
+
+    now.advance(1000);
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), true);
+});
+
+test('callers turned away while the trial is in flight get a half-open error', async () => {
+    const now = clock();
+    let release;
+    const provider = scriptedProvider('policy');
+    provider.chat = () => new Promise(resolve => { release = resolve; });
+    const { resilient } = client(provider, { breaker: new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now }) });
+    resilient.breaker.recordFailure();
+    now.advance(1000);
+
+    const trial = resilient.chat('s', []);
+    await assert.rejects(resilient.chat('s', []), error =>
+        error instanceof CircuitOpenError && error.retryAt === null && /half-open for fake:m1, waiting on its trial call/.test(error.message));
+    release('policy');
+    assert.equal(await trial, 'policy');
+    assert.equal(resilient.breaker.state, 'closed');
+});
+
+test('the fallback chain is built from LLM_FALLBACK_CHAIN', () => {
+    const chain = createFallbackChain({
+        LLM_FALLBACK_CHAIN: 'gemini, openai:gpt-4o-mini, rule-based',
+        LLM_MAX_RETRIES: '4',
+        LLM_CIRCUIT_FAILURE_THRESHOLD: '5',
+        LLM_CIRCUIT_RESET_SECONDS: '60'
+    });
+    assert.deepEqual(chain.map(link => link.label), ['gemini', 'openai:gpt-4o-mini', RULE_BASED_LINK]);
+    assert.equal(chain[1].client.model, 'gpt-4o-mini');
+    assert.equal(chain[1].client.maxRetries, 4);
+    assert.equal(chain[1].client.breaker.failureThreshold, 5);
+    assert.equal(chain[1].client.breaker.resetTimeoutMs, 60000);
+    assert.equal(chain[2].client, null);
+    // Each link has its own breaker
+    assert.notEqual(chain[0].client.breaker, chain[1].client.breaker);
+
+    assert.deepEqual(createFallbackChain({ LLM_PROVIDER: 'anthropic' }).map(link => link.label), ['anthropic:claude-3-5-haiku-latest']);
+});
+
+test('malformed fallback chains are rejected', () => {
+    assert.throws(() => createFallbackChain({ LLM_FALLBACK_CHAIN: ' , ' }), /LLM_FALLBACK_CHAIN is empty/);
+    assert.throws(() => createFallbackChain({ LLM_FALLBACK_CHAIN: 'rule-based,gemini' }), /'rule-based' never fails, so it must be the last link/);
+    assert.throws(() => createFallbackChain({ LLM_FALLBACK_CHAIN: 'gemini,mystery' }), /Unknown provider 'mystery' in LLM_FALLBACK_CHAIN/);
+});
@@ -0,0 +1,57 @@
+// Tests for llm-response-validation.js
+//
+// Run with `node --test test-llm-response-validation.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateJSONSchema, POLICY_RESPONSE_SCHEMA, PolicyGenerationError } from './llm-response-validation.js';
+
+const valid = {
+    policy: 'permit(principal, action, resource);',
+    rationale: 'Least privilege',
+    risk_level: 'LOW',
+    allowed_actions: ['quote_tool']
+};
+
+test('a well-formed policy response has no errors', () => {
+    assert.deepEqual(validateJSONSchema(valid, POLICY_RESPONSE_SCHEMA), []);
+    assert.deepEqual(validateJSONSchema({ ...valid, allowed_actions: [], extra: true }, POLICY_RESPONSE_SCHEMA), []);
+});
+
+test('every problem is reported with its JSON path', () => {
+    assert.deepEqual(validateJSONSchema({
+        policy: '   ',
+        risk_level: 'low',
+        allowed_actions: ['quote_tool', 7]
+    }, POLICY_RESPONSE_SCHEMA), [
+        "$: missing required property 'rationale'",
+        '$.policy: must not be empty',
+        '$.risk_level: must be one of LOW, MEDIUM, HIGH, CRITICAL, got "low"',
+        '$.allowed_actions[1]: expected string, got integer'
+    ]);
+});
+
+test('a value of the wrong type stops checking at that path', () => {
+    assert.deepEqual(validateJSONSchema(['policy'], POLICY_RESPONSE_SCHEMA), ['$: expected object, got array']);
+    assert.deepEqual(validateJSONSchema(null, POLICY_RESPONSE_SCHEMA), ['$: expected object, got null']);
+    assert.deepEqual(validateJSONSchema({ ...valid, allowed_actions: 'quote_tool' }, POLICY_RESPONSE_SCHEMA), [
+        '$.allowed_actions: expected array, got string'
+    ]);
+});
+
+test('integers count as numbers', () => {
+    assert.deepEqual(validateJSONSchema(3, { type: 'number' }), []);
+    assert.deepEqual(validateJSONSchema(3.5, { type: 'integer' }), ['$: expected integer, got number']);
+});
+
+test('PolicyGenerationError summarizes the last attempt and keeps them all', () => {
+    const attempts = [
+        { attempt: 1, errors: ['$.policy: must not be empty'] },
+        { attempt: 2, errors: ['Policy failed schema validation: unrecognized action', 'more'] }
+    ];
+    const error = new PolicyGenerationError(attempts);
+    assert.equal(error.name, 'PolicyGenerationError');
+    assert.equal(error.message, 'Policy generation failed after 2 attempt(s): Policy failed schema validation: unrecognized action');
+    assert.equal(error.attempts, attempts);
+    assert.match(new PolicyGenerationError([]).message, /after 0 attempt\(s\): no attempts made/);
+});
@@ -0,0 +1,132 @@
+// Tests for permission-ceilings.js
+//
+// Run with `node --test test-permission-ceilings.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { parsePolicies } from './cedar-parser.js';
+import { EntityStore } from './cedar-entities.js';
+import { isAuthorized, buildRequest } from './cedar-evaluator.js';
+import { PermissionCeilings, CeilingViolationError } from './permission-ceilings.js';
+
+const config = {
+    authentication: {
+        basic: { quote_tool: ['market-data/*'], portfolio_access: ['portfolio/*'] },
+        mfa: {
+            quote_tool: ['market-data/*'],
+            portfolio_access: ['portfolio/*'],
+            trade_using_market_order: ['trading/*']
+        }
+    },
+    roles: {
+        '*': { quote_tool: ['market-data/*'] },
+        'trading-agent': { portfolio_access: ['portfolio/*'], trade_using_market_order: ['trading/equities', 'trading/bonds'] }
+    }
+};
+
+const trader = { authentication: 'mfa', roles: ['trading-agent'] };
+const entities = EntityStore.fromJSON([
+    { uid: { type: 'MCP::Client', id: 'bot' }, parents: [{ type: 'MCP::Client', id: 'authenticated' }] }
+]);
+
+function ceilings(mode = 'intersect') {
+    return new PermissionCeilings({ ...config, mode });
+}
+
+function decide(policies, action, resource) {
+    return isAuthorized(policies, buildRequest({ principal: 'bot', action, resource }), entities).decision;
+}
+
+test('the ceiling is the authentication grants intersected with the role grants', () => {
+    assert.deepEqual(ceilings().ceilingFor(trader), {
+        quote_tool: ['market-data/*'],
+        portfolio_access: ['portfolio/*'],
+        trade_using_market_order: ['trading/bonds', 'trading/equities']
+    });
+    assert.deepEqual(ceilings().ceilingFor({ authentication: 'basic', roles: ['trading-agent'] }), {
+        quote_tool: ['market-data/*'],
+        portfolio_access: ['portfolio/*']
+    });
+    assert.deepEqual(ceilings().ceilingFor({ authentication: 'mfa' }), { quote_tool: ['market-data/*'] });
+    assert.deepEqual(ceilings().ceilingFor({ authentication: 'anonymous', roles: ['trading-agent'] }), {});
+});
+
+test('policies within the ceiling pass unchanged', () => {
+    const policies = parsePolicies(`
+        permit(principal, action == MCP::Action::"quote_tool", resource in MCP::Resource::"market-data/AAPL")
+        when { context.authentication == "mfa" };
+        forbid(principal, action, resource);`);
+    const { policies: result, report } = ceilings('reject').enforce(policies, trader);
+    assert.equal(result, policies);
+    assert.equal(report.outcome, 'within');
+    assert.deepEqual(report.violations, []);
+});
+
+test('reject mode refuses over-broad permits with every violation', () => {
+    const policies = parsePolicies(`
+        @id("trade") permit(principal, action == MCP::Action::"trade_using_market_order", resource in MCP::Resource::"trading/*");
+        @id("settings") permit(principal, action == MCP::Action::"modify_settings", resource);
+        @id("all") permit(principal, action, resource);`);
+    try {
+        ceilings('reject').enforce(policies, trader);
+        assert.fail('expected a CeilingViolationError');
+    } catch (error) {
+        assert.ok(error instanceof CeilingViolationError);
+        assert.equal(error.message,
+            'Policy exceeds the permission ceiling: trade grants trade_using_market_order on trading/*, ceiling allows only trading/bonds, trading/equities (and 2 more)');
+        assert.deepEqual(error.violations.map(violation => violation.reason).slice(1), [
+            'settings grants modify_settings, which the ceiling does not allow',
+            'all applies to every action'
+        ]);
+        assert.equal(error.report.outcome, 'rejected');
+    }
+});
+
+test('intersect mode narrows permits and the decisions follow', () => {
+    const policies = parsePolicies(`
+        @id("trade") permit(principal, action in [MCP::Action::"trade_using_market_order", MCP::Action::"modify_settings"], resource in MCP::Resource::"trading/*");
+        @id("quotes") permit(principal, action == MCP::Action::"quote_tool", resource);`);
+    const { policies: narrowed, report } = ceilings().enforce(policies, trader);
+
+    assert.equal(report.outcome, 'intersected');
+    assert.deepEqual(report.changes, [
+        { policyId: 'trade', action: 'trade_using_market_order', change: 'narrowed', resources: ['trading/bonds', 'trading/equities'] },
+        { policyId: 'trade', action: 'modify_settings', change: 'removed' },
+        { policyId: 'quotes', action: 'quote_tool', change: 'narrowed', resources: ['market-data/*'] }
+    ]);
+
+    assert.equal(decide(narrowed, 'trade_using_market_order', 'trading/equities/AAPL'), 'Permit');
+    assert.equal(decide(narrowed, 'trade_using_market_order', 'trading/bonds/T10'), 'Permit');
+    assert.equal(decide(narrowed, 'trade_using_market_order', 'trading/crypto/BTC'), 'Deny');
+    assert.equal(decide(narrowed, 'modify_settings', 'trading/equities'), 'Deny');
+    assert.equal(decide(narrowed, 'quote_tool', 'market-data/AAPL'), 'Permit');
+    assert.equal(decide(narrowed, 'quote_tool', 'settings/system'), 'Deny');
+});
+
+test('an exact resource outside the ceiling is removed, not narrowed', () => {
+    const policies = parsePolicies(`
+        permit(principal, action == MCP::Action::"trade_using_market_order", resource == MCP::Resource::"trading/crypto");
+        permit(principal, action == MCP::Action::"quote_tool", resource in MCP::Resource::"market-data/*");`);
+    const { policies: narrowed, report } = ceilings().enforce(policies, trader);
+    assert.deepEqual(report.changes, [{ policyId: 'policy0', action: 'trade_using_market_order', change: 'removed' }]);
+    assert.equal(narrowed.length, 1);
+});
+
+test('non-canonical resource paths are refused rather than compared', () => {
+    const policies = parsePolicies(`
+        permit(principal, action == MCP::Action::"portfolio_access", resource in MCP::Resource::"portfolio/../settings");`);
+    assert.throws(() => ceilings('reject').enforce(policies, trader),
+        error => error instanceof CeilingViolationError &&
+            error.violations[0].reason === 'policy0 grants portfolio_access on non-canonical resource path portfolio/../settings');
+    assert.throws(() => ceilings().enforce(policies, trader),
+        error => error instanceof CeilingViolationError && error.report.outcome === 'rejected');
+});
+
+test('unknown modes are rejected and the shipped ceilings load', () => {
+    assert.throws(() => new PermissionCeilings({ mode: 'ignore' }), /Unknown permission ceiling mode 'ignore'/);
+
+    const shipped = PermissionCeilings.fromFile(fileURLToPath(new URL('./permission-ceilings.json', import.meta.url)), { mode: 'reject' });
+    assert.equal(shipped.mode, 'reject');
+    assert.deepEqual(shipped.ceilingFor({ authentication: 'anonymous' }), {});
+});
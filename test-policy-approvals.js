@@ -0,0 +1,98 @@
+// Tests for policy-approvals.js
+//
+// Run with `node --test test-policy-approvals.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { approvalReasons, ApprovalQueue, ApprovalError } from './policy-approvals.js';
+
+const settings = { riskThreshold: 'HIGH', sensitiveActions: ['trade_using_market_order', 'modify_settings'] };
+const quotes = [{ action: 'quote_tool', resource: 'market-data/*', access: 'allowed' }];
+const trades = [
+    { action: 'trade_using_market_order', resource: 'trading/equities', access: 'allowed' },
+    { action: 'trade_using_market_order', resource: 'trading/bonds', access: 'conditional' }
+];
+
+function approvalError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        assert.ok(error instanceof ApprovalError, `expected ApprovalError, got ${error}`);
+        return error;
+    }
+    assert.fail('expected an ApprovalError');
+}
+
+test('risk at or above the threshold needs approval', () => {
+    assert.deepEqual(approvalReasons({ riskLevel: 'MEDIUM', permissions: quotes }, settings), []);
+    assert.deepEqual(approvalReasons({ riskLevel: 'high', permissions: quotes }, settings), ['risk level HIGH is at or above HIGH']);
+    assert.deepEqual(approvalReasons({ riskLevel: 'CRITICAL', permissions: quotes }, settings), ['risk level CRITICAL is at or above HIGH']);
+    assert.deepEqual(approvalReasons({ riskLevel: 'CRITICAL', permissions: quotes }, { ...settings, riskThreshold: 'NONE' }), []);
+});
+
+test('unrecognized or missing risk levels count as above the threshold', () => {
+    assert.deepEqual(approvalReasons({ riskLevel: 'UNKNOWN', permissions: quotes }, settings), [
+        'risk level UNKNOWN is not one of LOW, MEDIUM, HIGH, CRITICAL'
+    ]);
+    assert.deepEqual(approvalReasons({ riskLevel: null, permissions: quotes }, settings), [
+        'risk level missing is not one of LOW, MEDIUM, HIGH, CRITICAL'
+    ]);
+});
+
+test('granting a sensitive action needs approval, conditionally or not', () => {
+    assert.deepEqual(approvalReasons({ riskLevel: 'LOW', permissions: [...quotes, ...trades] }, settings), [
+        'grants sensitive action trade_using_market_order on trading/equities, trading/bonds'
+    ]);
+});
+
+test('a policy that grants nothing goes live whatever its risk level', () => {
+    assert.deepEqual(approvalReasons({ riskLevel: 'CRITICAL', permissions: [] }, settings), []);
+    assert.deepEqual(approvalReasons({ riskLevel: 'UNKNOWN', permissions: [] }, settings), []);
+});
+
+test('a newer request supersedes the pending one for the same agent', () => {
+    const changes = [];
+    const queue = new ApprovalQueue({ onChange: request => changes.push(`${request.agentId} ${request.status}`) });
+
+    const first = queue.submit({ agentId: 'bot', policy: 'p1', riskLevel: 'HIGH', reasons: ['r'], metadata: {} });
+    const other = queue.submit({ agentId: 'other', policy: 'p', riskLevel: 'HIGH', reasons: ['r'], metadata: {} });
+    const second = queue.submit({ agentId: 'bot', policy: 'p2', riskLevel: 'HIGH', reasons: ['r'], metadata: {} });
+
+    assert.equal(first.status, 'superseded');
+    assert.ok(first.decidedAt);
+    assert.equal(other.status, 'pending');
+    assert.equal(second.status, 'pending');
+    assert.deepEqual(changes, ['bot pending', 'other pending', 'bot superseded', 'bot pending']);
+
+    assert.deepEqual(queue.list().map(request => request.id), [second.id, other.id, first.id]);
+    assert.deepEqual(queue.list({ status: 'pending', agentId: 'bot' }).map(request => request.id), [second.id]);
+});
+
+test('reviewers decide pending requests once', () => {
+    const queue = new ApprovalQueue();
+    const request = queue.submit({ agentId: 'bot', policy: 'p', riskLevel: 'HIGH', reasons: ['r'], metadata: {} });
+
+    const approved = queue.decide(request.id, 'approved', { reviewer: 'alice', comment: 'ok' });
+    assert.equal(approved.status, 'approved');
+    assert.equal(approved.reviewer, 'alice');
+    assert.equal(approved.comment, 'ok');
+
+    const conflict = approvalError(() => queue.decide(request.id, 'rejected'));
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.message, `Approval request ${request.id} is approved, not pending`);
+
+    const missing = approvalError(() => queue.get('nope'));
+    assert.equal(missing.status, 404);
+    assert.equal(missing.message, 'Approval request nope not found');
+});
+
+test('restored requests keep their order and can still be decided', () => {
+    const queue = new ApprovalQueue();
+    queue.restore([
+        { id: 'b', agentId: 'bot', status: 'pending', requestedAt: '2024-01-02T00:00:00.000Z' },
+        { id: 'a', agentId: 'bot', status: 'superseded', requestedAt: '2024-01-01T00:00:00.000Z' }
+    ]);
+    assert.deepEqual(queue.list().map(request => request.id), ['b', 'a']);
+    assert.equal(queue.decide('b', 'rejected', { reviewer: 'bob' }).status, 'rejected');
+    assert.equal(approvalError(() => queue.decide('a', 'approved')).status, 409);
+});
@@ -0,0 +1,76 @@
+// Tests for policy-cache.js
+//
+// Run with `node --test test-policy-cache.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolicyCache, policyCacheKey } from './policy-cache.js';
+
+function clock() {
+    let time = 0;
+    const now = () => time;
+    now.advance = ms => { time += ms; };
+    return now;
+}
+
+test('equivalent contexts share a key, other fingerprints do not', () => {
+    const key = policyCacheKey({ task: 'Execute trades', authentication: 'mfa', roles: ['trader', 'analyst'] }, 'llm:gemini:v3');
+    assert.equal(policyCacheKey({ task: '  execute TRADES ', authentication: 'mfa', roles: ['analyst', 'trader', 'analyst'] }, 'llm:gemini:v3'), key);
+    assert.notEqual(policyCacheKey({ task: 'Execute trades', authentication: 'mfa', roles: ['trader', 'analyst'] }, 'rule-based'), key);
+    assert.notEqual(policyCacheKey({ task: 'Execute trades', authentication: 'basic', roles: ['trader', 'analyst'] }, 'llm:gemini:v3'), key);
+    assert.notEqual(policyCacheKey({ task: 'Execute trades', authentication: 'mfa', roles: ['trader'] }, 'llm:gemini:v3'), key);
+    // The ceilings match roles and authentication exactly, so the key does too
+    assert.notEqual(policyCacheKey({ task: 'Execute trades', authentication: 'MFA', roles: ['trader', 'analyst'] }, 'llm:gemini:v3'), key);
+    assert.notEqual(policyCacheKey({ task: 'Execute trades', authentication: 'mfa', roles: ['Trader', 'analyst'] }, 'llm:gemini:v3'), key);
+    assert.equal(policyCacheKey({ task: null, authentication: undefined }, 'f'), policyCacheKey({ task: '', authentication: '', roles: [] }, 'f'));
+});
+
+test('entries expire after the TTL', () => {
+    const now = clock();
+    const cache = new PolicyCache({ ttlMs: 1000, now });
+    cache.set('a', 1);
+    now.advance(999);
+    assert.equal(cache.get('a'), 1);
+    now.advance(1);
+    assert.equal(cache.get('a'), undefined);
+    assert.equal(cache.size, 0);
+    assert.deepEqual([cache.hits, cache.misses], [1, 1]);
+});
+
+test('the least recently used entry is evicted when full', () => {
+    const cache = new PolicyCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    assert.equal(cache.get('a'), 1);
+    cache.set('c', 3);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+    assert.equal(cache.evictions, 1);
+
+    // Overwriting a key does not evict anything
+    cache.set('c', 4);
+    assert.equal(cache.size, 2);
+    assert.equal(cache.get('c'), 4);
+});
+
+test('a zero TTL or size disables caching', () => {
+    for (const options of [{ ttlMs: 0 }, { maxEntries: 0 }]) {
+        const cache = new PolicyCache(options);
+        assert.equal(cache.enabled, false);
+        cache.set('a', 1);
+        assert.equal(cache.get('a'), undefined);
+    }
+});
+
+test('purge empties the cache and stats report its state', () => {
+    const cache = new PolicyCache({ ttlMs: 90 * 1000, maxEntries: 10 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.get('missing');
+    assert.deepEqual(cache.stats(), { enabled: true, size: 2, maxEntries: 10, ttlSeconds: 90, hits: 1, misses: 1, evictions: 0 });
+    assert.equal(cache.purge(), 2);
+    assert.equal(cache.get('a'), undefined);
+    assert.equal(cache.stats().size, 0);
+});
@@ -0,0 +1,69 @@
+// Tests for policy-consensus.js
+//
+// Run with `node --test test-policy-consensus.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePolicies } from './cedar-parser.js';
+import { EntityStore } from './cedar-entities.js';
+import { effectivePermissions } from './cedar-analysis.js';
+import { permissionSet, selectConsensus } from './policy-consensus.js';
+
+const bot = { type: 'MCP::Client', id: 'bot' };
+const entities = EntityStore.fromJSON([
+    { uid: bot, parents: [{ type: 'MCP::Client', id: 'authenticated' }] }
+]);
+const catalog = { actions: ['quote_tool', 'trade_using_market_order'], resources: ['market-data/*', 'trading/*'] };
+
+const QUOTES = 'permit(principal, action == MCP::Action::"quote_tool", resource in MCP::Resource::"market-data/*");';
+const TRADES = 'permit(principal, action == MCP::Action::"trade_using_market_order", resource in MCP::Resource::"trading/*");';
+const MFA_TRADES = 'permit(principal, action == MCP::Action::"trade_using_market_order", resource in MCP::Resource::"trading/*") when { context.authentication == "mfa" };';
+
+function candidates(...policyTexts) {
+    return policyTexts.map((text, index) => ({
+        index,
+        permissions: permissionSet(effectivePermissions(parsePolicies(text), bot, catalog, entities), catalog)
+    }));
+}
+
+test('permission sets cover every catalog pair', () => {
+    const [{ permissions }] = candidates(QUOTES + MFA_TRADES);
+    assert.deepEqual([...permissions], [
+        ['quote_tool market-data/*', 'allowed'],
+        ['quote_tool trading/*', 'denied'],
+        ['trade_using_market_order market-data/*', 'denied'],
+        ['trade_using_market_order trading/*', 'conditional']
+    ]);
+});
+
+test('most-restrictive picks the candidate granting the least', () => {
+    const result = selectConsensus(candidates(QUOTES + TRADES, QUOTES + MFA_TRADES, QUOTES + TRADES));
+    assert.equal(result.selected, 1);
+    assert.deepEqual(result.disagreements, [{
+        action: 'trade_using_market_order',
+        resource: 'trading/*',
+        majority: 'allowed',
+        votes: { allowed: [0, 2], conditional: [1] }
+    }]);
+});
+
+test('majority picks the candidate closest to the per-pair majority', () => {
+    const result = selectConsensus(candidates(QUOTES, QUOTES + TRADES, QUOTES + TRADES), 'majority');
+    assert.equal(result.selected, 1);
+    assert.equal(result.majority.get('trade_using_market_order trading/*'), 'allowed');
+});
+
+test('ties go to the more restrictive access, then to generation order', () => {
+    // One vote each: the majority is the more restrictive level
+    const split = selectConsensus(candidates(QUOTES + TRADES, QUOTES), 'majority');
+    assert.equal(split.majority.get('trade_using_market_order trading/*'), 'denied');
+    assert.equal(split.selected, 1);
+
+    assert.equal(selectConsensus(candidates(QUOTES, QUOTES)).selected, 0);
+    assert.deepEqual(selectConsensus(candidates(QUOTES, QUOTES)).disagreements, []);
+});
+
+test('unknown strategies and empty candidate lists are errors', () => {
+    assert.throws(() => selectConsensus(candidates(QUOTES), 'loudest'), /Unknown consensus strategy 'loudest'/);
+    assert.throws(() => selectConsensus([]), /No candidate policies to choose from/);
+});
@@ -0,0 +1,90 @@
+// Tests for policy-diff.js
+//
+// Run with `node --test test-policy-diff.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePolicies } from './cedar-parser.js';
+import { EntityStore } from './cedar-entities.js';
+import { effectivePermissions } from './cedar-analysis.js';
+import { diffPolicies, PolicyDiffError } from './policy-diff.js';
+
+const bot = { type: 'MCP::Client', id: 'bot' };
+const entities = EntityStore.fromJSON([
+    { uid: bot, parents: [{ type: 'MCP::Client', id: 'authenticated' }] }
+]);
+const catalog = {
+    actions: ['quote_tool', 'trade_using_market_order', 'modify_settings'],
+    resources: ['trading/*', 'market-data/*', 'settings/system']
+};
+
+const QUOTES = '@id("quotes") permit(principal, action == MCP::Action::"quote_tool", resource in MCP::Resource::"market-data/*");';
+const TRADES = '@id("trades") permit(principal, action == MCP::Action::"trade_using_market_order", resource in MCP::Resource::"trading/*");';
+const MFA_TRADES = '@id("trades") permit(principal, action == MCP::Action::"trade_using_market_order", resource in MCP::Resource::"trading/*") when { context.authentication == "mfa" };';
+
+function side(text) {
+    const policies = parsePolicies(text);
+    return { policies, permissions: effectivePermissions(policies, bot, catalog, entities) };
+}
+
+function diff(before, after) {
+    return diffPolicies(side(before), side(after));
+}
+
+test('layout-only changes are identical', () => {
+    const result = diff(QUOTES, QUOTES.replace(/, /g, ',\n    '));
+    assert.equal(result.identical, true);
+    assert.equal(result.escalates, false);
+});
+
+test('gained pairs escalate and lost pairs do not', () => {
+    const gained = diff(QUOTES, QUOTES + TRADES);
+    assert.equal(gained.escalates, true);
+    assert.deepEqual(gained.permissions.permitted, [
+        { action: 'trade_using_market_order', resource: 'trading/*', access: 'allowed', permits: ['trades'] }
+    ]);
+    assert.deepEqual(gained.rules.added.map(rule => rule.id), ['trades']);
+
+    const lost = diff(QUOTES + TRADES, QUOTES);
+    assert.equal(lost.escalates, false);
+    assert.equal(lost.identical, false);
+    assert.deepEqual(lost.permissions.forbidden.map(p => `${p.action} ${p.resource}`), ['trade_using_market_order trading/*']);
+    assert.deepEqual(lost.rules.removed.map(rule => rule.id), ['trades']);
+});
+
+test('moving from conditional to allowed escalates, the reverse does not', () => {
+    const loosened = diff(QUOTES + MFA_TRADES, QUOTES + TRADES);
+    assert.equal(loosened.escalates, true);
+    assert.deepEqual(loosened.permissions.accessChanged, [
+        { action: 'trade_using_market_order', resource: 'trading/*', from: 'conditional', to: 'allowed' }
+    ]);
+    assert.deepEqual(loosened.rules.changed.map(rule => rule.id), ['trades']);
+    assert.match(loosened.rules.changed[0].before, /context\.authentication == "mfa"/);
+
+    const tightened = diff(QUOTES + TRADES, QUOTES + MFA_TRADES);
+    assert.equal(tightened.escalates, false);
+    assert.deepEqual(tightened.permissions.permitted, []);
+});
+
+test('a forbid that only changes the rules is not identical', () => {
+    const result = diff(QUOTES, QUOTES + '@id("no-shell") forbid(principal, action, resource) when { context.tool == "shell" };');
+    assert.deepEqual(result.rules.added.map(rule => rule.id), ['no-shell']);
+    assert.equal(result.identical, false);
+    assert.deepEqual(result.permissions.accessChanged, [
+        { action: 'quote_tool', resource: 'market-data/*', from: 'allowed', to: 'conditional' }
+    ]);
+    assert.equal(result.escalates, false);
+});
+
+test('a first version is diffed against an empty policy', () => {
+    const result = diffPolicies({ policies: [], permissions: [] }, side(QUOTES));
+    assert.equal(result.escalates, true);
+    assert.deepEqual(result.rules.added.map(rule => rule.id), ['quotes']);
+    assert.deepEqual(result.rules.removed, []);
+});
+
+test('PolicyDiffError carries an HTTP status', () => {
+    const error = new PolicyDiffError('Version 9 of bot not found', 404);
+    assert.equal(error.name, 'PolicyDiffError');
+    assert.equal(error.status, 404);
+});
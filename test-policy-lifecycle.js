@@ -0,0 +1,51 @@
+// Tests for policy-lifecycle.js
+//
+// Run with `node --test test-policy-lifecycle.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { policyTtl, isExpired, PolicyLifetimeError } from './policy-lifecycle.js';
+
+const now = Date.parse('2024-06-01T12:00:00.000Z');
+const limits = { defaultTtlSeconds: 3600, maxTtlSeconds: 24 * 3600, now };
+
+function lifetimeError(request) {
+    try {
+        policyTtl(request, limits);
+    } catch (error) {
+        assert.ok(error instanceof PolicyLifetimeError, `expected PolicyLifetimeError, got ${error}`);
+        return error.message;
+    }
+    assert.fail('expected a PolicyLifetimeError');
+}
+
+test('the kind of task sets the lifetime, first match wins', () => {
+    assert.deepEqual(policyTtl({ task: 'Query price of AAPL' }, limits), { ttlSeconds: 900, source: 'task' });
+    assert.deepEqual(policyTtl({ task: 'Execute trade orders' }, limits), { ttlSeconds: 3600, source: 'task' });
+    assert.deepEqual(policyTtl({ task: 'Kubernetes deployment' }, limits), { ttlSeconds: 4 * 3600, source: 'task' });
+    assert.deepEqual(policyTtl({ task: 'Security audit' }, limits), { ttlSeconds: 8 * 3600, source: 'task' });
+    assert.deepEqual(policyTtl({ task: 'Review trade history' }, limits), { ttlSeconds: 3600, source: 'task' });
+    assert.deepEqual(policyTtl({ task: 'Write a poem' }, limits), { ttlSeconds: 3600, source: 'default' });
+    assert.deepEqual(policyTtl({}, limits), { ttlSeconds: 3600, source: 'default' });
+});
+
+test('a requested lifetime wins and is capped by the maximum', () => {
+    assert.deepEqual(policyTtl({ task: 'Security audit', ttlSeconds: 60 }, limits), { ttlSeconds: 60, source: 'request' });
+    assert.deepEqual(policyTtl({ ttlSeconds: 7 * 24 * 3600 }, limits), { ttlSeconds: 24 * 3600, source: 'request' });
+    assert.deepEqual(policyTtl({ expiresAt: '2024-06-01T12:30:00.500Z' }, limits), { ttlSeconds: 1801, source: 'request' });
+    assert.deepEqual(policyTtl({ task: 'Security audit' }, { ...limits, maxTtlSeconds: 600 }), { ttlSeconds: 600, source: 'task' });
+});
+
+test('invalid requested lifetimes are rejected', () => {
+    assert.equal(lifetimeError({ ttlSeconds: 0 }), 'ttlSeconds must be a positive integer');
+    assert.equal(lifetimeError({ ttlSeconds: 1.5 }), 'ttlSeconds must be a positive integer');
+    assert.equal(lifetimeError({ ttlSeconds: '60' }), 'ttlSeconds must be a positive integer');
+    assert.equal(lifetimeError({ expiresAt: 'tomorrow' }), 'expiresAt must be a future ISO 8601 timestamp');
+    assert.equal(lifetimeError({ expiresAt: '2024-06-01T12:00:00.000Z' }), 'expiresAt must be a future ISO 8601 timestamp');
+});
+
+test('a policy is expired from its expiresAt on', () => {
+    assert.equal(isExpired({ expiresAt: '2024-06-01T12:00:00.000Z' }, now), true);
+    assert.equal(isExpired({ expiresAt: '2024-06-01T12:00:00.001Z' }, now), false);
+    assert.equal(isExpired({}, now), false);
+});
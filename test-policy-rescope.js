@@ -0,0 +1,86 @@
+// Tests for policy-rescope.js
+//
+// Run with `node --test test-policy-rescope.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePolicies } from './cedar-parser.js';
+import { EntityStore } from './cedar-entities.js';
+import { effectivePermissions } from './cedar-analysis.js';
+import { diffPolicies } from './policy-diff.js';
+import { parseEscalationRequirements, escalatedPermissions, escalationCheck, RescopeError } from './policy-rescope.js';
+
+const bot = { type: 'MCP::Client', id: 'bot' };
+const entities = EntityStore.fromJSON([
+    { uid: bot, parents: [{ type: 'MCP::Client', id: 'authenticated' }] }
+]);
+const catalog = { actions: ['quote_tool', 'trade_using_market_order'], resources: ['market-data/*', 'trading/*'] };
+
+const QUOTES = '@id("quotes") permit(principal, action == MCP::Action::"quote_tool", resource in MCP::Resource::"market-data/*");';
+const TRADES = '@id("trades") permit(principal, action == MCP::Action::"trade_using_market_order", resource in MCP::Resource::"trading/*");';
+const MFA_TRADES = '@id("trades") permit(principal, action == MCP::Action::"trade_using_market_order", resource in MCP::Resource::"trading/*") when { context.authentication == "mfa" };';
+
+function diff(before, after) {
+    const side = text => {
+        const policies = parsePolicies(text);
+        return { policies, permissions: effectivePermissions(policies, bot, catalog, entities) };
+    };
+    return diffPolicies(side(before), side(after));
+}
+
+test('escalation requirements are parsed from the environment value', () => {
+    assert.deepEqual(parseEscalationRequirements('none'), []);
+    assert.deepEqual(parseEscalationRequirements(' NONE '), []);
+    assert.deepEqual(parseEscalationRequirements('mfa'), ['mfa']);
+    assert.deepEqual(parseEscalationRequirements('MFA, approval'), ['mfa', 'approval']);
+    assert.throws(() => parseEscalationRequirements('mfa,sms'), /Unknown POLICY_RESCOPE_ESCALATION 'mfa,sms'/);
+    assert.throws(() => parseEscalationRequirements('none,mfa'), /Unknown POLICY_RESCOPE_ESCALATION/);
+    assert.throws(() => parseEscalationRequirements(''), /Unknown POLICY_RESCOPE_ESCALATION/);
+});
+
+test('escalated permissions list new and newly unconditional pairs', () => {
+    assert.deepEqual(escalatedPermissions(diff('', QUOTES + MFA_TRADES)), [
+        'quote_tool on market-data/*',
+        'trade_using_market_order on trading/*'
+    ]);
+    assert.deepEqual(escalatedPermissions(diff(QUOTES + MFA_TRADES, QUOTES + TRADES)), [
+        'trade_using_market_order on trading/* (now unconditional)'
+    ]);
+    assert.deepEqual(escalatedPermissions(diff(QUOTES + TRADES, QUOTES)), []);
+});
+
+test('narrowing re-scopes go live whatever the requirements', () => {
+    assert.deepEqual(escalationCheck(diff(QUOTES + TRADES, QUOTES), { authentication: 'basic' }, ['mfa', 'approval']), {
+        escalation: false,
+        refusal: null,
+        reasons: []
+    });
+});
+
+test('escalations without MFA are refused when MFA is required', () => {
+    const escalation = diff(QUOTES, QUOTES + TRADES);
+    assert.deepEqual(escalationCheck(escalation, { authentication: 'basic' }, ['mfa']), {
+        escalation: true,
+        refusal: 'escalation to trade_using_market_order on trading/* requires MFA authentication (agent authenticated with basic)',
+        reasons: []
+    });
+    assert.deepEqual(escalationCheck(escalation, { authentication: 'mfa' }, ['mfa']), { escalation: true, refusal: null, reasons: [] });
+});
+
+test('escalations wait for a reviewer when approval is required', () => {
+    const escalation = diff(QUOTES, QUOTES + TRADES);
+    assert.deepEqual(escalationCheck(escalation, { authentication: 'mfa' }, ['mfa', 'approval']), {
+        escalation: true,
+        refusal: null,
+        reasons: ['re-scope escalates permissions: trade_using_market_order on trading/*']
+    });
+    assert.deepEqual(escalationCheck(escalation, { authentication: 'basic' }, []), { escalation: true, refusal: null, reasons: [] });
+});
+
+test('RescopeError carries a status and the permission delta', () => {
+    const error = new RescopeError('Re-scope refused', 403, { escalated: ['quote_tool on market-data/*'] });
+    assert.equal(error.name, 'RescopeError');
+    assert.equal(error.status, 403);
+    assert.deepEqual(error.details, { escalated: ['quote_tool on market-data/*'] });
+    assert.deepEqual(new RescopeError('Agent bot has no policy', 404).details, {});
+});
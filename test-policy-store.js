@@ -0,0 +1,114 @@
+// Tests for policy-store.js
+//
+// Run with `node --test test-policy-store.js`, or `npm test` for every unit test.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, existsSync, readdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+    PolicyStore, MemoryPolicyStore, FilePolicyStore, createPolicyStore, writeFileAtomic
+} from './policy-store.js';
+
+const scratch = mkdtempSync(path.join(tmpdir(), 'policy-store-'));
+
+after(() => rmSync(scratch, { recursive: true, force: true }));
+
+function directory(name) {
+    return path.join(scratch, name);
+}
+
+const agent = {
+    policy: 'permit(principal, action, resource);',
+    metadata: { version: 1, risk_level: 'LOW' },
+    prompts: null,
+    context: { agent_id: 'team/bot', roles: ['trader'] }
+};
+
+function roundTrip(open) {
+    const store = open();
+    store.saveAgent('team/bot', agent);
+    store.saveAgent('other', { ...agent, metadata: { version: 1 } });
+    store.saveAgent('team/bot', { ...agent, metadata: { version: 2 } });
+    store.deleteAgent('other');
+    store.deleteAgent('never-saved');
+    store.saveApproval({ id: 'req-1', agentId: 'team/bot', status: 'pending' });
+    store.saveApproval({ id: 'req-1', agentId: 'team/bot', status: 'approved' });
+    store.appendVersion({ agentId: 'team/bot', version: 1, policy: 'p1' });
+    store.appendVersion({ agentId: 'team/bot', version: 2, policy: 'p2' });
+    return store;
+}
+
+function assertRestored(store) {
+    assert.deepEqual(store.loadAgents(), [{ ...agent, metadata: { version: 2 }, agentId: 'team/bot' }]);
+    assert.deepEqual(store.loadApprovals(), [{ id: 'req-1', agentId: 'team/bot', status: 'approved' }]);
+    assert.deepEqual(store.loadVersions().map(version => version.policy).sort(), ['p1', 'p2']);
+}
+
+test('the memory store keeps copies, not references', () => {
+    const store = roundTrip(() => new MemoryPolicyStore());
+    assertRestored(store);
+
+    store.loadAgents()[0].metadata.version = 99;
+    assert.equal(store.loadAgents()[0].metadata.version, 2);
+    assert.deepEqual(store.describe(), { kind: 'memory', agents: 1, approvals: 1, versions: 2 });
+});
+
+test('the file store survives a restart', () => {
+    roundTrip(() => new FilePolicyStore(directory('restart')));
+    assertRestored(new FilePolicyStore(directory('restart')));
+});
+
+test('ids are encoded so any agent id is a safe file name', () => {
+    const store = new FilePolicyStore(directory('names'));
+    store.saveAgent('../../escape', agent);
+    assert.deepEqual(readdirSync(store.agentsDir), [`${Buffer.from('../../escape').toString('base64url')}.json`]);
+    assert.ok(!existsSync(path.join(scratch, 'escape.json')));
+    assert.equal(store.loadAgents()[0].agentId, '../../escape');
+});
+
+test('leftover temporary files and unreadable documents are skipped', () => {
+    const store = new FilePolicyStore(directory('damaged'));
+    store.saveAgent('bot', agent);
+    writeFileSync(path.join(store.agentsDir, 'Ym90.json.123.abc.tmp'), '{"half":');
+    writeFileSync(path.join(store.agentsDir, 'torn.json'), '{"formatVersion": 1, "da');
+    writeFileSync(path.join(store.agentsDir, 'future.json'), JSON.stringify({ formatVersion: 2, data: { agentId: 'future' } }));
+    writeFileSync(path.join(store.agentsDir, 'notes.txt'), 'ignored');
+
+    const errors = [];
+    const consoleError = console.error;
+    console.error = message => errors.push(message);
+    try {
+        assert.deepEqual(store.loadAgents().map(document => document.agentId), ['bot']);
+    } finally {
+        console.error = consoleError;
+    }
+    assert.equal(errors.length, 2);
+    assert.ok(errors.some(message => message.includes('unsupported format version 2')));
+    assert.ok(!readdirSync(store.agentsDir).some(name => name.endsWith('.tmp')));
+});
+
+test('atomic writes replace the file and leave no temporary files', () => {
+    const filePath = directory('atomic.json');
+    writeFileAtomic(filePath, 'old');
+    writeFileAtomic(filePath, 'new');
+    assert.equal(readFileSync(filePath, 'utf8'), 'new');
+    assert.deepEqual(readdirSync(scratch).filter(name => name.startsWith('atomic.json')), ['atomic.json']);
+
+    assert.throws(() => writeFileAtomic(directory('missing/dir/file.json'), 'data'), { code: 'ENOENT' });
+});
+
+test('POLICY_STORE selects the store', () => {
+    assert.ok(createPolicyStore({ POLICY_STORE: 'memory' }) instanceof MemoryPolicyStore);
+    const fileStore = createPolicyStore({ POLICY_STORE_DIR: directory('selected') });
+    assert.ok(fileStore instanceof FilePolicyStore);
+    assert.deepEqual(fileStore.describe(), { kind: 'file', directory: directory('selected') });
+    assert.throws(() => createPolicyStore({ POLICY_STORE: 'redis' }), /Unknown POLICY_STORE 'redis'/);
+});
+
+test('stores must implement every operation', () => {
+    class PartialStore extends PolicyStore {}
+    assert.throws(() => new PartialStore().loadAgents(), /PartialStore does not implement loadAgents/);
+    assert.throws(() => new PartialStore().appendVersion({}), /PartialStore does not implement appendVersion/);
+});
@@ -0,0 +1,66 @@
+// Tests for policy-versions.js
+//
+// Run with `node --test test-policy-versions.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PolicyVersionHistory } from './policy-versions.js';
+
+const generated = { kind: 'generated', reason: 'Initial policy' };
+
+test('versions are numbered per agent and record what produced them', () => {
+    const appended = [];
+    const history = new PolicyVersionHistory({ onAppend: version => appended.push(version) });
+
+    const first = history.append('bot', { policy: 'p1', context: { roles: ['trader'] }, change: generated });
+    history.append('other', { policy: 'p1', change: generated });
+    const second = history.append('bot', { policy: 'p2', change: { kind: 'approved', actor: 'reviewer:alice', reason: 'needs trades' } });
+
+    assert.deepEqual([first.version, second.version, history.latest('other').version], [1, 2, 1]);
+    assert.deepEqual(first.change, { kind: 'generated', actor: 'system', reason: 'Initial policy' });
+    assert.deepEqual(second.change, { kind: 'approved', actor: 'reviewer:alice', reason: 'needs trades' });
+    assert.match(first.digest, /^[0-9a-f]{12}$/);
+    assert.equal(first.digest, history.latest('other').digest);
+    assert.notEqual(first.digest, second.digest);
+    assert.equal(appended.length, 3);
+
+    assert.deepEqual(history.list('bot').map(version => version.policy), ['p1', 'p2']);
+    assert.equal(history.get('bot', 2), second);
+    assert.equal(history.get('bot', 3), undefined);
+    assert.deepEqual(history.list('nobody'), []);
+    assert.equal(history.latest('nobody'), undefined);
+});
+
+test('versions are immutable copies', () => {
+    const history = new PolicyVersionHistory();
+    const metadata = { risk_level: 'LOW', ceiling: { mode: 'intersect' } };
+    const version = history.append('bot', { policy: 'p1', metadata, change: generated });
+
+    metadata.risk_level = 'HIGH';
+    assert.equal(version.metadata.risk_level, 'LOW');
+    assert.throws(() => { version.policy = 'changed'; }, TypeError);
+    assert.throws(() => { version.metadata.ceiling.mode = 'reject'; }, TypeError);
+});
+
+test('unknown change kinds are rejected', () => {
+    const history = new PolicyVersionHistory();
+    assert.throws(() => history.append('bot', { policy: 'p', change: { kind: 'rejected' } }), /Unknown policy change kind 'rejected'/);
+    assert.deepEqual(history.list('bot'), []);
+});
+
+test('a version that could not be persisted is not recorded', () => {
+    const history = new PolicyVersionHistory({ onAppend: () => { throw new Error('disk full'); } });
+    assert.throws(() => history.append('bot', { policy: 'p', change: generated }), /disk full/);
+    assert.deepEqual(history.list('bot'), []);
+});
+
+test('restored versions continue the numbering', () => {
+    const history = new PolicyVersionHistory();
+    history.restore([
+        { agentId: 'bot', version: 2, policy: 'p2' },
+        { agentId: 'bot', version: 1, policy: 'p1' }
+    ]);
+    assert.deepEqual(history.list('bot').map(version => version.version), [1, 2]);
+    assert.ok(Object.isFrozen(history.get('bot', 1)));
+    assert.equal(history.append('bot', { policy: 'p1', change: { kind: 'rollback', reason: 'Rollback to version 1' } }).version, 3);
+});
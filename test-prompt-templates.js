@@ -0,0 +1,104 @@
+// Tests for prompt-templates.js
+//
+// Run with `node --test test-prompt-templates.js`, or `npm test` for every unit test.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    PromptTemplate, PromptTemplateError, renderTemplate, promptVariables, DEFAULT_TEMPLATE_NAME, PROMPT_VARIABLES
+} from './prompt-templates.js';
+
+const promptsDirectory = fileURLToPath(new URL('./prompts', import.meta.url));
+const scratch = mkdtempSync(path.join(tmpdir(), 'prompt-templates-'));
+
+after(() => rmSync(scratch, { recursive: true, force: true }));
+
+function writeTemplate(name, version, files) {
+    const directory = path.join(scratch, name, `v${version}`);
+    mkdirSync(directory, { recursive: true });
+    for (const [file, text] of Object.entries(files)) {
+        writeFileSync(path.join(directory, file), text);
+    }
+}
+
+const variables = promptVariables({
+    context: {
+        agent_id: 'bot',
+        task_description: 'Quote AAPL',
+        authentication_level: 'mfa',
+        roles: ['trader', 'analyst'],
+        available_actions: ['quote_tool', 'portfolio_access'],
+        available_resources: ['market-data/*']
+    },
+    requirements: ['Least privilege', 'No settings']
+});
+
+test('prompt variables are flattened into strings', () => {
+    assert.deepEqual(Object.keys(variables), PROMPT_VARIABLES);
+    assert.equal(variables.roles, 'trader, analyst');
+    assert.equal(variables.available_actions, 'quote_tool, portfolio_access');
+    assert.equal(variables.requirements, '- Least privilege\n- No settings');
+});
+
+test('placeholders are replaced and missing values are errors', () => {
+    assert.equal(renderTemplate('Agent {{agent_id}} ({{ roles }})', variables), 'Agent bot (trader, analyst)');
+    assert.equal(renderTemplate('{{count}}', { count: 0 }), '0');
+    assert.throws(() => renderTemplate('{{agent_id}} {{missing}}', variables),
+        error => error instanceof PromptTemplateError && error.message === "No value for prompt variable 'missing'");
+});
+
+test('the newest version is loaded unless one is asked for', () => {
+    const latest = PromptTemplate.load(promptsDirectory);
+    assert.equal(latest.name, DEFAULT_TEMPLATE_NAME);
+    assert.equal(latest.version, Math.max(...PromptTemplate.versions(path.join(promptsDirectory, DEFAULT_TEMPLATE_NAME))));
+
+    const first = PromptTemplate.load(promptsDirectory, DEFAULT_TEMPLATE_NAME, '1');
+    assert.equal(first.version, 1);
+    assert.equal(first.repair, null);
+    assert.equal(first.renderRepair({ attempt: 1, max_attempts: 2, errors: 'x' }), null);
+    assert.notEqual(first.digest, latest.digest);
+
+    const { systemPrompt, userPrompt } = latest.render(variables);
+    assert.ok(userPrompt.includes('Quote AAPL'));
+    assert.ok(!/\{\{/.test(systemPrompt + userPrompt));
+});
+
+test('templates render and record name, version and digest', () => {
+    writeTemplate('custom', 1, { 'system.md': 'System\n', 'user.md': 'Task: {{task_description}}\n' });
+    writeTemplate('custom', 2, {
+        'system.md': 'System\n',
+        'user.md': 'Task: {{task_description}}\n',
+        'repair.md': 'Attempt {{attempt}} of {{max_attempts}}: {{errors}}\n'
+    });
+    writeTemplate('custom', 10, { 'system.md': 'Newest\n', 'user.md': 'Newest\n' });
+
+    assert.deepEqual(PromptTemplate.versions(path.join(scratch, 'custom')), [1, 2, 10]);
+    assert.equal(PromptTemplate.load(scratch, 'custom').version, 10);
+
+    const template = PromptTemplate.load(scratch, 'custom', 2);
+    assert.deepEqual(template.render(variables), { systemPrompt: 'System', userPrompt: 'Task: Quote AAPL' });
+    assert.equal(template.renderRepair({ attempt: 1, max_attempts: 3, errors: 'bad' }), 'Attempt 1 of 3: bad');
+    assert.deepEqual(Object.keys(template.reference), ['name', 'version', 'digest']);
+    assert.equal(template.reference.name, 'custom');
+
+    // The repair text is part of the digest
+    assert.notEqual(template.digest, PromptTemplate.load(scratch, 'custom', 1).digest);
+});
+
+test('missing templates, versions and unknown variables are rejected', () => {
+    assert.throws(() => PromptTemplate.load(scratch, 'absent'), /Prompt template 'absent' not found/);
+
+    mkdirSync(path.join(scratch, 'empty', 'drafts'), { recursive: true });
+    assert.throws(() => PromptTemplate.load(scratch, 'empty'), /has no vN version directories/);
+
+    writeTemplate('versioned', 1, { 'system.md': 's', 'user.md': 'u' });
+    assert.throws(() => PromptTemplate.load(scratch, 'versioned', 3), /has no version 3 \(available: 1\)/);
+
+    writeTemplate('typo', 1, { 'system.md': '{{agentid}}', 'user.md': 'u', 'repair.md': '{{agent_id}}' });
+    assert.throws(() => PromptTemplate.load(scratch, 'typo'),
+        error => error instanceof PromptTemplateError && /uses unknown variables: agentid, agent_id/.test(error.message));
+});
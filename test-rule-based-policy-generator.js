@@ -0,0 +1,96 @@
+// Tests for rule-based-policy-generator.js
+//
+// Run with `node --test test-rule-based-policy-generator.js`, or `npm test` for every unit test.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePolicies } from './cedar-parser.js';
+import { EntityStore } from './cedar-entities.js';
+import { isAuthorized, buildRequest } from './cedar-evaluator.js';
+import { generateRuleBasedPolicy, generateRestrictedPolicy, assessRiskLevel } from './rule-based-policy-generator.js';
+
+const entities = EntityStore.fromJSON([
+    { uid: { type: 'MCP::Client', id: 'bot' }, parents: [{ type: 'MCP::Client', id: 'authenticated' }] }
+]);
+
+function decide(result, action, resource) {
+    return isAuthorized(parsePolicies(result.policy), buildRequest({ principal: 'bot', action, resource }), entities).decision;
+}
+
+const trader = { authentication: 'mfa', roles: ['trading-agent'] };
+
+test('trade execution needs strong authentication and a trading role', () => {
+    const full = generateRuleBasedPolicy({ task: 'Execute a trade for AAPL', ...trader });
+    assert.equal(full.scenario, 'trading-full');
+    assert.equal(decide(full, 'trade_using_market_order', 'trading/AAPL'), 'Permit');
+    assert.equal(decide(full, 'modify_settings', 'settings/system'), 'Deny');
+
+    const basic = generateRuleBasedPolicy({ task: 'Execute a trade', authentication: 'basic', roles: ['trading-agent'] });
+    assert.equal(basic.scenario, 'trading-basic');
+    assert.equal(decide(basic, 'trade_using_market_order', 'trading/AAPL'), 'Deny');
+    assert.equal(decide(basic, 'quote_tool', 'market-data/AAPL'), 'Permit');
+
+    assert.equal(generateRuleBasedPolicy({ task: 'Execute a trade', authentication: 'mfa', roles: ['intern'] }).scenario, 'authenticated-default');
+});
+
+test('reviewing trades is view-only, even when the task mentions trades', () => {
+    for (const task of ['Trade analysis for Q3', 'Review trade history', 'Query price of MSFT', 'Trade reporting']) {
+        const result = generateRuleBasedPolicy({ task, ...trader });
+        assert.equal(result.scenario, 'trading-query', task);
+        assert.equal(decide(result, 'trade_using_market_order', 'trading/AAPL'), 'Deny', task);
+        assert.equal(decide(result, 'portfolio_access', 'portfolio/main'), 'Permit', task);
+    }
+    // Words containing a review keyword are not reviews
+    assert.equal(generateRuleBasedPolicy({ task: 'Execute trades for the reporter', ...trader }).scenario, 'trading-full');
+});
+
+test('anonymous and unauthorized requests are denied everything', () => {
+    for (const request of [
+        { task: 'Execute a trade', authentication: 'anonymous', roles: ['trading-agent'] },
+        { task: 'unauthorized access to settings', ...trader }
+    ]) {
+        const result = generateRuleBasedPolicy(request);
+        assert.equal(result.scenario, 'deny-all');
+        assert.equal(result.risk_level, 'LOW');
+        assert.deepEqual(result.allowed_actions, []);
+        assert.equal(decide(result, 'read_capabilities', 'capabilities'), 'Deny');
+    }
+});
+
+test('the same request always yields the same policy', () => {
+    const request = { task: 'Kubernetes deployment', authentication: 'oauth', roles: ['devops-engineer'] };
+    const result = generateRuleBasedPolicy(request);
+    assert.deepEqual(generateRuleBasedPolicy(request), result);
+    assert.equal(result.scenario, 'devops-admin');
+    assert.equal(result.source, 'rule-based');
+    assert.equal(result.generation_method, 'rule_based');
+    assert.deepEqual(result.allowed_actions, ['call_tool', 'manage_workflows', 'access_sensitive_data']);
+    assert.equal(generateRuleBasedPolicy({ task: null, authentication: 'basic' }).scenario, 'authenticated-default');
+});
+
+test('risk follows the riskiest permitted action', () => {
+    assert.equal(assessRiskLevel([]), 'LOW');
+    assert.equal(assessRiskLevel([{ effect: 'forbid', action: null, resource: null }]), 'LOW');
+    assert.equal(assessRiskLevel([{ effect: 'permit', action: 'quote_tool', resource: 'market-data/*' }]), 'LOW');
+    assert.equal(assessRiskLevel([
+        { effect: 'permit', action: 'quote_tool', resource: 'market-data/*' },
+        { effect: 'permit', action: 'trade_using_market_order', resource: 'trading/*' }
+    ]), 'MEDIUM');
+    assert.equal(assessRiskLevel([{ effect: 'permit', action: 'access_sensitive_data', resource: 'data/public' }]), 'LOW');
+    assert.equal(assessRiskLevel([{ effect: 'permit', action: 'access_sensitive_data', resource: null }]), 'HIGH');
+    assert.equal(assessRiskLevel([{ effect: 'permit', action: null, resource: null }]), 'HIGH');
+    assert.equal(assessRiskLevel([{ effect: 'permit', action: 'unknown_action', resource: null }]), 'HIGH');
+
+    assert.equal(generateRuleBasedPolicy({ task: 'Business analysis', authentication: 'basic', roles: ['business-analyst'] }).risk_level, 'LOW');
+    assert.equal(generateRuleBasedPolicy({ task: 'Security audit', authentication: 'mfa', roles: ['auditor'] }).risk_level, 'HIGH');
+});
+
+test('restricted policies ignore the task and roles', () => {
+    const restricted = generateRestrictedPolicy({ authentication: 'mfa', task: 'Execute a trade', roles: ['trading-agent'] });
+    assert.equal(restricted.scenario, 'authenticated-default');
+    assert.equal(restricted.generation_method, 'restricted');
+    assert.deepEqual(restricted.allowed_actions, ['read_capabilities']);
+    assert.equal(decide(restricted, 'trade_using_market_order', 'trading/AAPL'), 'Deny');
+
+    assert.equal(generateRestrictedPolicy({ authentication: 'anonymous' }).scenario, 'deny-all');
+});